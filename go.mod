@@ -5,6 +5,10 @@ go 1.24.2
 require (
 	github.com/coder/websocket v1.8.13
 	github.com/google/uuid v1.6.0
+	github.com/pion/interceptor v0.1.37
+	github.com/pion/rtcp v1.2.15
+	github.com/pion/rtp v1.8.15
+	github.com/pion/webrtc/v4 v4.1.0
 )
 
 require github.com/go-chi/chi/v5 v5.2.1
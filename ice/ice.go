@@ -0,0 +1,176 @@
+// Package ice provides the ICE (STUN/TURN) configuration served to browsers.
+//
+// The configuration can be built from command line flags or loaded from a JSON
+// file, and optionally mints short-lived TURN credentials using the TURN REST
+// API scheme (an HMAC of a secret shared with the TURN server, as understood by
+// coturn's "use-auth-secret" option).
+package ice
+
+import (
+	"crypto/hmac"
+	"crypto/sha1"
+	"encoding/base64"
+	"encoding/json"
+	"errors"
+	"fmt"
+	"log/slog"
+	"net/http"
+	"os"
+	"strings"
+	"time"
+
+	"github.com/google/uuid"
+)
+
+// now returns the current time. Tests replace it to mint credentials at a fixed
+// time.
+var now = time.Now
+
+// Transport policies accepted by RTCPeerConnection's iceTransportPolicy.
+const (
+	PolicyAll   = "all"
+	PolicyRelay = "relay"
+)
+
+// Server mirrors the browser's RTCIceServer dictionary.
+type Server struct {
+	URLs       []string `json:"urls"`
+	Username   string   `json:"username,omitempty"`
+	Credential string   `json:"credential,omitempty"`
+}
+
+// TURN describes TURN servers that authenticate with time-limited credentials
+// derived from a shared secret.
+type TURN struct {
+	URLs   []string `json:"urls"`
+	Secret string   `json:"secret"`
+	// TTLSeconds is how long minted credentials remain valid.
+	TTLSeconds int `json:"ttlSeconds"`
+}
+
+// Provider holds the ICE configuration and serves it over HTTP.
+type Provider struct {
+	// Servers are handed to clients as they are (e.g. STUN or static TURN entries).
+	Servers []Server `json:"iceServers"`
+	// TransportPolicy is either PolicyAll or PolicyRelay. Empty means PolicyAll.
+	TransportPolicy string `json:"iceTransportPolicy"`
+	// TURN, when set, gets a freshly minted credential on every request.
+	TURN *TURN `json:"turn"`
+}
+
+// clientConfig is the payload returned to the browser. It can be passed almost
+// directly to the RTCPeerConnection constructor.
+type clientConfig struct {
+	IceServers         []Server `json:"iceServers"`
+	IceTransportPolicy string   `json:"iceTransportPolicy"`
+	// TTL is the number of seconds the returned credentials are valid for.
+	// Zero means the configuration does not expire.
+	TTL int `json:"ttl"`
+}
+
+// LoadFile reads a Provider from a JSON file.
+func LoadFile(path string) (*Provider, error) {
+	data, err := os.ReadFile(path)
+	if err != nil {
+		return nil, err
+	}
+
+	var p Provider
+	if err := json.Unmarshal(data, &p); err != nil {
+		return nil, fmt.Errorf("parsing ICE config: %w", err)
+	}
+
+	return &p, nil
+}
+
+// Validate checks the configuration for values the browser would reject.
+func (p *Provider) Validate() error {
+	switch p.TransportPolicy {
+	case "", PolicyAll, PolicyRelay:
+	default:
+		return fmt.Errorf("invalid ICE transport policy %q (expected %q or %q)", p.TransportPolicy, PolicyAll, PolicyRelay)
+	}
+
+	if p.TURN != nil {
+		if len(p.TURN.URLs) == 0 {
+			return errors.New("TURN secret configured without any TURN URLs")
+		}
+		if p.TURN.Secret == "" {
+			return errors.New("TURN URLs configured without a shared secret")
+		}
+		if p.TURN.TTLSeconds <= 0 {
+			return errors.New("TURN credential TTL must be positive")
+		}
+	}
+
+	if p.TransportPolicy == PolicyRelay && p.TURN == nil && !p.hasStaticTURN() {
+		return errors.New(`transport policy "relay" requires at least one TURN server`)
+	}
+
+	return nil
+}
+
+// hasStaticTURN reports whether any of the static servers is a TURN server.
+func (p *Provider) hasStaticTURN() bool {
+	for _, s := range p.Servers {
+		for _, u := range s.URLs {
+			if strings.HasPrefix(u, "turn") {
+				return true
+			}
+		}
+	}
+	return false
+}
+
+// ICEServers returns the configured servers, plus the TURN servers with a
+// freshly minted credential if a shared secret is configured.
+func (p *Provider) ICEServers() []Server {
+	servers := append([]Server{}, p.Servers...)
+	if p.TURN != nil {
+		ttl := time.Duration(p.TURN.TTLSeconds) * time.Second
+		username, credential := turnCredentials(p.TURN.Secret, now().Add(ttl))
+
+		servers = append(servers, Server{
+			URLs:       p.TURN.URLs,
+			Username:   username,
+			Credential: credential,
+		})
+	}
+	return servers
+}
+
+// HandleConfig writes the ICE configuration as JSON, minting new TURN
+// credentials if a shared secret is configured.
+func (p *Provider) HandleConfig(rw http.ResponseWriter, req *http.Request) {
+	config := clientConfig{
+		IceServers:         p.ICEServers(),
+		IceTransportPolicy: p.TransportPolicy,
+	}
+	if config.IceTransportPolicy == "" {
+		config.IceTransportPolicy = PolicyAll
+	}
+
+	if p.TURN != nil {
+		config.TTL = p.TURN.TTLSeconds
+	}
+
+	rw.Header().Set("Content-Type", "application/json")
+	rw.Header().Set("Cache-Control", "no-store")
+
+	if err := json.NewEncoder(rw).Encode(config); err != nil {
+		slog.Error("Failed to write ICE config", "error", err)
+	}
+}
+
+// turnCredentials generates a TURN REST API username and password pair. The
+// username carries the expiry timestamp and the password is the base64 encoded
+// HMAC-SHA1 of the username, keyed with the shared secret.
+func turnCredentials(secret string, expiry time.Time) (username, credential string) {
+	username = fmt.Sprintf("%d:%s", expiry.Unix(), uuid.NewString())
+
+	mac := hmac.New(sha1.New, []byte(secret))
+	mac.Write([]byte(username))
+	credential = base64.StdEncoding.EncodeToString(mac.Sum(nil))
+
+	return username, credential
+}
@@ -0,0 +1,143 @@
+package ice
+
+import (
+	"crypto/hmac"
+	"crypto/sha1"
+	"encoding/base64"
+	"strconv"
+	"strings"
+	"testing"
+	"time"
+
+	"github.com/google/uuid"
+)
+
+// checkCredentials checks that a TURN REST API credential pair expires at
+// expiry and was signed with secret.
+func checkCredentials(t *testing.T, secret string, expiry time.Time, username, credential string) {
+	t.Helper()
+
+	timestamp, user, ok := strings.Cut(username, ":")
+	if !ok {
+		t.Fatalf("username %q is not <expiry>:<user>", username)
+	}
+	if got, err := strconv.ParseInt(timestamp, 10, 64); err != nil || got != expiry.Unix() {
+		t.Errorf("username %q expires at %q, want %d", username, timestamp, expiry.Unix())
+	}
+	if _, err := uuid.Parse(user); err != nil {
+		t.Errorf("username %q does not end with a random user: %v", username, err)
+	}
+
+	mac := hmac.New(sha1.New, []byte(secret))
+	mac.Write([]byte(username))
+	if want := base64.StdEncoding.EncodeToString(mac.Sum(nil)); credential != want {
+		t.Errorf("credential = %q, want base64(HMAC-SHA1(secret, %q)) = %q", credential, username, want)
+	}
+}
+
+func TestTURNCredentials(t *testing.T) {
+	tests := []struct {
+		name   string
+		secret string
+		expiry time.Time
+	}{
+		{"coturn secret", "north-wind", time.Unix(1700000000, 0)},
+		{"sub-second expiry", "north-wind", time.Unix(1700000000, 999_999_999)},
+		{"empty secret", "", time.Unix(1, 0)},
+	}
+
+	for _, tt := range tests {
+		t.Run(tt.name, func(t *testing.T) {
+			username, credential := turnCredentials(tt.secret, tt.expiry)
+			checkCredentials(t, tt.secret, tt.expiry, username, credential)
+
+			// Every request gets its own user.
+			other, _ := turnCredentials(tt.secret, tt.expiry)
+			if other == username {
+				t.Errorf("two credentials share the username %q", username)
+			}
+		})
+	}
+}
+
+func TestICEServers(t *testing.T) {
+	fixed := time.Date(2024, time.March, 1, 12, 0, 0, 0, time.UTC)
+	now = func() time.Time { return fixed }
+	t.Cleanup(func() { now = time.Now })
+
+	p := &Provider{
+		Servers: []Server{{URLs: []string{"stun:stun.example.com:3478"}}},
+		TURN: &TURN{
+			URLs:       []string{"turn:turn.example.com:3478"},
+			Secret:     "north-wind",
+			TTLSeconds: 3600,
+		},
+	}
+
+	servers := p.ICEServers()
+	if len(servers) != 2 {
+		t.Fatalf("got %d servers, want the STUN server and the TURN server", len(servers))
+	}
+	if servers[0].Username != "" || servers[0].Credential != "" {
+		t.Errorf("static server got credentials: %+v", servers[0])
+	}
+
+	turn := servers[1]
+	if len(turn.URLs) != 1 || turn.URLs[0] != "turn:turn.example.com:3478" {
+		t.Errorf("TURN URLs = %v, want the configured ones", turn.URLs)
+	}
+	checkCredentials(t, "north-wind", fixed.Add(time.Hour), turn.Username, turn.Credential)
+}
+
+func TestValidate(t *testing.T) {
+	turn := &TURN{URLs: []string{"turn:turn.example.com:3478"}, Secret: "north-wind", TTLSeconds: 3600}
+	staticTURN := []Server{{URLs: []string{"turns:turn.example.com:5349"}, Username: "user", Credential: "pass"}}
+
+	tests := []struct {
+		name     string
+		provider Provider
+		// wantErr is a substring of the expected error, empty if the config is valid.
+		wantErr string
+	}{
+		{"empty", Provider{}, ""},
+		{"policy all", Provider{TransportPolicy: PolicyAll}, ""},
+		{"relay with minted TURN", Provider{TransportPolicy: PolicyRelay, TURN: turn}, ""},
+		{"relay with static TURN", Provider{TransportPolicy: PolicyRelay, Servers: staticTURN}, ""},
+		{"unknown policy", Provider{TransportPolicy: "public"}, "invalid ICE transport policy"},
+		{"upper-case policy", Provider{TransportPolicy: "RELAY", TURN: turn}, "invalid ICE transport policy"},
+		{
+			"TURN without secret",
+			Provider{TURN: &TURN{URLs: turn.URLs, TTLSeconds: 3600}},
+			"without a shared secret",
+		},
+		{
+			"TURN without URLs",
+			Provider{TURN: &TURN{Secret: "north-wind", TTLSeconds: 3600}},
+			"without any TURN URLs",
+		},
+		{
+			"TURN without TTL",
+			Provider{TURN: &TURN{URLs: turn.URLs, Secret: "north-wind"}},
+			"TTL must be positive",
+		},
+		{
+			"relay without TURN",
+			Provider{TransportPolicy: PolicyRelay, Servers: []Server{{URLs: []string{"stun:stun.example.com"}}}},
+			"requires at least one TURN server",
+		},
+	}
+
+	for _, tt := range tests {
+		t.Run(tt.name, func(t *testing.T) {
+			err := tt.provider.Validate()
+			switch {
+			case tt.wantErr == "" && err != nil:
+				t.Errorf("Validate() = %v, want no error", err)
+			case tt.wantErr != "" && err == nil:
+				t.Errorf("Validate() = nil, want an error containing %q", tt.wantErr)
+			case tt.wantErr != "" && !strings.Contains(err.Error(), tt.wantErr):
+				t.Errorf("Validate() = %v, want an error containing %q", err, tt.wantErr)
+			}
+		})
+	}
+}
@@ -1,17 +1,23 @@
 package main
 
 import (
+	"encoding/json"
 	"flag"
 	"log/slog"
 	"net"
 	"net/http"
+	"net/url"
 	"os"
+	"strings"
 	"sync"
+	"time"
 
 	"github.com/go-chi/chi/v5"
 	"github.com/go-chi/chi/v5/middleware"
 	"github.com/google/uuid"
 
+	"screenz/ice"
+	"screenz/sfu"
 	signaling "screenz/signaling"
 	"screenz/static"
 )
@@ -19,6 +25,19 @@ import (
 func main() {
 	port := flag.String("port", "8080", "Port to run the server on")
 	logLevel := flag.String("log-level", "info", "Log level (debug, info, warn, error)")
+	iceConfigPath := flag.String("ice-config", "", "Path to a JSON ICE configuration file (overrides the other ICE flags)")
+	stunURLs := flag.String("stun-urls", "stun:stun.l.google.com:19302", "Comma-separated STUN server URLs")
+	turnURLs := flag.String("turn-urls", "", "Comma-separated TURN server URLs")
+	turnSecret := flag.String("turn-secret", "", "Shared secret used to mint TURN REST credentials")
+	turnTTL := flag.Duration("turn-ttl", 6*time.Hour, "Lifetime of minted TURN credentials")
+	iceTransportPolicy := flag.String("ice-transport-policy", ice.PolicyAll, "ICE transport policy (all, relay)")
+	reconnectAttempts := flag.Int("viewer-reconnect-attempts", 6, "How many times viewers try to recover a dropped connection before giving up")
+	sfuEnabled := flag.Bool("sfu", false, "Let streamers relay their stream through the server (SFU mode)")
+	sfuNATIPs := flag.String("sfu-nat-ip", "", "Comma-separated public IPs announced by the SFU when behind a 1:1 NAT")
+	viewerWaitTimeout := flag.Duration("viewer-wait-timeout", 30*time.Minute, "How long viewers wait for a stream that is not live yet (0 to refuse them)")
+	maxWaitingViewers := flag.Int("max-waiting-viewers", 50, "How many viewers can wait for the same stream code at once")
+	reservationTTL := flag.Duration("code-reservation-ttl", 7*24*time.Hour, "How long a custom stream code stays reserved after its streamer leaves")
+	trustProxy := flag.Bool("trust-proxy", false, "Take client IPs (for logs and blocking) from the X-Forwarded-For and X-Real-IP headers; these were always trusted before, set this behind a reverse proxy that sets them")
 
 	flag.Parse()
 
@@ -38,6 +57,42 @@ func main() {
 	}
 	slog.SetLogLoggerLevel(level)
 
+	var iceProvider *ice.Provider
+	if *iceConfigPath != "" {
+		var err error
+		iceProvider, err = ice.LoadFile(*iceConfigPath)
+		if err != nil {
+			slog.Error("Unable to load ICE config", "path", *iceConfigPath, "error", err)
+			os.Exit(1)
+		}
+	} else {
+		iceProvider = &ice.Provider{TransportPolicy: *iceTransportPolicy}
+		if urls := splitList(*stunURLs); len(urls) > 0 {
+			iceProvider.Servers = append(iceProvider.Servers, ice.Server{URLs: urls})
+		}
+		if urls := splitList(*turnURLs); len(urls) > 0 || *turnSecret != "" {
+			iceProvider.TURN = &ice.TURN{
+				URLs:       urls,
+				Secret:     *turnSecret,
+				TTLSeconds: int(turnTTL.Seconds()),
+			}
+		}
+	}
+	if err := iceProvider.Validate(); err != nil {
+		slog.Error("Invalid ICE config", "error", err)
+		os.Exit(1)
+	}
+
+	if *reconnectAttempts < 0 {
+		slog.Error("Invalid viewer reconnect attempts", "viewer-reconnect-attempts", *reconnectAttempts)
+		os.Exit(1)
+	}
+
+	if *maxWaitingViewers < 1 {
+		slog.Error("Invalid max waiting viewers", "max-waiting-viewers", *maxWaitingViewers)
+		os.Exit(1)
+	}
+
 	server := &signaling.Signaler{
 		SR: &signaling.StreamerRegistry{
 			Entries: map[string]*signaling.Streamer{},
@@ -47,20 +102,44 @@ func main() {
 			Entries: map[uuid.UUID]*signaling.Viewer{},
 			Mu:      sync.RWMutex{},
 		},
+		RR: &signaling.ReservationRegistry{
+			Entries: map[string]*signaling.Reservation{},
+			Mu:      sync.RWMutex{},
+		},
+		ReservationTTL:    *reservationTTL,
+		ViewerWaitTimeout: *viewerWaitTimeout,
+		MaxWaitingViewers: *maxWaitingViewers,
+	}
+
+	if *sfuEnabled {
+		sfuServer, err := sfu.New(iceProvider, splitList(*sfuNATIPs))
+		if err != nil {
+			slog.Error("Unable to start SFU", "error", err)
+			os.Exit(1)
+		}
+		server.SFU = sfuServer
+		slog.Info("SFU mode enabled")
 	}
 
 	r := chi.NewRouter()
 
-	r.Use(middleware.RealIP)
+	// Clients can send any forwarding header, which would let blocked viewers
+	// come back under another address. Only a proxy's headers can be trusted.
+	if *trustProxy {
+		r.Use(middleware.RealIP)
+	}
 	r.Use(requestLogger)
 	r.Use(middleware.Recoverer)
 
 	r.Get("/stream", server.HandleStreamerWS)
-	r.Get("/watch/{streamerCode}", server.HandleViewerWS)
+	r.Get("/watch/{streamerCode}", watchLinkRedirect(server.HandleViewerWS))
+	r.Get("/ice-config", iceProvider.HandleConfig)
+	r.Get("/viewer-config", viewerConfig(*reconnectAttempts))
 
 	r.Get("/", static.Serve(static.IndexHTML, "text/html; charset=utf-8"))
 	r.Get("/style.css", static.Serve(static.StyleCSS, "text/css; charset=utf-8"))
 	r.Get("/main.js", static.Serve(static.MainJS, "application/javascript; charset=utf-8"))
+	r.Get("/qrcode.js", static.Serve(static.QRCodeJS, "application/javascript; charset=utf-8"))
 	r.Get("/thumbnail.png", static.Serve(static.ThumbnailPNG, "image/png"))
 
 	r.NotFound(func(w http.ResponseWriter, r *http.Request) {
@@ -76,3 +155,44 @@ func main() {
 	slog.Info("Server listening", "addr", listener.Addr().String())
 	http.Serve(listener, r)
 }
+
+// watchLinkRedirect sends browsers that open a /watch/{streamerCode} URL
+// directly (instead of through a WebSocket) to the equivalent deep link.
+func watchLinkRedirect(next http.HandlerFunc) http.HandlerFunc {
+	return func(w http.ResponseWriter, r *http.Request) {
+		if !strings.EqualFold(r.Header.Get("Upgrade"), "websocket") {
+			code := url.PathEscape(chi.URLParam(r, "streamerCode"))
+			http.Redirect(w, r, "/#/watch/"+code, http.StatusFound)
+			return
+		}
+
+		next(w, r)
+	}
+}
+
+// viewerConfig serves the viewer settings that are not part of the ICE
+// configuration.
+func viewerConfig(reconnectAttempts int) http.HandlerFunc {
+	return func(w http.ResponseWriter, r *http.Request) {
+		w.Header().Set("Content-Type", "application/json")
+		w.Header().Set("Cache-Control", "no-store")
+
+		config := struct {
+			ReconnectAttempts int `json:"reconnectAttempts"`
+		}{reconnectAttempts}
+		if err := json.NewEncoder(w).Encode(config); err != nil {
+			slog.Error("Failed to write viewer config", "error", err)
+		}
+	}
+}
+
+// splitList splits a comma-separated flag value, dropping empty entries.
+func splitList(value string) []string {
+	var items []string
+	for _, item := range strings.Split(value, ",") {
+		if item = strings.TrimSpace(item); item != "" {
+			items = append(items, item)
+		}
+	}
+	return items
+}
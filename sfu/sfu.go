@@ -0,0 +1,667 @@
+// Package sfu implements an optional selective forwarding unit: the server
+// receives the streamer's tracks once and forwards their RTP packets to every
+// viewer, instead of the streamer sending one copy per viewer.
+//
+// The streamer's video may be sent as several simulcast layers, in which case
+// every viewer gets the layer matching its preference or its link (see
+// simulcast.go).
+//
+// Each stream gets a Room. The streamer negotiates a single upstream peer
+// connection with the room and every viewer a downstream one. Both sides keep
+// the pre-negotiated "screenz" data channel of the peer-to-peer mode; the room
+// relays its messages between the streamer and the viewers (see RelayIn and
+// RelayOut).
+package sfu
+
+import (
+	"encoding/json"
+	"fmt"
+	"log/slog"
+	"sync"
+	"time"
+
+	"github.com/pion/interceptor"
+	"github.com/pion/webrtc/v4"
+
+	"screenz/ice"
+)
+
+// StreamerID is the peer ID of the streamer's upstream connection. The
+// streamer addresses its signaling messages for the room to it.
+const StreamerID = "sfu"
+
+// Pre-negotiated data channel shared with the frontend.
+const (
+	dataChannelLabel = "screenz"
+	dataChannelID    = 0
+)
+
+// keyframeInterval is the minimum time between two keyframe requests sent to
+// the streamer for the same layer, so that many joining viewers do not flood
+// the streamer's encoder.
+const keyframeInterval = 500 * time.Millisecond
+
+// MessageVideoLayer is the type of the data channel message a viewer sends to
+// choose its video layer. It is handled by the room instead of being relayed.
+const MessageVideoLayer = "video_layer"
+
+// Data channel events reported to the streamer.
+const (
+	EventOpen  = "open"  // EventOpen means the viewer's data channel opened.
+	EventClose = "close" // EventClose means the viewer's data channel closed.
+	EventState = "state" // EventState reports the viewer's connection state.
+)
+
+// RelayOut is a data channel message from the streamer, to be delivered to
+// one viewer (To) or to all of them except one (Except, optional).
+type RelayOut struct {
+	To      string          `json:"to,omitempty"`
+	Except  string          `json:"except,omitempty"`
+	Message json.RawMessage `json:"message"`
+}
+
+// RelayIn is a data channel message for the streamer: either a message sent
+// by a viewer or an event about that viewer.
+type RelayIn struct {
+	From    string          `json:"from"`
+	Message json.RawMessage `json:"message,omitempty"`
+	Event   string          `json:"event,omitempty"` // Event is empty or one of the Event constants.
+	State   string          `json:"state,omitempty"` // State is the connection state of EventState.
+}
+
+// signal is a signaling message as exchanged by the browsers.
+type signal struct {
+	Type      string                   `json:"type"`
+	SDP       string                   `json:"sdp,omitempty"`
+	Candidate *webrtc.ICECandidateInit `json:"candidate,omitempty"`
+}
+
+// SendFunc delivers a signaling message to a peer (StreamerID or a viewer's UUID).
+type SendFunc func(peerID string, data any)
+
+// Server holds the WebRTC configuration shared by all rooms.
+type Server struct {
+	api *webrtc.API
+	ice *ice.Provider
+}
+
+// New creates a Server using the given ICE configuration.
+//
+// natIPs, if not empty, are the public addresses announced in host candidates
+// instead of the local ones, for servers behind a 1:1 NAT (e.g. cloud VMs).
+func New(provider *ice.Provider, natIPs []string) (*Server, error) {
+	m := &webrtc.MediaEngine{}
+	if err := m.RegisterDefaultCodecs(); err != nil {
+		return nil, fmt.Errorf("registering codecs: %w", err)
+	}
+
+	// NACKs, RTCP reports and congestion control feedback on both legs.
+	i := &interceptor.Registry{}
+	if err := webrtc.RegisterDefaultInterceptors(m, i); err != nil {
+		return nil, fmt.Errorf("registering interceptors: %w", err)
+	}
+
+	se := webrtc.SettingEngine{}
+	if len(natIPs) > 0 {
+		se.SetNAT1To1IPs(natIPs, webrtc.ICECandidateTypeHost)
+	}
+
+	api := webrtc.NewAPI(
+		webrtc.WithMediaEngine(m),
+		webrtc.WithInterceptorRegistry(i),
+		webrtc.WithSettingEngine(se),
+	)
+
+	return &Server{api: api, ice: provider}, nil
+}
+
+// configuration returns the configuration of a new peer connection, with
+// fresh TURN credentials if the provider mints them.
+func (s *Server) configuration() webrtc.Configuration {
+	var servers []webrtc.ICEServer
+	for _, server := range s.ice.ICEServers() {
+		servers = append(servers, webrtc.ICEServer{
+			URLs:       server.URLs,
+			Username:   server.Username,
+			Credential: server.Credential,
+		})
+	}
+
+	policy := webrtc.ICETransportPolicyAll
+	if s.ice.TransportPolicy == ice.PolicyRelay {
+		policy = webrtc.ICETransportPolicyRelay
+	}
+
+	return webrtc.Configuration{ICEServers: servers, ICETransportPolicy: policy}
+}
+
+// Room forwards one streamer's tracks to its viewers.
+type Room struct {
+	server *Server
+	send   SendFunc
+	logger *slog.Logger
+
+	mu       sync.Mutex
+	closed   bool
+	upstream *peer
+	sources  map[string]*source // sources holds the streamer's tracks, keyed by track ID.
+	viewers  map[string]*peer   // viewers holds the downstream connections, keyed by viewer UUID.
+}
+
+// peer is one of the room's peer connections.
+type peer struct {
+	id string
+	pc *webrtc.PeerConnection
+	dc *webrtc.DataChannel
+
+	// mu serializes the signaling of the connection.
+	mu sync.Mutex
+	// pendingCandidates holds remote candidates received before the remote description.
+	pendingCandidates []webrtc.ICECandidateInit
+	// downTracks holds the tracks forwarded on a downstream connection, keyed by source track ID.
+	downTracks map[string]*downTrack
+	// layer is the video layer chosen by a viewer (one of the Layer constants).
+	layer string
+}
+
+// NewRoom creates an empty room. send delivers the room's signaling messages.
+func (s *Server) NewRoom(code string, send SendFunc) *Room {
+	return &Room{
+		server:  s,
+		send:    send,
+		logger:  slog.With("code", code, "mode", "sfu"),
+		sources: map[string]*source{},
+		viewers: map[string]*peer{},
+	}
+}
+
+// HandleStreamerSignal handles a signaling message from the streamer's
+// upstream connection. The streamer always offers; the room only answers.
+func (r *Room) HandleStreamerSignal(data json.RawMessage) {
+	var msg signal
+	if err := json.Unmarshal(data, &msg); err != nil {
+		r.logger.Info("Invalid streamer signaling message", "error", err)
+		return
+	}
+
+	p, err := r.upstreamPeer(msg.Type == "offer")
+	if err != nil {
+		r.logger.Error("Failed to create upstream connection", "error", err)
+		return
+	}
+	if p == nil {
+		r.logger.Info("Signaling message for missing upstream connection", "type", msg.Type)
+		return
+	}
+
+	r.handleSignal(p, msg, false)
+}
+
+// HandleViewerSignal handles a signaling message from a viewer's downstream
+// connection. The viewer's first offer creates the connection.
+func (r *Room) HandleViewerSignal(viewerID string, data json.RawMessage) {
+	var msg signal
+	if err := json.Unmarshal(data, &msg); err != nil {
+		r.logger.Info("Invalid viewer signaling message", "id", viewerID, "error", err)
+		return
+	}
+
+	p, err := r.viewerPeer(viewerID, msg.Type == "offer")
+	if err != nil {
+		r.logger.Error("Failed to create downstream connection", "id", viewerID, "error", err)
+		return
+	}
+	if p == nil {
+		r.logger.Info("Signaling message for missing downstream connection", "id", viewerID, "type", msg.Type)
+		return
+	}
+
+	// Downstream connections are renegotiated by both sides (the room adds and
+	// removes tracks, the viewer restarts ICE). The viewer is the polite peer.
+	r.handleSignal(p, msg, true)
+}
+
+// handleSignal applies an offer, answer or candidate to a peer connection.
+//
+// If impolite is set, an offer colliding with one of the room's offers is
+// ignored; the viewer rolls its own back and answers the room's instead.
+func (r *Room) handleSignal(p *peer, msg signal, impolite bool) {
+	p.mu.Lock()
+	defer p.mu.Unlock()
+
+	logger := r.logger.With("peer", p.id)
+
+	switch msg.Type {
+	case "offer", "answer":
+		if msg.Type == "offer" && impolite && p.pc.SignalingState() != webrtc.SignalingStateStable {
+			logger.Debug("Ignoring colliding offer")
+			return
+		}
+		if msg.Type == "answer" && p.pc.SignalingState() != webrtc.SignalingStateHaveLocalOffer {
+			logger.Debug("Ignoring unexpected answer", "state", p.pc.SignalingState())
+			return
+		}
+
+		description := webrtc.SessionDescription{Type: webrtc.NewSDPType(msg.Type), SDP: msg.SDP}
+		if err := p.pc.SetRemoteDescription(description); err != nil {
+			logger.Info("Failed to set remote description", "type", msg.Type, "error", err)
+			return
+		}
+
+		for _, candidate := range p.pendingCandidates {
+			if err := p.pc.AddICECandidate(candidate); err != nil {
+				logger.Debug("Failed to add queued ICE candidate", "error", err)
+			}
+		}
+		p.pendingCandidates = nil
+
+		if msg.Type == "offer" {
+			answer, err := p.pc.CreateAnswer(nil)
+			if err == nil {
+				err = p.pc.SetLocalDescription(answer)
+			}
+			if err != nil {
+				logger.Info("Failed to answer offer", "error", err)
+				return
+			}
+			r.send(p.id, p.pc.LocalDescription())
+		}
+	case "candidate":
+		// An empty candidate is the end-of-candidates indication, which the
+		// ICE agent does not need.
+		if msg.Candidate == nil || msg.Candidate.Candidate == "" {
+			return
+		}
+		if p.pc.RemoteDescription() == nil {
+			p.pendingCandidates = append(p.pendingCandidates, *msg.Candidate)
+			return
+		}
+		if err := p.pc.AddICECandidate(*msg.Candidate); err != nil {
+			logger.Debug("Failed to add ICE candidate", "error", err)
+		}
+	default:
+		logger.Info("Unknown signaling message", "type", msg.Type)
+	}
+}
+
+// upstreamPeer returns the streamer's connection, creating it if create is set.
+// It returns nil if the connection does not exist and is not created.
+func (r *Room) upstreamPeer(create bool) (*peer, error) {
+	r.mu.Lock()
+	defer r.mu.Unlock()
+
+	if r.closed {
+		return nil, nil
+	}
+	if r.upstream != nil || !create {
+		return r.upstream, nil
+	}
+
+	p, err := r.newPeer(StreamerID)
+	if err != nil {
+		return nil, err
+	}
+
+	p.pc.OnTrack(r.handleTrack)
+	p.pc.OnConnectionStateChange(func(state webrtc.PeerConnectionState) {
+		r.logger.Info("Upstream connection state changed", "state", state.String())
+	})
+	p.dc.OnOpen(r.announceViewers)
+	p.dc.OnMessage(func(msg webrtc.DataChannelMessage) { r.relayFromStreamer(msg.Data) })
+
+	r.upstream = p
+	return p, nil
+}
+
+// viewerPeer returns a viewer's connection, creating it with every forwarded
+// track if create is set. It returns nil if the connection does not exist and
+// is not created.
+func (r *Room) viewerPeer(viewerID string, create bool) (*peer, error) {
+	r.mu.Lock()
+	defer r.mu.Unlock()
+
+	if r.closed {
+		return nil, nil
+	}
+	if p, ok := r.viewers[viewerID]; ok || !create {
+		return p, nil
+	}
+
+	p, err := r.newPeer(viewerID)
+	if err != nil {
+		return nil, err
+	}
+
+	for id, src := range r.sources {
+		if err := r.addDownTrack(p, src); err != nil {
+			r.logger.Error("Failed to add track", "id", viewerID, "track", id, "error", err)
+		}
+	}
+
+	p.pc.OnNegotiationNeeded(func() { r.offer(p) })
+	p.pc.OnConnectionStateChange(func(state webrtc.PeerConnectionState) {
+		r.logger.Debug("Downstream connection state changed", "id", viewerID, "state", state.String())
+		r.relayToStreamer(RelayIn{From: viewerID, Event: EventState, State: state.String()})
+
+		// A new viewer can only start decoding from a keyframe.
+		if state == webrtc.PeerConnectionStateConnected {
+			p.requestKeyframes()
+		}
+	})
+	p.dc.OnOpen(func() { r.relayToStreamer(RelayIn{From: viewerID, Event: EventOpen}) })
+	p.dc.OnClose(func() { r.relayToStreamer(RelayIn{From: viewerID, Event: EventClose}) })
+	p.dc.OnMessage(func(msg webrtc.DataChannelMessage) {
+		var message struct {
+			Type  string `json:"type"`
+			Layer string `json:"layer"`
+		}
+		if err := json.Unmarshal(msg.Data, &message); err != nil {
+			r.logger.Debug("Dropping malformed data channel message", "id", viewerID)
+			return
+		}
+		if message.Type == MessageVideoLayer {
+			p.setLayer(message.Layer)
+			return
+		}
+		r.relayToStreamer(RelayIn{From: viewerID, Message: msg.Data})
+	})
+
+	r.viewers[viewerID] = p
+	return p, nil
+}
+
+// newPeer creates a peer connection with the pre-negotiated data channel and
+// trickles its ICE candidates to the remote peer.
+func (r *Room) newPeer(id string) (*peer, error) {
+	pc, err := r.server.api.NewPeerConnection(r.server.configuration())
+	if err != nil {
+		return nil, err
+	}
+
+	negotiated := true
+	channelID := uint16(dataChannelID)
+	dc, err := pc.CreateDataChannel(dataChannelLabel, &webrtc.DataChannelInit{
+		Negotiated: &negotiated,
+		ID:         &channelID,
+	})
+	if err != nil {
+		_ = pc.Close()
+		return nil, err
+	}
+
+	pc.OnICECandidate(func(candidate *webrtc.ICECandidate) {
+		init := webrtc.ICECandidateInit{} // End of candidates
+		if candidate != nil {
+			init = candidate.ToJSON()
+		}
+		r.send(id, signal{Type: "candidate", Candidate: &init})
+	})
+
+	return &peer{id: id, pc: pc, dc: dc, downTracks: map[string]*downTrack{}, layer: LayerAuto}, nil
+}
+
+// offer renegotiates a downstream connection after tracks were added or removed.
+func (r *Room) offer(p *peer) {
+	p.mu.Lock()
+	defer p.mu.Unlock()
+
+	// The viewer's offer starts the negotiation, and a pending exchange fires
+	// negotiationneeded again once it completes.
+	if p.pc.CurrentRemoteDescription() == nil || p.pc.SignalingState() != webrtc.SignalingStateStable {
+		return
+	}
+
+	offer, err := p.pc.CreateOffer(nil)
+	if err == nil {
+		err = p.pc.SetLocalDescription(offer)
+	}
+	if err != nil {
+		r.logger.Info("Failed to renegotiate", "id", p.id, "error", err)
+		return
+	}
+	r.send(p.id, p.pc.LocalDescription())
+}
+
+// handleTrack starts forwarding a new track, or a new simulcast layer of a
+// track, of the streamer to every viewer.
+func (r *Room) handleTrack(remote *webrtc.TrackRemote, _ *webrtc.RTPReceiver) {
+	id, rid := remote.ID(), remote.RID()
+
+	r.mu.Lock()
+	if r.closed || r.upstream == nil {
+		r.mu.Unlock()
+		return
+	}
+	src, ok := r.sources[id]
+	if !ok {
+		src = newSource(remote)
+		r.sources[id] = src
+	}
+	src.addLayer(remote, r.upstream.pc)
+	if !ok {
+		for viewerID, p := range r.viewers {
+			if err := r.addDownTrack(p, src); err != nil {
+				r.logger.Error("Failed to add track", "id", viewerID, "track", id, "error", err)
+			}
+		}
+	}
+	r.mu.Unlock()
+
+	// The new layer may suit some viewers better.
+	src.retarget()
+
+	r.logger.Info("Forwarding streamer track", "track", id, "rid", rid, "kind", remote.Kind().String(), "codec", remote.Codec().MimeType)
+
+	for {
+		packet, _, err := remote.ReadRTP()
+		if err != nil {
+			break
+		}
+		src.forward(rid, packet)
+	}
+
+	// The streamer removed the track (e.g. stopped sharing an extra screen).
+	r.logger.Info("Streamer track ended", "track", id, "rid", rid)
+	if src.removeLayer(rid) > 0 {
+		src.retarget()
+		return
+	}
+	r.removeSource(id)
+}
+
+// addDownTrack sends a source on a downstream connection. r.mu must be held.
+func (r *Room) addDownTrack(p *peer, src *source) error {
+	local, err := webrtc.NewTrackLocalStaticRTP(src.codec.RTPCodecCapability, src.id, src.streamID)
+	if err != nil {
+		return err
+	}
+
+	p.mu.Lock()
+	sender, err := p.pc.AddTrack(local)
+	if err != nil {
+		p.mu.Unlock()
+		return err
+	}
+	d := newDownTrack(src, local, sender, p.layer, r.logger.With("id", p.id, "track", src.id))
+	p.downTracks[src.id] = d
+	p.mu.Unlock()
+
+	src.mu.Lock()
+	src.downTracks[p.id] = d
+	src.mu.Unlock()
+
+	d.retarget()
+	go d.readRTCP()
+
+	return nil
+}
+
+// removeSource stops forwarding a track, which renegotiates every viewer.
+func (r *Room) removeSource(id string) {
+	r.mu.Lock()
+	defer r.mu.Unlock()
+
+	delete(r.sources, id)
+	for _, p := range r.viewers {
+		p.mu.Lock()
+		if d, ok := p.downTracks[id]; ok {
+			delete(p.downTracks, id)
+			if err := p.pc.RemoveTrack(d.sender); err != nil {
+				r.logger.Debug("Failed to remove track", "id", p.id, "track", id, "error", err)
+			}
+		}
+		p.mu.Unlock()
+	}
+}
+
+// setLayer applies the video layer chosen by a viewer to its forwarded tracks.
+func (p *peer) setLayer(layer string) {
+	if _, ok := layerLevels[layer]; !ok {
+		return
+	}
+
+	p.mu.Lock()
+	p.layer = layer
+	downTracks := p.downTrackList()
+	p.mu.Unlock()
+
+	for _, d := range downTracks {
+		d.setPreference(layer)
+	}
+}
+
+// requestKeyframes asks the streamer for a keyframe of every video layer the
+// viewer is (about to be) receiving.
+func (p *peer) requestKeyframes() {
+	p.mu.Lock()
+	downTracks := p.downTrackList()
+	p.mu.Unlock()
+
+	for _, d := range downTracks {
+		d.requestKeyframe()
+	}
+}
+
+// downTrackList returns the forwarded tracks of the peer. p.mu must be held.
+func (p *peer) downTrackList() []*downTrack {
+	downTracks := make([]*downTrack, 0, len(p.downTracks))
+	for _, d := range p.downTracks {
+		downTracks = append(downTracks, d)
+	}
+	return downTracks
+}
+
+// relayFromStreamer delivers a data channel message of the streamer to its
+// recipients.
+func (r *Room) relayFromStreamer(data []byte) {
+	var out RelayOut
+	if err := json.Unmarshal(data, &out); err != nil || len(out.Message) == 0 {
+		r.logger.Debug("Dropping malformed relay message")
+		return
+	}
+
+	r.mu.Lock()
+	var recipients []*peer
+	if out.To != "" {
+		if p, ok := r.viewers[out.To]; ok {
+			recipients = append(recipients, p)
+		}
+	} else {
+		for id, p := range r.viewers {
+			if id != out.Except {
+				recipients = append(recipients, p)
+			}
+		}
+	}
+	r.mu.Unlock()
+
+	for _, p := range recipients {
+		if p.dc.ReadyState() != webrtc.DataChannelStateOpen {
+			continue
+		}
+		if err := p.dc.SendText(string(out.Message)); err != nil {
+			r.logger.Debug("Failed to relay data channel message", "id", p.id, "error", err)
+		}
+	}
+}
+
+// relayToStreamer sends a message or event to the streamer's data channel.
+// It is dropped if the channel is not open yet; announceViewers catches up
+// on the viewers whose channel is open once it is.
+func (r *Room) relayToStreamer(in RelayIn) {
+	r.mu.Lock()
+	upstream := r.upstream
+	r.mu.Unlock()
+
+	if upstream == nil || upstream.dc.ReadyState() != webrtc.DataChannelStateOpen {
+		return
+	}
+
+	data, err := json.Marshal(in)
+	if err != nil {
+		r.logger.Error("Failed to encode relay message", "error", err)
+		return
+	}
+	if err := upstream.dc.SendText(string(data)); err != nil {
+		r.logger.Debug("Failed to relay to streamer", "error", err)
+	}
+}
+
+// announceViewers tells the streamer about viewers that connected before its
+// data channel opened.
+func (r *Room) announceViewers() {
+	r.mu.Lock()
+	var open []*peer
+	for _, p := range r.viewers {
+		if p.dc.ReadyState() == webrtc.DataChannelStateOpen {
+			open = append(open, p)
+		}
+	}
+	r.mu.Unlock()
+
+	for _, p := range open {
+		r.relayToStreamer(RelayIn{From: p.id, Event: EventState, State: p.pc.ConnectionState().String()})
+		r.relayToStreamer(RelayIn{From: p.id, Event: EventOpen})
+	}
+}
+
+// RemoveViewer closes a viewer's downstream connection.
+func (r *Room) RemoveViewer(viewerID string) {
+	r.mu.Lock()
+	p, ok := r.viewers[viewerID]
+	delete(r.viewers, viewerID)
+	r.mu.Unlock()
+
+	if !ok {
+		return
+	}
+
+	p.mu.Lock()
+	downTracks := p.downTrackList()
+	p.mu.Unlock()
+	for _, d := range downTracks {
+		d.source.removeDownTrack(viewerID)
+	}
+
+	_ = p.pc.Close()
+}
+
+// Close closes every connection of the room. The room cannot be used afterwards.
+func (r *Room) Close() {
+	r.mu.Lock()
+	r.closed = true
+	peers := make([]*peer, 0, len(r.viewers)+1)
+	for _, p := range r.viewers {
+		peers = append(peers, p)
+	}
+	if r.upstream != nil {
+		peers = append(peers, r.upstream)
+	}
+	r.viewers = map[string]*peer{}
+	r.sources = map[string]*source{}
+	r.mu.Unlock()
+
+	for _, p := range peers {
+		_ = p.pc.Close()
+	}
+}
@@ -0,0 +1,463 @@
+package sfu
+
+import (
+	"log/slog"
+	"strings"
+	"sync"
+	"time"
+
+	"github.com/pion/rtcp"
+	"github.com/pion/rtp"
+	"github.com/pion/webrtc/v4"
+)
+
+// Video layers a viewer can choose (see the video_layer data channel message).
+const (
+	LayerAuto   = "auto"   // LayerAuto follows the packet loss reported by the viewer.
+	LayerHigh   = "high"   // LayerHigh is the full resolution encoding.
+	LayerMedium = "medium" // LayerMedium is the half resolution encoding.
+	LayerLow    = "low"    // LayerLow is the quarter resolution encoding.
+)
+
+// Quality levels of the layers, from the lowest.
+const (
+	levelLow = iota
+	levelMedium
+	levelHigh
+)
+
+// layerLevels maps the layers a viewer can choose to their quality level. Auto
+// has none: its level is adjusted to the viewer's link.
+var layerLevels = map[string]int{
+	LayerAuto:   -1,
+	LayerLow:    levelLow,
+	LayerMedium: levelMedium,
+	LayerHigh:   levelHigh,
+}
+
+// ridLevels maps the RIDs of the streamer's simulcast encodings (see
+// SIMULCAST_LAYERS in main.js) to their quality level.
+var ridLevels = map[string]int{"l": levelLow, "m": levelMedium, "h": levelHigh}
+
+// Thresholds of the automatic layer selection, on the fraction of packets lost
+// (out of 256) reported by the viewer about once per second.
+const (
+	lossStepDown      = 256 * 10 / 100 // lossStepDown switches to a lower layer.
+	lossStepUp        = 256 * 2 / 100  // lossStepUp counts towards a higher layer.
+	goodReportsStepUp = 5              // goodReportsStepUp is the number of reports below lossStepUp before switching up.
+)
+
+// source is a streamer's track, made of one layer or of several simulcast
+// layers, and its copies sent to the viewers.
+type source struct {
+	id       string
+	streamID string
+	kind     webrtc.RTPCodecType
+	codec    webrtc.RTPCodecParameters
+
+	mu         sync.Mutex
+	layers     map[string]*layer     // layers holds the received encodings, keyed by RID ("" without simulcast).
+	downTracks map[string]*downTrack // downTracks holds the copies of the track, keyed by viewer UUID.
+}
+
+// layer is one encoding of a source.
+type layer struct {
+	rid   string
+	level int
+	ssrc  webrtc.SSRC
+	pc    *webrtc.PeerConnection // pc is the upstream connection receiving the layer.
+
+	mu           sync.Mutex
+	lastKeyframe time.Time
+}
+
+// downTrack is the copy of a source sent to one viewer. It forwards a single
+// layer at a time and only switches layers on a keyframe, rewriting sequence
+// numbers and timestamps so that the viewer sees one continuous stream.
+type downTrack struct {
+	source *source
+	local  *webrtc.TrackLocalStaticRTP
+	sender *webrtc.RTPSender
+	ssrc   webrtc.SSRC
+	logger *slog.Logger
+
+	mu          sync.Mutex
+	preference  string // preference is one of the Layer constants.
+	autoLevel   int    // autoLevel is the level used when preference is LayerAuto.
+	goodReports int
+	target      *layer // target is the layer to forward, switched to at its next keyframe.
+	current     string // current is the RID of the forwarded layer, if started.
+	started     bool
+	seqOffset   uint16
+	tsOffset    uint32
+	lastSeq     uint16
+	lastTS      uint32
+	lastWrite   time.Time
+}
+
+// newSource creates a source for the track of the given (first) layer.
+func newSource(remote *webrtc.TrackRemote) *source {
+	return &source{
+		id:         remote.ID(),
+		streamID:   remote.StreamID(),
+		kind:       remote.Kind(),
+		codec:      remote.Codec(),
+		layers:     map[string]*layer{},
+		downTracks: map[string]*downTrack{},
+	}
+}
+
+// addLayer registers a layer received on the upstream connection pc.
+func (s *source) addLayer(remote *webrtc.TrackRemote, pc *webrtc.PeerConnection) {
+	s.mu.Lock()
+	defer s.mu.Unlock()
+
+	rid := remote.RID()
+	s.layers[rid] = &layer{rid: rid, level: ridLevels[rid], ssrc: remote.SSRC(), pc: pc}
+}
+
+// removeLayer unregisters a layer and returns the number of layers left.
+func (s *source) removeLayer(rid string) int {
+	s.mu.Lock()
+	defer s.mu.Unlock()
+
+	delete(s.layers, rid)
+	return len(s.layers)
+}
+
+// removeDownTrack stops forwarding the source to a viewer.
+func (s *source) removeDownTrack(viewerID string) {
+	s.mu.Lock()
+	defer s.mu.Unlock()
+
+	delete(s.downTracks, viewerID)
+}
+
+// pickLayer returns the best layer not above the given level, or else the
+// lowest one above it. s.mu must be held.
+func (s *source) pickLayer(level int) *layer {
+	var best *layer
+	for _, l := range s.layers {
+		switch {
+		case best == nil:
+			best = l
+		case l.level <= level && (best.level > level || l.level > best.level):
+			best = l
+		case l.level > level && best.level > level && l.level < best.level:
+			best = l
+		}
+	}
+	return best
+}
+
+// retarget picks again the layer of every viewer, after a layer was added or
+// removed.
+func (s *source) retarget() {
+	s.mu.Lock()
+	downTracks := make([]*downTrack, 0, len(s.downTracks))
+	for _, d := range s.downTracks {
+		downTracks = append(downTracks, d)
+	}
+	s.mu.Unlock()
+
+	for _, d := range downTracks {
+		d.retarget()
+	}
+}
+
+// forward sends a packet of a layer to the viewers forwarding it.
+func (s *source) forward(rid string, packet *rtp.Packet) {
+	s.mu.Lock()
+	downTracks := make([]*downTrack, 0, len(s.downTracks))
+	for _, d := range s.downTracks {
+		downTracks = append(downTracks, d)
+	}
+	s.mu.Unlock()
+
+	for _, d := range downTracks {
+		d.write(rid, packet)
+	}
+}
+
+// isKeyframe reports whether a viewer can start decoding the source at the
+// packet. Audio packets always can.
+func (s *source) isKeyframe(packet *rtp.Packet) bool {
+	if s.kind != webrtc.RTPCodecTypeVideo {
+		return true
+	}
+	return isKeyframe(s.codec.MimeType, packet.Payload)
+}
+
+// requestKeyframe sends a picture loss indication for the layer to the
+// streamer, at most once per keyframeInterval.
+func (l *layer) requestKeyframe() {
+	l.mu.Lock()
+	if time.Since(l.lastKeyframe) < keyframeInterval {
+		l.mu.Unlock()
+		return
+	}
+	l.lastKeyframe = time.Now()
+	l.mu.Unlock()
+
+	err := l.pc.WriteRTCP([]rtcp.Packet{
+		&rtcp.PictureLossIndication{MediaSSRC: uint32(l.ssrc)},
+	})
+	if err != nil {
+		slog.Debug("Failed to request keyframe", "rid", l.rid, "error", err)
+	}
+}
+
+// newDownTrack creates the copy of a source sent by sender, with the viewer's
+// preferred layer. It starts forwarding once retarget picks a layer.
+func newDownTrack(src *source, local *webrtc.TrackLocalStaticRTP, sender *webrtc.RTPSender, preference string, logger *slog.Logger) *downTrack {
+	var ssrc webrtc.SSRC
+	if encodings := sender.GetParameters().Encodings; len(encodings) > 0 {
+		ssrc = encodings[0].SSRC
+	}
+
+	return &downTrack{
+		source:     src,
+		local:      local,
+		sender:     sender,
+		ssrc:       ssrc,
+		logger:     logger,
+		preference: preference,
+		autoLevel:  levelHigh,
+	}
+}
+
+// write forwards a packet of a layer if it is the viewer's layer, or switches
+// to the layer if it is the target one and the packet starts a keyframe.
+func (d *downTrack) write(rid string, packet *rtp.Packet) {
+	d.mu.Lock()
+	defer d.mu.Unlock()
+
+	if !d.started || rid != d.current {
+		if d.target == nil || rid != d.target.rid || !d.source.isKeyframe(packet) {
+			return
+		}
+
+		// Continue the sequence numbers and timestamps of the previous layer.
+		if d.started {
+			elapsed := uint32(time.Since(d.lastWrite).Seconds() * float64(d.source.codec.ClockRate))
+			if elapsed == 0 {
+				elapsed = 1
+			}
+			d.seqOffset = packet.SequenceNumber - d.lastSeq - 1
+			d.tsOffset = packet.Timestamp - d.lastTS - elapsed
+			d.logger.Debug("Switched video layer", "from", d.current, "to", rid)
+		}
+		d.current = rid
+		d.started = true
+	}
+
+	out := *packet
+	out.SequenceNumber = packet.SequenceNumber - d.seqOffset
+	out.Timestamp = packet.Timestamp - d.tsOffset
+	if err := d.local.WriteRTP(&out); err != nil {
+		return
+	}
+	d.lastSeq = out.SequenceNumber
+	d.lastTS = out.Timestamp
+	d.lastWrite = time.Now()
+}
+
+// retarget picks the layer matching the viewer's preference, or its link in
+// auto mode, and asks the streamer for a keyframe of it when switching.
+func (d *downTrack) retarget() {
+	d.mu.Lock()
+	level := d.autoLevel
+	if l := layerLevels[d.preference]; l >= 0 {
+		level = l
+	}
+	d.source.mu.Lock()
+	d.target = d.source.pickLayer(level)
+	d.source.mu.Unlock()
+	target := d.target
+	switching := target != nil && (!d.started || target.rid != d.current)
+	d.mu.Unlock()
+
+	if switching && d.source.kind == webrtc.RTPCodecTypeVideo {
+		target.requestKeyframe()
+	}
+}
+
+// setPreference applies the layer chosen by the viewer.
+func (d *downTrack) setPreference(preference string) {
+	d.mu.Lock()
+	d.preference = preference
+	d.mu.Unlock()
+
+	d.retarget()
+}
+
+// requestKeyframe asks the streamer for a keyframe of the viewer's layer.
+func (d *downTrack) requestKeyframe() {
+	if d.source.kind != webrtc.RTPCodecTypeVideo {
+		return
+	}
+
+	d.mu.Lock()
+	target := d.target
+	d.mu.Unlock()
+
+	if target != nil {
+		target.requestKeyframe()
+	}
+}
+
+// readRTCP handles the viewer's feedback about the track until the sender is
+// removed: losses request a keyframe and reception reports drive auto mode.
+func (d *downTrack) readRTCP() {
+	for {
+		packets, _, err := d.sender.ReadRTCP()
+		if err != nil {
+			return
+		}
+		for _, packet := range packets {
+			switch packet := packet.(type) {
+			case *rtcp.PictureLossIndication, *rtcp.FullIntraRequest:
+				d.requestKeyframe()
+			case *rtcp.ReceiverReport:
+				for _, report := range packet.Reports {
+					if report.SSRC == uint32(d.ssrc) {
+						d.handleLoss(report.FractionLost)
+					}
+				}
+			}
+		}
+	}
+}
+
+// handleLoss adjusts the auto mode level to the fraction of packets lost by
+// the viewer: down at once on heavy loss, up after a while without loss.
+func (d *downTrack) handleLoss(fractionLost uint8) {
+	if d.source.kind != webrtc.RTPCodecTypeVideo {
+		return
+	}
+
+	d.mu.Lock()
+	level := d.autoLevel
+	switch {
+	case fractionLost > lossStepDown:
+		d.goodReports = 0
+		if d.autoLevel > levelLow {
+			d.autoLevel--
+		}
+	case fractionLost < lossStepUp:
+		d.goodReports++
+		if d.goodReports >= goodReportsStepUp {
+			d.goodReports = 0
+			if d.autoLevel < levelHigh {
+				d.autoLevel++
+			}
+		}
+	default:
+		d.goodReports = 0
+	}
+	changed := d.autoLevel != level && d.preference == LayerAuto
+	d.mu.Unlock()
+
+	if changed {
+		d.logger.Debug("Adjusted automatic video layer", "fractionLost", fractionLost)
+		d.retarget()
+	}
+}
+
+// isKeyframe reports whether an RTP payload of the given codec starts a
+// keyframe. Payloads of unknown codecs are assumed to, so that they are never
+// held back.
+func isKeyframe(mimeType string, payload []byte) bool {
+	switch {
+	case strings.EqualFold(mimeType, webrtc.MimeTypeVP8):
+		return isVP8Keyframe(payload)
+	case strings.EqualFold(mimeType, webrtc.MimeTypeVP9):
+		return isVP9Keyframe(payload)
+	case strings.EqualFold(mimeType, webrtc.MimeTypeH264):
+		return isH264Keyframe(payload)
+	case strings.EqualFold(mimeType, webrtc.MimeTypeAV1):
+		return isAV1Keyframe(payload)
+	default:
+		return true
+	}
+}
+
+// isVP8Keyframe parses the VP8 payload descriptor (RFC 7741) and checks the
+// inverse key frame flag of the first partition.
+func isVP8Keyframe(payload []byte) bool {
+	if len(payload) == 0 {
+		return false
+	}
+	// Start of the first partition.
+	if payload[0]&0x10 == 0 || payload[0]&0x07 != 0 {
+		return false
+	}
+
+	i := 1
+	if payload[0]&0x80 != 0 {
+		if len(payload) < 2 {
+			return false
+		}
+		extension := payload[1]
+		i++
+		if extension&0x80 != 0 { // PictureID, on 7 or 15 bits.
+			if len(payload) <= i {
+				return false
+			}
+			if payload[i]&0x80 != 0 {
+				i++
+			}
+			i++
+		}
+		if extension&0x40 != 0 { // TL0PICIDX.
+			i++
+		}
+		if extension&0x30 != 0 { // TID, Y and KEYIDX.
+			i++
+		}
+	}
+
+	return len(payload) > i && payload[i]&0x01 == 0
+}
+
+// isVP9Keyframe checks the payload descriptor (RFC 9628) for the start of a
+// frame that is not inter-picture predicted.
+func isVP9Keyframe(payload []byte) bool {
+	return len(payload) > 0 && payload[0]&0x40 == 0 && payload[0]&0x08 != 0
+}
+
+// isH264Keyframe looks for an IDR slice or a sequence parameter set, alone or
+// in a STAP-A or at the start of a FU-A (RFC 6184).
+func isH264Keyframe(payload []byte) bool {
+	if len(payload) == 0 {
+		return false
+	}
+
+	isKey := func(nal byte) bool {
+		t := nal & 0x1F
+		return t == 5 || t == 7
+	}
+
+	switch payload[0] & 0x1F {
+	case 24: // STAP-A
+		for i := 1; i+2 < len(payload); {
+			size := int(payload[i])<<8 | int(payload[i+1])
+			i += 2
+			if isKey(payload[i]) {
+				return true
+			}
+			i += size
+		}
+		return false
+	case 28: // FU-A
+		return len(payload) > 1 && payload[1]&0x80 != 0 && isKey(payload[1])
+	default:
+		return isKey(payload[0])
+	}
+}
+
+// isAV1Keyframe checks the N flag of the aggregation header, set on the first
+// packet of a coded video sequence.
+func isAV1Keyframe(payload []byte) bool {
+	return len(payload) > 0 && payload[0]&0x08 != 0
+}
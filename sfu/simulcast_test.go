@@ -0,0 +1,256 @@
+package sfu
+
+import (
+	"log/slog"
+	"testing"
+	"time"
+
+	"github.com/pion/webrtc/v4"
+)
+
+func TestIsVP8Keyframe(t *testing.T) {
+	tests := []struct {
+		name    string
+		payload []byte
+		want    bool
+	}{
+		{"keyframe", []byte{0x10, 0x00}, true},
+		{"interframe", []byte{0x10, 0x01}, false},
+		{"not the start of a partition", []byte{0x00, 0x00}, false},
+		{"second partition", []byte{0x11, 0x00}, false},
+		{"7-bit picture ID", []byte{0x90, 0x80, 0x13, 0x00}, true},
+		{"15-bit picture ID, TL0PICIDX, TID", []byte{0x90, 0xE0, 0x92, 0x35, 0x05, 0x41, 0x00}, true},
+		{"15-bit picture ID, TL0PICIDX, TID interframe", []byte{0x90, 0xE0, 0x92, 0x34, 0x04, 0x40, 0x01}, false},
+		{"KEYIDX only", []byte{0x90, 0x10, 0x01, 0x00}, true},
+		{"empty", nil, false},
+		{"descriptor only", []byte{0x10}, false},
+		{"truncated extension", []byte{0x90}, false},
+		{"truncated picture ID", []byte{0x90, 0x80}, false},
+		{"truncated 15-bit picture ID", []byte{0x90, 0x80, 0x92}, false},
+		{"truncated before the payload header", []byte{0x90, 0xE0, 0x92, 0x34, 0x04, 0x40}, false},
+	}
+
+	for _, tt := range tests {
+		t.Run(tt.name, func(t *testing.T) {
+			if got := isVP8Keyframe(tt.payload); got != tt.want {
+				t.Errorf("isVP8Keyframe(% x) = %v, want %v", tt.payload, got, tt.want)
+			}
+		})
+	}
+}
+
+func TestIsVP9Keyframe(t *testing.T) {
+	tests := []struct {
+		name    string
+		payload []byte
+		want    bool
+	}{
+		{"start of a keyframe", []byte{0x08, 0x00}, true},
+		{"whole keyframe with picture ID", []byte{0x8C, 0x12}, true},
+		{"inter-picture predicted", []byte{0x48, 0x00}, false},
+		{"middle of a keyframe", []byte{0x00, 0x00}, false},
+		{"end of a keyframe", []byte{0x04, 0x00}, false},
+		{"empty", nil, false},
+	}
+
+	for _, tt := range tests {
+		t.Run(tt.name, func(t *testing.T) {
+			if got := isVP9Keyframe(tt.payload); got != tt.want {
+				t.Errorf("isVP9Keyframe(% x) = %v, want %v", tt.payload, got, tt.want)
+			}
+		})
+	}
+}
+
+func TestIsH264Keyframe(t *testing.T) {
+	tests := []struct {
+		name    string
+		payload []byte
+		want    bool
+	}{
+		{"IDR slice", []byte{0x65, 0x88}, true},
+		{"SPS", []byte{0x67, 0x42}, true},
+		{"PPS", []byte{0x68, 0xCE}, false},
+		{"non-IDR slice", []byte{0x41, 0x9A}, false},
+		{"empty", nil, false},
+		{"STAP-A with SPS and PPS", []byte{0x78, 0x00, 0x02, 0x67, 0x42, 0x00, 0x02, 0x68, 0xCE}, true},
+		{"STAP-A with IDR second", []byte{0x78, 0x00, 0x02, 0x68, 0xCE, 0x00, 0x01, 0x65}, true},
+		{"STAP-A without keyframe", []byte{0x78, 0x00, 0x01, 0x06, 0x00, 0x02, 0x41, 0x9A}, false},
+		{"STAP-A truncated size", []byte{0x78, 0x00}, false},
+		{"STAP-A truncated NAL header", []byte{0x78, 0x00, 0x05}, false},
+		{"STAP-A size beyond the payload", []byte{0x78, 0x00, 0xFF, 0x41, 0x00, 0x01, 0x65}, false},
+		{"FU-A start of IDR", []byte{0x7C, 0x85, 0x88}, true},
+		{"FU-A middle of IDR", []byte{0x7C, 0x05, 0x88}, false},
+		{"FU-A end of IDR", []byte{0x7C, 0x45, 0x88}, false},
+		{"FU-A start of non-IDR", []byte{0x7C, 0x81, 0x9A}, false},
+		{"FU-A truncated header", []byte{0x7C}, false},
+	}
+
+	for _, tt := range tests {
+		t.Run(tt.name, func(t *testing.T) {
+			if got := isH264Keyframe(tt.payload); got != tt.want {
+				t.Errorf("isH264Keyframe(% x) = %v, want %v", tt.payload, got, tt.want)
+			}
+		})
+	}
+}
+
+func TestIsAV1Keyframe(t *testing.T) {
+	tests := []struct {
+		name    string
+		payload []byte
+		want    bool
+	}{
+		{"new coded video sequence", []byte{0x18, 0x0A}, true},
+		{"within a sequence", []byte{0x10, 0x32}, false},
+		{"continued OBU", []byte{0xD0, 0x32}, false},
+		{"empty", nil, false},
+	}
+
+	for _, tt := range tests {
+		t.Run(tt.name, func(t *testing.T) {
+			if got := isAV1Keyframe(tt.payload); got != tt.want {
+				t.Errorf("isAV1Keyframe(% x) = %v, want %v", tt.payload, got, tt.want)
+			}
+		})
+	}
+}
+
+func TestIsKeyframe(t *testing.T) {
+	tests := []struct {
+		mimeType string
+		payload  []byte
+		want     bool
+	}{
+		{webrtc.MimeTypeVP8, []byte{0x10, 0x01}, false},
+		{"video/vp8", []byte{0x10, 0x00}, true},
+		{webrtc.MimeTypeVP9, []byte{0x48}, false},
+		{webrtc.MimeTypeH264, []byte{0x41}, false},
+		{webrtc.MimeTypeAV1, []byte{0x10}, false},
+		// Packets of unknown codecs are never held back.
+		{"video/H265", []byte{0x02, 0x01}, true},
+	}
+
+	for _, tt := range tests {
+		if got := isKeyframe(tt.mimeType, tt.payload); got != tt.want {
+			t.Errorf("isKeyframe(%q, % x) = %v, want %v", tt.mimeType, tt.payload, got, tt.want)
+		}
+	}
+}
+
+// newTestSource returns a video source with a layer for each of the given
+// RIDs. Their keyframes were just requested, so that switching layers does not
+// request any.
+func newTestSource(rids ...string) *source {
+	s := &source{
+		kind:       webrtc.RTPCodecTypeVideo,
+		layers:     map[string]*layer{},
+		downTracks: map[string]*downTrack{},
+	}
+	for _, rid := range rids {
+		s.layers[rid] = &layer{rid: rid, level: ridLevels[rid], lastKeyframe: time.Now()}
+	}
+	return s
+}
+
+func TestPickLayer(t *testing.T) {
+	tests := []struct {
+		name  string
+		rids  []string
+		level int
+		want  string
+	}{
+		{"all layers, high", []string{"l", "m", "h"}, levelHigh, "h"},
+		{"all layers, medium", []string{"l", "m", "h"}, levelMedium, "m"},
+		{"all layers, low", []string{"l", "m", "h"}, levelLow, "l"},
+		{"missing level, best below", []string{"l", "h"}, levelMedium, "l"},
+		{"missing level, best below high", []string{"l", "m"}, levelHigh, "m"},
+		{"nothing below, lowest above", []string{"m", "h"}, levelLow, "m"},
+		{"nothing below, only high", []string{"h"}, levelLow, "h"},
+		{"without simulcast", []string{""}, levelHigh, ""},
+	}
+
+	for _, tt := range tests {
+		t.Run(tt.name, func(t *testing.T) {
+			// Layers are kept in a map: try several iteration orders.
+			for i := 0; i < 20; i++ {
+				got := newTestSource(tt.rids...).pickLayer(tt.level)
+				if got == nil || got.rid != tt.want {
+					t.Fatalf("pickLayer(%d) with layers %q = %v, want %q", tt.level, tt.rids, got, tt.want)
+				}
+			}
+		})
+	}
+
+	if got := newTestSource().pickLayer(levelHigh); got != nil {
+		t.Errorf("pickLayer without layers = %q, want nil", got.rid)
+	}
+}
+
+func TestHandleLoss(t *testing.T) {
+	tests := []struct {
+		name       string
+		preference string
+		autoLevel  int
+		reports    []uint8
+		wantLevel  int
+		wantTarget string
+	}{
+		{"heavy loss steps down", LayerAuto, levelHigh, []uint8{lossStepDown + 1}, levelMedium, "m"},
+		{"loss at the step down threshold holds", LayerAuto, levelHigh, []uint8{lossStepDown}, levelHigh, "h"},
+		{"heavy loss down to low", LayerAuto, levelHigh, []uint8{255, 255, 255}, levelLow, "l"},
+		{"good reports step up", LayerAuto, levelLow, []uint8{0, 0, 0, 0, 0}, levelMedium, "m"},
+		{"too few good reports", LayerAuto, levelLow, []uint8{0, 0, 0, 0}, levelLow, "l"},
+		{
+			"loss at the step up threshold is not good",
+			LayerAuto, levelLow,
+			[]uint8{lossStepUp, lossStepUp, lossStepUp, lossStepUp, lossStepUp},
+			levelLow, "l",
+		},
+		{
+			"moderate loss restarts the count",
+			LayerAuto, levelLow,
+			[]uint8{0, 0, 0, 0, 10, 0, 0, 0, 0},
+			levelLow, "l",
+		},
+		{
+			"good reports after moderate loss",
+			LayerAuto, levelLow,
+			[]uint8{0, 0, 0, 0, 10, 0, 0, 0, 0, 0},
+			levelMedium, "m",
+		},
+		{
+			"recovery after heavy loss",
+			LayerAuto, levelMedium,
+			[]uint8{0, 0, 0, 0, 100, 0, 0, 0, 0, 0},
+			levelMedium, "m",
+		},
+		{"up to high", LayerAuto, levelMedium, make([]uint8, 2*goodReportsStepUp), levelHigh, "h"},
+		{"not above high", LayerAuto, levelHigh, make([]uint8, goodReportsStepUp), levelHigh, "h"},
+		// Viewers who picked a layer keep it; auto mode resumes from the adjusted level.
+		{"chosen layer kept", LayerHigh, levelHigh, []uint8{255, 255}, levelLow, "h"},
+	}
+
+	for _, tt := range tests {
+		t.Run(tt.name, func(t *testing.T) {
+			d := &downTrack{
+				source:     newTestSource("l", "m", "h"),
+				logger:     slog.Default(),
+				preference: tt.preference,
+				autoLevel:  tt.autoLevel,
+			}
+			d.retarget()
+
+			for _, fractionLost := range tt.reports {
+				d.handleLoss(fractionLost)
+			}
+
+			if d.autoLevel != tt.wantLevel {
+				t.Errorf("auto level = %d, want %d", d.autoLevel, tt.wantLevel)
+			}
+			if d.target == nil || d.target.rid != tt.wantTarget {
+				t.Errorf("target layer = %v, want %q", d.target, tt.wantTarget)
+			}
+		})
+	}
+}
@@ -6,18 +6,27 @@ package signaling
 
 import (
 	"context"
+	"crypto/sha256"
+	"crypto/subtle"
 	"encoding/json"
 	"errors"
+	"fmt"
 	"log/slog"
 	"math/rand/v2"
+	"net"
 	"net/http"
+	"strings"
 	"sync"
 	"time"
+	"unicode"
+	"unicode/utf8"
 
 	"github.com/coder/websocket"
 	"github.com/coder/websocket/wsjson"
 	"github.com/go-chi/chi/v5"
 	"github.com/google/uuid"
+
+	"screenz/sfu"
 )
 
 // Registry is a generic thread-safe registry for storing entries by key.
@@ -28,9 +37,11 @@ type Registry[K comparable, V any] struct {
 
 // StreamerRegistry is a registry for Streamer instances, keyed by code.
 // ViewerRegistry is a registry for Viewer instances, keyed by UUID.
+// ReservationRegistry is a registry for Reservation instances, keyed by code.
 type (
-	StreamerRegistry = Registry[string, *Streamer]
-	ViewerRegistry   = Registry[uuid.UUID, *Viewer]
+	StreamerRegistry    = Registry[string, *Streamer]
+	ViewerRegistry      = Registry[uuid.UUID, *Viewer]
+	ReservationRegistry = Registry[string, *Reservation]
 )
 
 // Signaler coordinates signaling between streamers and viewers.
@@ -38,23 +49,83 @@ type (
 type Signaler struct {
 	SR *StreamerRegistry
 	VR *ViewerRegistry
+
+	// RR holds the custom codes chosen by streamers. Its lock is always taken
+	// after the one of SR.
+	RR *ReservationRegistry
+	// ReservationTTL is how long a custom code stays reserved for its claim
+	// token after its streamer leaves.
+	ReservationTTL time.Duration
+
+	// ViewerWaitTimeout is how long viewers of a code that is not live wait
+	// for its streamer. Zero turns them away at once.
+	ViewerWaitTimeout time.Duration
+	// MaxWaitingViewers is how many viewers can wait for the same code at
+	// once. Those beyond it are turned away.
+	MaxWaitingViewers int
+
+	// waiting holds the codes viewers are waiting for. It is guarded by SR.Mu.
+	waiting map[string]*waitList
+
+	// SFU, when set, lets streamers opt into relaying their stream through
+	// the server (see ModeSFU). Nil disables the mode.
+	SFU *sfu.Server
 }
 
+// Stream modes a streamer can request with the "mode" query parameter.
+const (
+	ModeP2P = "p2p" // ModeP2P is the default: viewers connect to the streamer directly.
+	ModeSFU = "sfu" // ModeSFU relays the stream through the server's SFU.
+)
+
 // Streamer represents a streaming client participating in signaling.
 type Streamer struct {
 	Code string
 	Conn *websocket.Conn
 
-	In  chan ViewerMessage   // In receives signaling messages from viewers.
-	Out chan StreamerMessage // Out sends signaling messages to viewers.
+	In     chan ViewerMessage   // In receives signaling messages from viewers.
+	Out    chan StreamerMessage // Out sends signaling messages to viewers.
+	Events chan ViewerEvent     // Events receives lifecycle events of the streamer's viewers.
 
 	Ctx    context.Context
 	Cancel context.CancelCauseFunc
+
+	// Room forwards the stream to the viewers in ModeSFU, or is nil in ModeP2P.
+	Room *sfu.Room
+
+	// reserved reports whether the streamer holds a custom code, which stays
+	// reserved for it when it leaves.
+	reserved bool
+
+	// passphrase is the SHA-256 of the passphrase viewers must provide, or nil
+	// if the stream is public.
+	passphrase []byte
+
+	mu      sync.Mutex
+	blocked map[string]struct{} // blocked holds the addresses refused for the rest of the session.
+}
+
+// Reservation keeps a custom code for the streamer holding its claim token,
+// so that the code (and the links sharing it) survive reloads and recurring
+// sessions.
+type Reservation struct {
+	// claim is the SHA-256 of the claim token.
+	claim []byte
+	// expires is when the code is released, or zero while its streamer is live.
+	expires time.Time
+}
+
+// waitList wakes the viewers waiting for a code when its streamer registers.
+type waitList struct {
+	live    chan struct{}
+	viewers int
 }
 
 // Viewer represents a viewing client participating in signaling.
 type Viewer struct {
 	ID       uuid.UUID
+	Name     string // Name is an optional display name chosen by the viewer.
+	Addr     string // Addr is the viewer's IP address, used for blocking.
 	Conn     *websocket.Conn
 	Streamer *Streamer
 
@@ -69,16 +140,81 @@ type ViewerMessage struct {
 }
 
 // StreamerMessage is a message sent from a streamer to a viewer.
+//
+// When Type is set, the message is a command for the server instead and Data
+// is ignored.
 type StreamerMessage struct {
-	To   string          `json:"to"`   // To is the viewer's UUID as a string.
-	Data json.RawMessage `json:"data"` // Data is the signaling payload.
+	Type string          `json:"type,omitempty"` // Type is empty or one of the Command constants.
+	To   string          `json:"to"`             // To is the viewer's UUID as a string.
+	Data json.RawMessage `json:"data"`           // Data is the signaling payload.
 }
 
+// Commands a streamer can send to the server about one of its viewers.
+const (
+	CommandKick  = "kick"  // CommandKick closes the viewer's connection.
+	CommandBlock = "block" // CommandBlock kicks the viewer and refuses its address for the rest of the session.
+	CommandDeny  = "deny"  // CommandDeny closes the connection of a viewer that was not approved.
+)
+
+// Viewer lifecycle event types sent to streamers.
+const (
+	EventViewerJoined = "viewer_joined"
+	EventViewerLeft   = "viewer_left"
+)
+
+// Reasons attached to EventViewerLeft events.
+const (
+	LeftReasonClosed  = "closed"  // The viewer closed its connection.
+	LeftReasonTimeout = "timeout" // The viewer stopped answering keepalive pings.
+	LeftReasonError   = "error"   // The viewer's connection failed.
+	LeftReasonKicked  = "kicked"  // The streamer kicked the viewer.
+	LeftReasonBlocked = "blocked" // The streamer blocked the viewer.
+	LeftReasonDenied  = "denied"  // The streamer denied the viewer's request to join.
+)
+
+// ViewerEvent notifies a streamer that one of its viewers joined or left.
+type ViewerEvent struct {
+	Type     string `json:"type"`             // Type is EventViewerJoined or EventViewerLeft.
+	ViewerID string `json:"viewerId"`         // ViewerID is the viewer's UUID as a string.
+	Name     string `json:"name,omitempty"`   // Name is the viewer's display name, if any.
+	Reason   string `json:"reason,omitempty"` // Reason explains why the viewer left.
+}
+
+// ViewerStatus tells a viewer whether the stream of its code is live. Viewers
+// only offer once it is.
+type ViewerStatus struct {
+	Type    string `json:"type"` // Type is StatusWaiting or StatusLive.
+	Code    string `json:"code"`
+	Timeout int    `json:"timeout,omitempty"` // Timeout is the number of seconds left before the server stops waiting.
+}
+
+// Status types sent to viewers.
+const (
+	StatusWaiting = "waiting" // StatusWaiting means the code is not live yet; sent again every waitStatusInterval.
+	StatusLive    = "live"    // StatusLive means the streamer is there and the viewer may offer.
+)
+
 // Code is sent to a streamer after connection to identify its session.
 type Code struct {
-	Code string `json:"code"`
+	Code  string `json:"code"`
+	Mode  string `json:"mode"`            // Mode is ModeP2P or ModeSFU.
+	Claim string `json:"claim,omitempty"` // Claim is the claim token of a custom code.
 }
 
+// Custom codes a streamer can ask for with the "code" query parameter. Codes
+// are case-insensitive and stored upper-cased, like the generated ones.
+const (
+	customCodeCharset   = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789-"
+	minCustomCodeLength = 4
+	maxCustomCodeLength = 32
+)
+
+var (
+	errInvalidCode = errors.New("the requested code is not valid")
+	errCodeTaken   = errors.New("the requested code is already taken")
+	errReclaimed   = errors.New("the streamer reclaimed its code from another session")
+)
+
 // HandleStreamerWS upgrades the HTTP connection to a WebSocket for a streamer
 // and manages the signaling session lifecycle.
 func (s *Signaler) HandleStreamerWS(rw http.ResponseWriter, req *http.Request) {
@@ -88,16 +224,69 @@ func (s *Signaler) HandleStreamerWS(rw http.ResponseWriter, req *http.Request) {
 		return
 	}
 
-	code := generateStreamerCode()
 	ctx, cancel := context.WithCancelCause(context.Background())
 
-	_ = wsjson.Write(ctx, conn, Code{code})
+	var passphrase []byte
+	if p := req.URL.Query().Get("passphrase"); p != "" {
+		sum := sha256.Sum256([]byte(p))
+		passphrase = sum[:]
+	}
+
+	// Streams fall back to peer-to-peer if the SFU is disabled.
+	mode := ModeP2P
+	if req.URL.Query().Get("mode") == ModeSFU && s.SFU != nil {
+		mode = ModeSFU
+	}
+
+	// The code is picked and registered at once, so that no other streamer
+	// can take it in between.
+	s.SR.Mu.Lock()
+	code, claim, previous, err := s.reserveCode(req.URL.Query().Get("code"), req.URL.Query().Get("claim"))
+	if err != nil {
+		s.SR.Mu.Unlock()
+		_ = conn.Close(websocket.StatusNormalClosure, closeReason(err))
+		slog.Info("Refused streamer code", "code", req.URL.Query().Get("code"), "reason", err)
+		return
+	}
+
+	streamer := &Streamer{
+		Code:   code,
+		Conn:   conn,
+		In:     make(chan ViewerMessage),
+		Out:    make(chan StreamerMessage),
+		Events: make(chan ViewerEvent),
+		Ctx:    ctx,
+		Cancel: cancel,
+
+		reserved:   claim != "",
+		passphrase: passphrase,
+	}
+
+	// The room must exist before viewers can find the streamer, or they would
+	// be handled as peer-to-peer viewers.
+	if mode == ModeSFU {
+		streamer.Room = s.SFU.NewRoom(code, streamer.sendFromRoom(s.VR))
+		context.AfterFunc(ctx, streamer.Room.Close)
+	}
+
+	s.SR.Entries[code] = streamer
+	s.SR.Mu.Unlock()
+
+	// A reload may reconnect before the server noticed the old session ended.
+	if previous != nil {
+		previous.Cancel(errReclaimed)
+	}
+
+	_ = wsjson.Write(ctx, conn, Code{Code: code, Mode: mode, Claim: claim})
 
 	context.AfterFunc(ctx, func() {
-		_ = conn.Close(websocket.StatusNormalClosure, "Done")
+		_ = conn.Close(websocket.StatusNormalClosure, closeReason(context.Cause(ctx)))
 
 		s.SR.Mu.Lock()
-		delete(s.SR.Entries, code)
+		if s.SR.Entries[code] == streamer {
+			delete(s.SR.Entries, code)
+			s.releaseCode(code)
+		}
 		s.SR.Mu.Unlock()
 	})
 
@@ -110,37 +299,128 @@ func (s *Signaler) HandleStreamerWS(rw http.ResponseWriter, req *http.Request) {
 			return
 		}
 
+		if errors.Is(err, errReclaimed) {
+			slog.Info("Streamer session replaced by a new one", "code", code)
+			return
+		}
+
 		slog.Error("Streamer context closed", "error", err)
 	})
 
-	streamer := &Streamer{
-		Code:   code,
-		Conn:   conn,
-		In:     make(chan ViewerMessage),
-		Out:    make(chan StreamerMessage),
-		Ctx:    ctx,
-		Cancel: cancel,
-	}
-
-	s.SR.Mu.Lock()
-	s.SR.Entries[code] = streamer
-
 	go streamer.readWS()
 	go streamer.handleIn()
 	go streamer.handleOut(s.VR)
 
-	slog.Info("Streamer connected", "code", code)
-	s.SR.Mu.Unlock()
+	// Waiting viewers only connect once the streamer is fully set up.
+	s.wakeViewers(code)
+
+	slog.Info("Streamer connected", "code", code, "mode", mode, "protected", passphrase != nil, "reserved", claim != "")
 }
 
-const clientSignalingTimeout = time.Minute
+// reserveCode picks the code of a new streamer session: a generated one, or
+// the requested custom code if it is valid and free or reserved for the given
+// claim token. For custom codes, it returns the claim token (a new one unless
+// given) and the live session holding the code with that token, if any.
+//
+// s.SR.Mu must be held.
+func (s *Signaler) reserveCode(requested, claim string) (code, token string, previous *Streamer, err error) {
+	s.RR.Mu.Lock()
+	defer s.RR.Mu.Unlock()
+
+	now := time.Now()
+	for c, reservation := range s.RR.Entries {
+		if !reservation.expires.IsZero() && now.After(reservation.expires) {
+			delete(s.RR.Entries, c)
+		}
+	}
+
+	if requested == "" {
+		for {
+			code = generateStreamerCode()
+			_, live := s.SR.Entries[code]
+			_, reserved := s.RR.Entries[code]
+			if !live && !reserved {
+				return code, "", nil, nil
+			}
+		}
+	}
+
+	code = strings.ToUpper(strings.TrimSpace(requested))
+	if !validCustomCode(code) {
+		return "", "", nil, errInvalidCode
+	}
+
+	reservation, ok := s.RR.Entries[code]
+	switch {
+	case ok && !reservation.check(claim):
+		return "", "", nil, errCodeTaken
+	case !ok && s.SR.Entries[code] != nil:
+		// A generated code happens to match.
+		return "", "", nil, errCodeTaken
+	case !ok:
+		if claim == "" {
+			claim = uuid.NewString()
+		}
+		sum := sha256.Sum256([]byte(claim))
+		reservation = &Reservation{claim: sum[:]}
+		s.RR.Entries[code] = reservation
+	}
+	reservation.expires = time.Time{}
+
+	return code, claim, s.SR.Entries[code], nil
+}
+
+// releaseCode starts the expiry of a custom code whose streamer left. Other
+// codes are not reserved and need no release. s.SR.Mu must be held.
+func (s *Signaler) releaseCode(code string) {
+	s.RR.Mu.Lock()
+	defer s.RR.Mu.Unlock()
+
+	if reservation, ok := s.RR.Entries[code]; ok {
+		reservation.expires = time.Now().Add(s.ReservationTTL)
+	}
+}
+
+// check reports whether the given claim token is the reservation's.
+func (r *Reservation) check(claim string) bool {
+	sum := sha256.Sum256([]byte(claim))
+	return claim != "" && subtle.ConstantTimeCompare(sum[:], r.claim) == 1
+}
+
+// Viewers keep their WebSocket open for the whole session so that they can
+// renegotiate (e.g. ICE restarts). The connection is kept in check by pinging
+// the viewer periodically.
+const (
+	viewerPingInterval = 20 * time.Second
+	viewerPingTimeout  = 10 * time.Second
+)
+
+var (
+	errClientPingTimeout = errors.New("the client did not answer a keepalive ping in time")
+	errStreamerLeft      = errors.New("the streamer has left")
+	errStreamerAway      = fmt.Errorf("%w, but its code is still reserved", errStreamerLeft)
+	errKicked            = errors.New("the viewer was kicked by the streamer")
+	errBlocked           = errors.New("the viewer was blocked by the streamer")
+	errDenied            = errors.New("the viewer was denied by the streamer")
+	errWaitingRoomFull   = errors.New("too many viewers are waiting for the code")
+)
+
+// maxViewerNameLength is the maximum length, in runes, of a viewer's display name.
+const maxViewerNameLength = 32
+
+// hostName is the name the frontend shows for the streamer in chat. Viewers
+// cannot take it, whatever its case or spacing.
+const hostName = "streamer"
 
-var errClientSignalTimeout = errors.New("the client has exceeded its signaling time limit")
+// waitStatusInterval is how often waiting viewers are sent StatusWaiting. As
+// nothing is read from them while they wait, failing writes are also how the
+// server notices that they left.
+const waitStatusInterval = 15 * time.Second
 
 // HandleViewerWS upgrades the HTTP connection to a WebSocket for a viewer
 // and manages the signaling session lifecycle.
 func (s *Signaler) HandleViewerWS(rw http.ResponseWriter, req *http.Request) {
-	code := chi.URLParam(req, "streamerCode")
+	code := strings.ToUpper(chi.URLParam(req, "streamerCode"))
 
 	viewerID := uuid.New()
 	conn, err := websocket.Accept(rw, req, nil)
@@ -153,24 +433,82 @@ func (s *Signaler) HandleViewerWS(rw http.ResponseWriter, req *http.Request) {
 	streamer, ok := s.SR.Entries[code]
 	s.SR.Mu.RUnlock()
 
+	if !ok && s.ViewerWaitTimeout > 0 {
+		slog.Info("Viewer waiting for streamer", "code", code)
+		streamer, err = s.waitForStreamer(conn, code)
+		if errors.Is(err, errWaitingRoomFull) {
+			_ = conn.Close(websocket.StatusNormalClosure, closeReason(err))
+			slog.Info("Refused viewer of a full waiting room", "addr", clientAddr(req), "code", code)
+			return
+		}
+		ok = streamer != nil
+	}
+
 	if !ok {
 		_ = conn.Close(websocket.StatusNormalClosure, "NO_STREAMER")
 		return
 	}
 
-	ctx, c := context.WithTimeoutCause(context.Background(), clientSignalingTimeout, errClientSignalTimeout)
-	_ = c
+	addr := clientAddr(req)
+	if streamer.IsBlocked(addr) {
+		_ = conn.Close(websocket.StatusNormalClosure, "BLOCKED")
+		slog.Info("Refused blocked viewer", "addr", addr, "code", code)
+		return
+	}
+
+	// Protected streams are checked before the viewer can send any offer.
+	if streamer.Protected() {
+		passphrase := req.URL.Query().Get("passphrase")
+		if passphrase == "" {
+			_ = conn.Close(websocket.StatusNormalClosure, "PASSPHRASE_REQUIRED")
+			return
+		}
+
+		if !streamer.CheckPassphrase(passphrase) {
+			_ = conn.Close(websocket.StatusNormalClosure, "BAD_PASSPHRASE")
+			slog.Info("Refused viewer with wrong passphrase", "addr", addr, "code", code)
+			return
+		}
+	}
+
+	ctx, cancel := context.WithCancelCause(context.Background())
 
-	ctx, cancel := context.WithCancelCause(ctx)
+	// Viewers cannot outlive the stream they are watching. A streamer leaving
+	// a reserved code may come back with it (e.g. after a reload), so its
+	// viewers are sent back to the waiting room instead.
+	left := errStreamerLeft
+	if streamer.reserved && s.ViewerWaitTimeout > 0 {
+		left = errStreamerAway
+	}
+	stop := context.AfterFunc(streamer.Ctx, func() { cancel(left) })
 
 	context.AfterFunc(ctx, func() {
-		_ = conn.Close(websocket.StatusNormalClosure, "Done")
+		stop()
+
+		_ = conn.Close(websocket.StatusNormalClosure, closeReason(context.Cause(ctx)))
 
 		s.VR.Mu.Lock()
 		delete(s.VR.Entries, viewerID)
 		s.VR.Mu.Unlock()
 	})
 
+	if streamer.Room != nil {
+		context.AfterFunc(ctx, func() { streamer.Room.RemoveViewer(viewerID.String()) })
+	}
+
+	context.AfterFunc(ctx, func() {
+		err := context.Cause(ctx)
+		if errors.Is(err, errStreamerLeft) {
+			return
+		}
+
+		streamer.notify(ViewerEvent{
+			Type:     EventViewerLeft,
+			ViewerID: viewerID.String(),
+			Reason:   leftReason(err),
+		})
+	})
+
 	context.AfterFunc(ctx, func() {
 		err := context.Cause(ctx)
 
@@ -180,16 +518,28 @@ func (s *Signaler) HandleViewerWS(rw http.ResponseWriter, req *http.Request) {
 			return
 		}
 
-		if errors.Is(err, errClientSignalTimeout) {
+		if errors.Is(err, errClientPingTimeout) {
 			slog.Info("Viewer WS timed out", "id", viewerID)
 			return
 		}
 
+		if errors.Is(err, errStreamerLeft) {
+			slog.Info("Viewer released after streamer left", "id", viewerID)
+			return
+		}
+
+		if errors.Is(err, errKicked) || errors.Is(err, errBlocked) || errors.Is(err, errDenied) {
+			slog.Info("Viewer removed by streamer", "id", viewerID, "reason", err)
+			return
+		}
+
 		slog.Error("Viewer context closed", "error", err)
 	})
 
 	viewer := Viewer{
 		ID:       viewerID,
+		Name:     sanitizeName(req.URL.Query().Get("name")),
+		Addr:     addr,
 		Conn:     conn,
 		Streamer: streamer,
 		Ctx:      ctx,
@@ -198,11 +548,224 @@ func (s *Signaler) HandleViewerWS(rw http.ResponseWriter, req *http.Request) {
 
 	s.VR.Mu.Lock()
 	s.VR.Entries[viewerID] = &viewer
+	s.VR.Mu.Unlock()
+
+	// The streamer learns about the viewer before any of its signaling messages.
+	streamer.notify(ViewerEvent{
+		Type:     EventViewerJoined,
+		ViewerID: viewerID.String(),
+		Name:     viewer.Name,
+	})
+
+	if err := wsjson.Write(ctx, conn, ViewerStatus{Type: StatusLive, Code: code}); err != nil {
+		cancel(err)
+		return
+	}
 
 	go viewer.readWS()
+	go viewer.keepAlive()
 
 	slog.Info("Viewer connected", "id", viewerID, "code", code)
-	s.VR.Mu.Unlock()
+}
+
+// waitForStreamer keeps a viewer waiting until a streamer registers the code,
+// for at most s.ViewerWaitTimeout, and returns that streamer. It returns the
+// reason the viewer stopped waiting otherwise: the wait timed out, the viewer
+// left, or errWaitingRoomFull.
+func (s *Signaler) waitForStreamer(conn *websocket.Conn, code string) (*Streamer, error) {
+	ctx, cancel := context.WithTimeout(context.Background(), s.ViewerWaitTimeout)
+	defer cancel()
+
+	// The viewer waits again if the streamer that woke it left already.
+	for {
+		streamer, live, err := s.awaitCode(code)
+		if streamer != nil || err != nil {
+			return streamer, err
+		}
+
+		err = waitLive(ctx, conn, code, live)
+		s.leaveCode(code, live)
+
+		if err != nil {
+			slog.Info("Viewer stopped waiting for streamer", "code", code, "reason", err)
+			return nil, err
+		}
+	}
+}
+
+// waitLive sends StatusWaiting to a viewer every waitStatusInterval until live
+// is closed, or ctx is done.
+func waitLive(ctx context.Context, conn *websocket.Conn, code string, live <-chan struct{}) error {
+	deadline, _ := ctx.Deadline()
+
+	ticker := time.NewTicker(waitStatusInterval)
+	defer ticker.Stop()
+
+	for {
+		status := ViewerStatus{
+			Type:    StatusWaiting,
+			Code:    code,
+			Timeout: int(time.Until(deadline).Seconds()),
+		}
+		if err := wsjson.Write(ctx, conn, status); err != nil {
+			return err
+		}
+
+		select {
+		case <-live:
+			return nil
+		case <-ticker.C:
+		case <-ctx.Done():
+			return ctx.Err()
+		}
+	}
+}
+
+// awaitCode returns the streamer of a code if it is live, or else a channel
+// closed once a streamer registers the code. Waiting on the channel must end
+// with leaveCode. It returns errWaitingRoomFull if s.MaxWaitingViewers already
+// wait for the code.
+func (s *Signaler) awaitCode(code string) (*Streamer, <-chan struct{}, error) {
+	s.SR.Mu.Lock()
+	defer s.SR.Mu.Unlock()
+
+	if streamer, ok := s.SR.Entries[code]; ok {
+		return streamer, nil, nil
+	}
+
+	list, ok := s.waiting[code]
+	if !ok {
+		list = &waitList{live: make(chan struct{})}
+	}
+	if list.viewers >= s.MaxWaitingViewers {
+		return nil, nil, errWaitingRoomFull
+	}
+
+	if s.waiting == nil {
+		s.waiting = map[string]*waitList{}
+	}
+	s.waiting[code] = list
+	list.viewers++
+
+	return nil, list.live, nil
+}
+
+// wakeViewers lets the viewers waiting for a code connect to its streamer.
+func (s *Signaler) wakeViewers(code string) {
+	s.SR.Mu.Lock()
+	defer s.SR.Mu.Unlock()
+
+	if list, ok := s.waiting[code]; ok {
+		close(list.live)
+		delete(s.waiting, code)
+	}
+}
+
+// leaveCode ends a wait started by awaitCode, forgetting the code once no
+// viewer waits for it anymore.
+func (s *Signaler) leaveCode(code string, live <-chan struct{}) {
+	s.SR.Mu.Lock()
+	defer s.SR.Mu.Unlock()
+
+	list, ok := s.waiting[code]
+	if !ok || list.live != live {
+		return // The streamer registered and woke everyone.
+	}
+
+	list.viewers--
+	if list.viewers == 0 {
+		delete(s.waiting, code)
+	}
+}
+
+// leftReason maps the cause of a viewer's context ending to an
+// EventViewerLeft reason.
+func leftReason(cause error) string {
+	var closeError websocket.CloseError
+	switch {
+	case errors.As(cause, &closeError):
+		return LeftReasonClosed
+	case errors.Is(cause, errClientPingTimeout):
+		return LeftReasonTimeout
+	case errors.Is(cause, errKicked):
+		return LeftReasonKicked
+	case errors.Is(cause, errBlocked):
+		return LeftReasonBlocked
+	case errors.Is(cause, errDenied):
+		return LeftReasonDenied
+	default:
+		return LeftReasonError
+	}
+}
+
+// closeReason maps the cause of a session ending to the reason sent in the
+// WebSocket close frame, which the frontend uses to tell the cases apart.
+func closeReason(cause error) string {
+	switch {
+	case errors.Is(cause, errInvalidCode):
+		return "INVALID_CODE"
+	case errors.Is(cause, errCodeTaken):
+		return "CODE_TAKEN"
+	case errors.Is(cause, errReclaimed):
+		return "RECLAIMED"
+	case errors.Is(cause, errStreamerAway):
+		return "STREAM_INTERRUPTED"
+	case errors.Is(cause, errStreamerLeft):
+		return "STREAM_ENDED"
+	case errors.Is(cause, errKicked):
+		return "KICKED"
+	case errors.Is(cause, errBlocked):
+		return "BLOCKED"
+	case errors.Is(cause, errDenied):
+		return "DENIED"
+	case errors.Is(cause, errWaitingRoomFull):
+		return "WAITING_ROOM_FULL"
+	default:
+		return "Done"
+	}
+}
+
+// Protected reports whether viewers must provide a passphrase.
+func (s *Streamer) Protected() bool {
+	return s.passphrase != nil
+}
+
+// CheckPassphrase reports whether the given passphrase matches the stream's.
+func (s *Streamer) CheckPassphrase(passphrase string) bool {
+	sum := sha256.Sum256([]byte(passphrase))
+	return subtle.ConstantTimeCompare(sum[:], s.passphrase) == 1
+}
+
+// Block refuses the given address for the rest of the streamer's session.
+//
+// Viewers are identified by IP address, so blocking a viewer also refuses
+// anyone sharing its address (e.g. behind the same NAT).
+func (s *Streamer) Block(addr string) {
+	s.mu.Lock()
+	defer s.mu.Unlock()
+
+	if s.blocked == nil {
+		s.blocked = map[string]struct{}{}
+	}
+	s.blocked[addr] = struct{}{}
+}
+
+// IsBlocked reports whether the given address was blocked by the streamer.
+func (s *Streamer) IsBlocked(addr string) bool {
+	s.mu.Lock()
+	defer s.mu.Unlock()
+
+	_, ok := s.blocked[addr]
+	return ok
+}
+
+// notify delivers a viewer lifecycle event to the streamer, giving up if the
+// streamer's session has ended.
+func (s *Streamer) notify(event ViewerEvent) {
+	select {
+	case s.Events <- event:
+	case <-s.Ctx.Done():
+	}
 }
 
 // handleOut relays signaling messages from the streamer to viewers.
@@ -214,6 +777,11 @@ func (s *Streamer) handleOut(vr *ViewerRegistry) {
 		case <-s.Ctx.Done():
 			return
 		case out := <-s.Out:
+			if out.To == sfu.StreamerID && out.Type == "" && s.Room != nil {
+				s.Room.HandleStreamerSignal(out.Data)
+				continue
+			}
+
 			viewerID, err := uuid.Parse(out.To)
 			if err != nil {
 				logger.Info("Invalid target UUID provided", "id", out.To)
@@ -224,20 +792,74 @@ func (s *Streamer) handleOut(vr *ViewerRegistry) {
 			viewer, ok := vr.Entries[viewerID]
 			vr.Mu.RUnlock()
 
-			if !ok {
+			if !ok || viewer.Streamer != s {
 				logger.Info("Target UUID does not exist", "id", viewerID)
 				continue
 			}
 
-			err = wsjson.Write(s.Ctx, viewer.Conn, out.Data)
-			if err != nil {
-				viewer.Cancel(err)
+			switch out.Type {
+			case "":
+				err = wsjson.Write(s.Ctx, viewer.Conn, out.Data)
+				if err != nil {
+					viewer.Cancel(err)
+				}
+			case CommandKick:
+				logger.Info("Streamer kicked viewer", "id", viewerID)
+				viewer.Cancel(errKicked)
+			case CommandBlock:
+				logger.Info("Streamer blocked viewer", "id", viewerID, "addr", viewer.Addr)
+				s.Block(viewer.Addr)
+				viewer.Cancel(errBlocked)
+			case CommandDeny:
+				logger.Info("Streamer denied viewer", "id", viewerID)
+				viewer.Cancel(errDenied)
+			default:
+				logger.Info("Unknown streamer command", "type", out.Type)
 			}
 		}
 	}
 }
 
-// handleIn relays signaling messages from viewers to the streamer.
+// sendFromRoom returns the function delivering the signaling messages of the
+// streamer's SFU room: to the streamer as if sent by a viewer with the ID
+// sfu.StreamerID, or to one of its viewers.
+func (s *Streamer) sendFromRoom(vr *ViewerRegistry) sfu.SendFunc {
+	return func(peerID string, data any) {
+		payload, err := json.Marshal(data)
+		if err != nil {
+			slog.Error("Failed to encode SFU signaling message", "code", s.Code, "error", err)
+			return
+		}
+
+		if peerID == sfu.StreamerID {
+			select {
+			case s.In <- ViewerMessage{From: sfu.StreamerID, Data: payload}:
+			case <-s.Ctx.Done():
+			}
+			return
+		}
+
+		viewerID, err := uuid.Parse(peerID)
+		if err != nil {
+			return
+		}
+
+		vr.Mu.RLock()
+		viewer, ok := vr.Entries[viewerID]
+		vr.Mu.RUnlock()
+
+		if !ok || viewer.Streamer != s {
+			return
+		}
+
+		if err := wsjson.Write(viewer.Ctx, viewer.Conn, json.RawMessage(payload)); err != nil {
+			viewer.Cancel(err)
+		}
+	}
+}
+
+// handleIn relays signaling messages and lifecycle events from viewers to the
+// streamer.
 func (s *Streamer) handleIn() {
 	logger := slog.With("code", s.Code)
 
@@ -252,44 +874,146 @@ func (s *Streamer) handleIn() {
 				continue
 			}
 			s.Cancel(err)
+		case event := <-s.Events:
+			err := wsjson.Write(s.Ctx, s.Conn, event)
+			if err == nil {
+				logger.Debug("Streamer received event", "type", event.Type, "id", event.ViewerID)
+				continue
+			}
+			s.Cancel(err)
 		}
 	}
 }
 
 // readWS reads signaling messages from the streamer's WebSocket connection.
+//
+// Reads are not bound to the session's context: a canceled read closes the
+// connection at once, which would drop the close frame telling the client why
+// the session ended. Closing the connection with that reason ends them instead.
 func (s *Streamer) readWS() {
 	for {
 		var out StreamerMessage
-		err := wsjson.Read(s.Ctx, s.Conn, &out)
+		err := wsjson.Read(context.Background(), s.Conn, &out)
 		if err != nil {
 			s.Cancel(err)
+			return
+		}
+
+		select {
+		case s.Out <- out:
+		case <-s.Ctx.Done():
+			return
 		}
-		s.Out <- out
 	}
 }
 
-// readWS reads signaling messages from the viewer's WebSocket connection.
+// readWS reads signaling messages from the viewer's WebSocket connection. Like
+// the streamer's, reads end when the connection is closed with the reason the
+// session ended.
 func (v *Viewer) readWS() {
 	logger := slog.With("id", v.ID, "code", v.Streamer.Code)
 
 	for {
 		var msg json.RawMessage
-		if err := wsjson.Read(v.Ctx, v.Conn, &msg); err != nil {
+		if err := wsjson.Read(context.Background(), v.Conn, &msg); err != nil {
 			v.Cancel(err)
 			return
 		}
 
+		// In ModeSFU, viewers negotiate with the server instead of the streamer.
+		if v.Streamer.Room != nil {
+			v.Streamer.Room.HandleViewerSignal(v.ID.String(), msg)
+			continue
+		}
+
 		message := ViewerMessage{
 			From: v.ID.String(),
 			Data: msg,
 		}
 
-		v.Streamer.In <- message
-		logger.Debug("Viewer sent message")
+		select {
+		case v.Streamer.In <- message:
+			logger.Debug("Viewer sent message")
+		case <-v.Ctx.Done():
+			return
+		}
+	}
+}
+
+// keepAlive pings the viewer periodically and ends its session if a ping is
+// not answered within viewerPingTimeout.
+func (v *Viewer) keepAlive() {
+	ticker := time.NewTicker(viewerPingInterval)
+	defer ticker.Stop()
+
+	for {
+		select {
+		case <-v.Ctx.Done():
+			return
+		case <-ticker.C:
+			ctx, cancel := context.WithTimeout(v.Ctx, viewerPingTimeout)
+			err := v.Conn.Ping(ctx)
+			cancel()
+
+			if err != nil {
+				v.Cancel(errClientPingTimeout)
+				return
+			}
+		}
+	}
+}
+
+// clientAddr returns the IP address of the client that made the request.
+func clientAddr(req *http.Request) string {
+	host, _, err := net.SplitHostPort(req.RemoteAddr)
+	if err != nil {
+		return req.RemoteAddr // RealIP (-trust-proxy) may have replaced it with a bare IP.
+	}
+	return host
+}
+
+// sanitizeName trims a viewer-provided display name and caps its length. It
+// drops names posing as the host, which leaves the viewer unnamed.
+func sanitizeName(name string) string {
+	name = strings.TrimSpace(name)
+	if !utf8.ValidString(name) {
+		return ""
+	}
+
+	if utf8.RuneCountInString(name) > maxViewerNameLength {
+		name = string([]rune(name)[:maxViewerNameLength])
+	}
+
+	// Spaces and invisible characters do not tell names apart on screen.
+	bare := strings.Map(func(r rune) rune {
+		if unicode.IsSpace(r) || unicode.Is(unicode.Cf, r) {
+			return -1
+		}
+		return r
+	}, name)
+	if strings.EqualFold(bare, hostName) {
+		return ""
+	}
+	return name
+}
+
+// validCustomCode reports whether an upper-cased code requested by a streamer
+// only uses customCodeCharset and has an allowed length.
+func validCustomCode(code string) bool {
+	if len(code) < minCustomCodeLength || len(code) > maxCustomCodeLength {
+		return false
+	}
+
+	for _, c := range code {
+		if !strings.ContainsRune(customCodeCharset, c) {
+			return false
+		}
 	}
+	return true
 }
 
-// generateStreamerCode generates a random code for identifying a streamer session.
+// generateStreamerCode generates a random code for identifying a streamer
+// session. Callers check it against the codes in use.
 func generateStreamerCode() string {
 	const charset = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789"
 	const length = 5
@@ -0,0 +1,666 @@
+package signaling
+
+import (
+	"context"
+	"crypto/sha256"
+	"encoding/json"
+	"errors"
+	"net/http"
+	"net/http/httptest"
+	"strings"
+	"testing"
+	"time"
+
+	"github.com/coder/websocket"
+	"github.com/coder/websocket/wsjson"
+	"github.com/go-chi/chi/v5"
+	"github.com/google/uuid"
+	"github.com/pion/webrtc/v4"
+
+	"screenz/ice"
+	"screenz/sfu"
+)
+
+// newTestSignaler returns a Signaler with empty registries.
+func newTestSignaler() *Signaler {
+	return &Signaler{
+		SR:                &StreamerRegistry{Entries: map[string]*Streamer{}},
+		VR:                &ViewerRegistry{Entries: map[uuid.UUID]*Viewer{}},
+		RR:                &ReservationRegistry{Entries: map[string]*Reservation{}},
+		ReservationTTL:    time.Hour,
+		ViewerWaitTimeout: time.Minute,
+		MaxWaitingViewers: 10,
+	}
+}
+
+// newTestServer serves the signaling endpoints of s and returns their base
+// WebSocket URL.
+func newTestServer(t *testing.T, s *Signaler) string {
+	t.Helper()
+
+	r := chi.NewRouter()
+	r.Get("/stream", s.HandleStreamerWS)
+	r.Get("/watch/{streamerCode}", s.HandleViewerWS)
+
+	server := httptest.NewServer(r)
+	t.Cleanup(server.Close)
+
+	return "ws" + strings.TrimPrefix(server.URL, "http")
+}
+
+// dial opens a WebSocket connection closed at the end of the test.
+func dial(ctx context.Context, t *testing.T, url string) *websocket.Conn {
+	t.Helper()
+
+	conn, _, err := websocket.Dial(ctx, url, nil)
+	if err != nil {
+		t.Fatalf("dialing %s: %v", url, err)
+	}
+	t.Cleanup(func() { _ = conn.CloseNow() })
+
+	return conn
+}
+
+// readStatus reads the next message of a viewer's connection as a ViewerStatus.
+func readStatus(ctx context.Context, t *testing.T, conn *websocket.Conn) ViewerStatus {
+	t.Helper()
+
+	var status ViewerStatus
+	if err := wsjson.Read(ctx, conn, &status); err != nil {
+		t.Fatalf("reading viewer status: %v", err)
+	}
+	return status
+}
+
+// TestWaitingViewerOfSFUStream checks that a viewer waiting for an SFU stream
+// negotiates with the stream's room once it goes live, instead of being
+// handled as a peer-to-peer viewer whose offer the streamer never answers.
+func TestWaitingViewerOfSFUStream(t *testing.T) {
+	sfuServer, err := sfu.New(&ice.Provider{}, nil)
+	if err != nil {
+		t.Fatalf("creating SFU: %v", err)
+	}
+
+	s := newTestSignaler()
+	s.SFU = sfuServer
+	url := newTestServer(t, s)
+
+	ctx, cancel := context.WithTimeout(context.Background(), 10*time.Second)
+	defer cancel()
+
+	viewer := dial(ctx, t, url+"/watch/TEAM-ROOM")
+	if status := readStatus(ctx, t, viewer); status.Type != StatusWaiting || status.Code != "TEAM-ROOM" {
+		t.Fatalf("viewer status = %+v, want %q for TEAM-ROOM", status, StatusWaiting)
+	}
+
+	streamer := dial(ctx, t, url+"/stream?mode=sfu&code=team-room")
+	var code Code
+	if err := wsjson.Read(ctx, streamer, &code); err != nil {
+		t.Fatalf("reading streamer code: %v", err)
+	}
+	if code.Code != "TEAM-ROOM" || code.Mode != ModeSFU {
+		t.Fatalf("streamer code = %+v, want TEAM-ROOM in %q mode", code, ModeSFU)
+	}
+
+	// Drain the streamer's events (e.g. viewer_joined) so its session never blocks.
+	go func() {
+		for {
+			var msg json.RawMessage
+			if err := wsjson.Read(ctx, streamer, &msg); err != nil {
+				return
+			}
+		}
+	}()
+
+	if status := readStatus(ctx, t, viewer); status.Type != StatusLive {
+		t.Fatalf("viewer status = %+v, want %q", status, StatusLive)
+	}
+
+	pc, err := webrtc.NewPeerConnection(webrtc.Configuration{})
+	if err != nil {
+		t.Fatalf("creating peer connection: %v", err)
+	}
+	defer pc.Close()
+
+	_, err = pc.AddTransceiverFromKind(webrtc.RTPCodecTypeVideo, webrtc.RTPTransceiverInit{
+		Direction: webrtc.RTPTransceiverDirectionRecvonly,
+	})
+	if err != nil {
+		t.Fatalf("adding transceiver: %v", err)
+	}
+	offer, err := pc.CreateOffer(nil)
+	if err != nil {
+		t.Fatalf("creating offer: %v", err)
+	}
+
+	err = wsjson.Write(ctx, viewer, map[string]string{"type": "offer", "sdp": offer.SDP})
+	if err != nil {
+		t.Fatalf("sending offer: %v", err)
+	}
+
+	// Only the room answers: the test streamer never does.
+	for {
+		var msg struct {
+			Type string `json:"type"`
+			SDP  string `json:"sdp"`
+		}
+		if err := wsjson.Read(ctx, viewer, &msg); err != nil {
+			t.Fatalf("waiting for the room's answer: %v", err)
+		}
+		if msg.Type == "answer" {
+			if msg.SDP == "" {
+				t.Fatal("answer without SDP")
+			}
+			return
+		}
+	}
+}
+
+// TestWaitingRoomFull checks that viewers beyond MaxWaitingViewers are
+// refused instead of waiting for the code, and that the cap applies per code.
+func TestWaitingRoomFull(t *testing.T) {
+	s := newTestSignaler()
+	s.MaxWaitingViewers = 2
+	url := newTestServer(t, s)
+
+	ctx, cancel := context.WithTimeout(context.Background(), 10*time.Second)
+	defer cancel()
+
+	var waiting []*websocket.Conn
+	for i := 0; i < s.MaxWaitingViewers; i++ {
+		viewer := dial(ctx, t, url+"/watch/TEAM-ROOM")
+		if status := readStatus(ctx, t, viewer); status.Type != StatusWaiting {
+			t.Fatalf("viewer %d status = %+v, want %q", i, status, StatusWaiting)
+		}
+		waiting = append(waiting, viewer)
+	}
+
+	viewer := dial(ctx, t, url+"/watch/TEAM-ROOM")
+	if reason := readCloseReason(ctx, t, viewer); reason != "WAITING_ROOM_FULL" {
+		t.Fatalf("viewer beyond the cap closed with %q, want WAITING_ROOM_FULL", reason)
+	}
+
+	other := dial(ctx, t, url+"/watch/OTHER-ROOM")
+	if status := readStatus(ctx, t, other); status.Type != StatusWaiting {
+		t.Fatalf("viewer of another code status = %+v, want %q", status, StatusWaiting)
+	}
+
+	streamer, _ := startStreamer(ctx, t, url, "?code=team-room")
+	for i, viewer := range waiting {
+		if status := readStatus(ctx, t, viewer); status.Type != StatusLive {
+			t.Fatalf("viewer %d status = %+v, want %q", i, status, StatusLive)
+		}
+		if event := readEvent(ctx, t, streamer); event.Type != EventViewerJoined {
+			t.Fatalf("event = %+v, want %q", event, EventViewerJoined)
+		}
+	}
+
+	s.SR.Mu.RLock()
+	_, ok := s.waiting["TEAM-ROOM"]
+	s.SR.Mu.RUnlock()
+	if ok {
+		t.Fatal("the code is still waited for once live")
+	}
+}
+
+// reserve calls reserveCode with the lock it requires.
+func reserve(s *Signaler, requested, claim string) (string, string, *Streamer, error) {
+	s.SR.Mu.Lock()
+	defer s.SR.Mu.Unlock()
+
+	return s.reserveCode(requested, claim)
+}
+
+// release calls releaseCode with the lock it requires.
+func release(s *Signaler, code string) {
+	s.SR.Mu.Lock()
+	defer s.SR.Mu.Unlock()
+
+	s.releaseCode(code)
+}
+
+func TestReserveCode(t *testing.T) {
+	s := newTestSignaler()
+
+	code, claim, previous, err := reserve(s, " team-room ", "")
+	if err != nil {
+		t.Fatalf("reserving a free code: %v", err)
+	}
+	if code != "TEAM-ROOM" || claim == "" || previous != nil {
+		t.Fatalf("reserveCode = %q, %q, %v; want TEAM-ROOM, a new claim token and no previous session", code, claim, previous)
+	}
+
+	// The streamer goes live, then reloads its page.
+	live := &Streamer{Code: code}
+	s.SR.Entries[code] = live
+
+	for _, wrong := range []string{"", "not-the-token"} {
+		if _, _, _, err := reserve(s, code, wrong); !errors.Is(err, errCodeTaken) {
+			t.Errorf("reserving with claim %q: err = %v, want %v", wrong, err, errCodeTaken)
+		}
+	}
+
+	_, token, previous, err := reserve(s, "TEAM-ROOM", claim)
+	if err != nil {
+		t.Fatalf("reclaiming with the claim token: %v", err)
+	}
+	if token != claim || previous != live {
+		t.Fatalf("reclaim = %q, %v; want the same token and the live session to replace", token, previous)
+	}
+	if reason := closeReason(errReclaimed); reason != "RECLAIMED" {
+		t.Errorf("close reason of the replaced session = %q, want RECLAIMED", reason)
+	}
+}
+
+func TestReserveCodeGivenClaim(t *testing.T) {
+	s := newTestSignaler()
+
+	// A browser still holding a token re-reserves its code, e.g. after a server restart.
+	_, claim, _, err := reserve(s, "TEAM-ROOM", "kept-token")
+	if err != nil || claim != "kept-token" {
+		t.Fatalf("reserveCode = %q, %v; want the given token", claim, err)
+	}
+	if _, _, _, err := reserve(s, "TEAM-ROOM", "kept-token"); err != nil {
+		t.Errorf("reserving again with the token: %v", err)
+	}
+}
+
+func TestReserveCodeInvalid(t *testing.T) {
+	for _, requested := range []string{
+		"ABC",
+		strings.Repeat("A", maxCustomCodeLength+1),
+		"TEAM ROOM",
+		"TEAM_ROOM",
+		"ÉQUIPE",
+		"../ROOM",
+	} {
+		if _, _, _, err := reserve(newTestSignaler(), requested, ""); !errors.Is(err, errInvalidCode) {
+			t.Errorf("reserving %q: err = %v, want %v", requested, err, errInvalidCode)
+		}
+	}
+
+	if reason := closeReason(errInvalidCode); reason != "INVALID_CODE" {
+		t.Errorf("close reason = %q, want INVALID_CODE", reason)
+	}
+}
+
+func TestReserveCodeTakenByGeneratedCode(t *testing.T) {
+	s := newTestSignaler()
+	s.SR.Entries["AB12C"] = &Streamer{Code: "AB12C"}
+
+	if _, _, _, err := reserve(s, "ab12c", ""); !errors.Is(err, errCodeTaken) {
+		t.Fatalf("reserving a live generated code: err = %v, want %v", err, errCodeTaken)
+	}
+	if reason := closeReason(errCodeTaken); reason != "CODE_TAKEN" {
+		t.Errorf("close reason = %q, want CODE_TAKEN", reason)
+	}
+}
+
+func TestReserveCodeExpiry(t *testing.T) {
+	s := newTestSignaler()
+	s.ReservationTTL = 2 * time.Hour
+
+	code, claim, _, err := reserve(s, "TEAM-ROOM", "")
+	if err != nil {
+		t.Fatalf("reserving: %v", err)
+	}
+	if expires := s.RR.Entries[code].expires; !expires.IsZero() {
+		t.Fatalf("reservation of a live code expires at %v, want never", expires)
+	}
+
+	// The streamer leaves: the code stays reserved for ReservationTTL.
+	release(s, code)
+	expires := s.RR.Entries[code].expires
+	if d := time.Until(expires); d < s.ReservationTTL-time.Minute || d > s.ReservationTTL {
+		t.Fatalf("reservation expires in %v, want %v", d, s.ReservationTTL)
+	}
+	if _, _, _, err := reserve(s, code, "other-token"); !errors.Is(err, errCodeTaken) {
+		t.Fatalf("reserving before expiry: err = %v, want %v", err, errCodeTaken)
+	}
+
+	// The owner comes back in time: the code is held again while live.
+	if _, _, _, err := reserve(s, code, claim); err != nil {
+		t.Fatalf("reclaiming before expiry: %v", err)
+	}
+	if expires := s.RR.Entries[code].expires; !expires.IsZero() {
+		t.Fatalf("reclaimed reservation expires at %v, want never", expires)
+	}
+
+	// Once the TTL has passed, anyone can take the code.
+	release(s, code)
+	s.RR.Entries[code].expires = time.Now().Add(-time.Second)
+	_, otherClaim, _, err := reserve(s, code, "other-token")
+	if err != nil {
+		t.Fatalf("reserving after expiry: %v", err)
+	}
+	if otherClaim != "other-token" {
+		t.Fatalf("claim token after expiry = %q, want other-token", otherClaim)
+	}
+	if _, _, _, err := reserve(s, code, claim); !errors.Is(err, errCodeTaken) {
+		t.Fatalf("reclaiming with the expired token: err = %v, want %v", err, errCodeTaken)
+	}
+}
+
+func TestReservationCheck(t *testing.T) {
+	sum := sha256.Sum256([]byte("claim-token"))
+	reservation := &Reservation{claim: sum[:]}
+
+	for _, tc := range []struct {
+		claim string
+		want  bool
+	}{
+		{"claim-token", true},
+		{"claim-token ", false},
+		{"CLAIM-TOKEN", false},
+		{"", false},
+	} {
+		if got := reservation.check(tc.claim); got != tc.want {
+			t.Errorf("check(%q) = %v, want %v", tc.claim, got, tc.want)
+		}
+	}
+
+	// An empty claim never matches, even a reservation made for one.
+	empty := sha256.Sum256(nil)
+	if (&Reservation{claim: empty[:]}).check("") {
+		t.Error("check(\"\") matched a reservation of the empty claim")
+	}
+}
+
+// startStreamer connects a streamer with the given query and returns its
+// connection and code.
+func startStreamer(ctx context.Context, t *testing.T, url, query string) (*websocket.Conn, string) {
+	t.Helper()
+
+	conn := dial(ctx, t, url+"/stream"+query)
+	var code Code
+	if err := wsjson.Read(ctx, conn, &code); err != nil {
+		t.Fatalf("reading streamer code: %v", err)
+	}
+	return conn, code.Code
+}
+
+// readEvent reads the next message of a streamer's connection as a ViewerEvent.
+func readEvent(ctx context.Context, t *testing.T, conn *websocket.Conn) ViewerEvent {
+	t.Helper()
+
+	var event ViewerEvent
+	if err := wsjson.Read(ctx, conn, &event); err != nil {
+		t.Fatalf("reading viewer event: %v", err)
+	}
+	return event
+}
+
+// TestViewerEvents checks that the streamer learns about every viewer joining
+// and leaving from the server, so that its viewer count stays right when
+// viewers reconnect.
+func TestViewerEvents(t *testing.T) {
+	url := newTestServer(t, newTestSignaler())
+
+	ctx, cancel := context.WithTimeout(context.Background(), 10*time.Second)
+	defer cancel()
+
+	streamer, code := startStreamer(ctx, t, url, "")
+	viewers := map[string]bool{}
+
+	join := func(name string) *websocket.Conn {
+		t.Helper()
+
+		conn := dial(ctx, t, url+"/watch/"+code+"?name="+name)
+		if status := readStatus(ctx, t, conn); status.Type != StatusLive {
+			t.Fatalf("viewer status = %+v, want %q", status, StatusLive)
+		}
+
+		event := readEvent(ctx, t, streamer)
+		if event.Type != EventViewerJoined || event.Name != name || viewers[event.ViewerID] {
+			t.Fatalf("event = %+v, want %q of a new viewer named %q", event, EventViewerJoined, name)
+		}
+		viewers[event.ViewerID] = true
+		return conn
+	}
+	leave := func(reason string) {
+		t.Helper()
+
+		event := readEvent(ctx, t, streamer)
+		if event.Type != EventViewerLeft || event.Reason != reason || !viewers[event.ViewerID] {
+			t.Fatalf("event = %+v, want %q of a known viewer with reason %q", event, EventViewerLeft, reason)
+		}
+		delete(viewers, event.ViewerID)
+	}
+
+	first := join("Ann")
+	_ = first.Close(websocket.StatusNormalClosure, "")
+	leave(LeftReasonClosed)
+
+	// The viewer reconnects after its connection dropped: it comes back as a
+	// new viewer and the dropped session is reported as failed.
+	second := join("Ann")
+	_ = second.CloseNow()
+	leave(LeftReasonError)
+
+	join("Ann")
+	join("Bob")
+	if len(viewers) != 2 {
+		t.Fatalf("streamer counts %d viewers, want 2", len(viewers))
+	}
+}
+
+// readCloseReason reads a connection until the server closes it and returns
+// the reason of the close frame.
+func readCloseReason(ctx context.Context, t *testing.T, conn *websocket.Conn) string {
+	t.Helper()
+
+	for {
+		var msg json.RawMessage
+		err := wsjson.Read(ctx, conn, &msg)
+		if err == nil {
+			continue
+		}
+
+		var closeError websocket.CloseError
+		if !errors.As(err, &closeError) {
+			t.Fatalf("reading until the close frame: %v", err)
+		}
+		return closeError.Reason
+	}
+}
+
+// TestStreamerCommands checks that kicking, blocking and denying a viewer
+// close its connection with the matching reason, and that blocking refuses
+// the viewer's address afterwards.
+func TestStreamerCommands(t *testing.T) {
+	url := newTestServer(t, newTestSignaler())
+
+	ctx, cancel := context.WithTimeout(context.Background(), 10*time.Second)
+	defer cancel()
+
+	streamer, code := startStreamer(ctx, t, url, "")
+
+	watch := func(opts *websocket.DialOptions) (*websocket.Conn, string) {
+		t.Helper()
+
+		conn, _, err := websocket.Dial(ctx, url+"/watch/"+code, opts)
+		if err != nil {
+			t.Fatalf("dialing viewer: %v", err)
+		}
+		t.Cleanup(func() { _ = conn.CloseNow() })
+
+		if status := readStatus(ctx, t, conn); status.Type != StatusLive {
+			t.Fatalf("viewer status = %+v, want %q", status, StatusLive)
+		}
+		return conn, readEvent(ctx, t, streamer).ViewerID
+	}
+	command := func(command, viewerID, reason string) {
+		t.Helper()
+
+		err := wsjson.Write(ctx, streamer, StreamerMessage{Type: command, To: viewerID})
+		if err != nil {
+			t.Fatalf("sending %s command: %v", command, err)
+		}
+		if event := readEvent(ctx, t, streamer); event.Type != EventViewerLeft || event.ViewerID != viewerID || event.Reason != reason {
+			t.Fatalf("event = %+v, want %q of %s with reason %q", event, EventViewerLeft, viewerID, reason)
+		}
+	}
+
+	tests := []struct {
+		command    string
+		closeCode  string
+		leftReason string
+	}{
+		{CommandKick, "KICKED", LeftReasonKicked},
+		{CommandDeny, "DENIED", LeftReasonDenied},
+	}
+	for _, tt := range tests {
+		viewer, id := watch(nil)
+		command(tt.command, id, tt.leftReason)
+		if reason := readCloseReason(ctx, t, viewer); reason != tt.closeCode {
+			t.Errorf("%s: viewer closed with %q, want %q", tt.command, reason, tt.closeCode)
+		}
+	}
+
+	// Kicked and denied viewers may come back, blocked ones may not.
+	viewer, id := watch(nil)
+	command(CommandBlock, id, LeftReasonBlocked)
+	if reason := readCloseReason(ctx, t, viewer); reason != "BLOCKED" {
+		t.Fatalf("blocked viewer closed with %q, want BLOCKED", reason)
+	}
+
+	for _, tt := range []struct {
+		name string
+		opts *websocket.DialOptions
+	}{
+		{"reconnect", nil},
+		// Without -trust-proxy, forwarding headers are the client's own word.
+		{"spoofed forwarding headers", &websocket.DialOptions{HTTPHeader: http.Header{
+			"X-Forwarded-For": {"203.0.113.7"},
+			"X-Real-Ip":       {"203.0.113.7"},
+		}}},
+	} {
+		conn, _, err := websocket.Dial(ctx, url+"/watch/"+code, tt.opts)
+		if err != nil {
+			t.Fatalf("%s: dialing viewer: %v", tt.name, err)
+		}
+		t.Cleanup(func() { _ = conn.CloseNow() })
+
+		if reason := readCloseReason(ctx, t, conn); reason != "BLOCKED" {
+			t.Errorf("%s: viewer closed with %q, want BLOCKED", tt.name, reason)
+		}
+	}
+}
+
+// TestStreamerLeaves checks that viewers of a reserved code are sent back to
+// the waiting room when its streamer leaves, as it may come back with the
+// code, while viewers of a generated code learn that the stream ended.
+func TestStreamerLeaves(t *testing.T) {
+	url := newTestServer(t, newTestSignaler())
+
+	ctx, cancel := context.WithTimeout(context.Background(), 10*time.Second)
+	defer cancel()
+
+	watch := func(code string) *websocket.Conn {
+		t.Helper()
+
+		viewer := dial(ctx, t, url+"/watch/"+code)
+		if status := readStatus(ctx, t, viewer); status.Type != StatusLive {
+			t.Fatalf("viewer status = %+v, want %q", status, StatusLive)
+		}
+		return viewer
+	}
+
+	streamer, code := startStreamer(ctx, t, url, "")
+	viewer := watch(code)
+	_ = streamer.Close(websocket.StatusNormalClosure, "")
+	if reason := readCloseReason(ctx, t, viewer); reason != "STREAM_ENDED" {
+		t.Fatalf("viewer of a generated code closed with %q, want STREAM_ENDED", reason)
+	}
+
+	streamer = dial(ctx, t, url+"/stream?code=team-room")
+	var reserved Code
+	if err := wsjson.Read(ctx, streamer, &reserved); err != nil {
+		t.Fatalf("reading streamer code: %v", err)
+	}
+	viewer = watch(reserved.Code)
+	_ = streamer.Close(websocket.StatusNormalClosure, "")
+	if reason := readCloseReason(ctx, t, viewer); reason != "STREAM_INTERRUPTED" {
+		t.Fatalf("viewer of a reserved code closed with %q, want STREAM_INTERRUPTED", reason)
+	}
+
+	// The viewer reconnects and waits for the streamer to reclaim the code.
+	viewer = dial(ctx, t, url+"/watch/"+reserved.Code)
+	if status := readStatus(ctx, t, viewer); status.Type != StatusWaiting {
+		t.Fatalf("viewer status = %+v, want %q", status, StatusWaiting)
+	}
+	startStreamer(ctx, t, url, "?code=team-room&claim="+reserved.Claim)
+	if status := readStatus(ctx, t, viewer); status.Type != StatusLive {
+		t.Fatalf("viewer status = %+v, want %q", status, StatusLive)
+	}
+}
+
+// TestViewerPassphrase checks that viewers of a protected stream are refused
+// without the right passphrase, before they are registered or reported to the
+// streamer.
+func TestViewerPassphrase(t *testing.T) {
+	s := newTestSignaler()
+	url := newTestServer(t, s)
+
+	ctx, cancel := context.WithTimeout(context.Background(), 10*time.Second)
+	defer cancel()
+
+	streamer, code := startStreamer(ctx, t, url, "?passphrase=open+sesame")
+
+	for _, tt := range []struct {
+		query  string
+		reason string
+	}{
+		{"", "PASSPHRASE_REQUIRED"},
+		{"?passphrase=", "PASSPHRASE_REQUIRED"},
+		{"?passphrase=open", "BAD_PASSPHRASE"},
+		{"?passphrase=Open+Sesame", "BAD_PASSPHRASE"},
+	} {
+		viewer := dial(ctx, t, url+"/watch/"+code+tt.query)
+		if reason := readCloseReason(ctx, t, viewer); reason != tt.reason {
+			t.Errorf("viewer with %q closed with %q, want %q", tt.query, reason, tt.reason)
+		}
+	}
+
+	s.VR.Mu.RLock()
+	registered := len(s.VR.Entries)
+	s.VR.Mu.RUnlock()
+	if registered != 0 {
+		t.Fatalf("%d refused viewers are registered", registered)
+	}
+
+	viewer := dial(ctx, t, url+"/watch/"+code+"?passphrase=open+sesame&name=Ann")
+	if status := readStatus(ctx, t, viewer); status.Type != StatusLive {
+		t.Fatalf("viewer status = %+v, want %q", status, StatusLive)
+	}
+
+	// The refused viewers were never announced: the first event is the
+	// accepted viewer's.
+	if event := readEvent(ctx, t, streamer); event.Type != EventViewerJoined || event.Name != "Ann" {
+		t.Fatalf("event = %+v, want %q of Ann", event, EventViewerJoined)
+	}
+}
+
+func TestSanitizeName(t *testing.T) {
+	tests := []struct {
+		name string
+		want string
+	}{
+		{"  Ann  ", "Ann"},
+		{strings.Repeat("é", maxViewerNameLength+5), strings.Repeat("é", maxViewerNameLength)},
+		{"\xff\xfe", ""},
+		{"Streamer fan", "Streamer fan"},
+		// The host's name is reserved, whatever its case, spacing or invisible characters.
+		{"Streamer", ""},
+		{" sTrEaMeR ", ""},
+		{"Stream er", ""},
+		{"S\u200bTREAMER", ""},
+		{"Streamer" + strings.Repeat(" ", maxViewerNameLength) + "!", ""},
+	}
+
+	for _, tt := range tests {
+		if got := sanitizeName(tt.name); got != tt.want {
+			t.Errorf("sanitizeName(%q) = %q, want %q", tt.name, got, tt.want)
+		}
+	}
+}
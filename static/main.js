@@ -9,11 +9,109 @@ const streamTabButton = document.getElementById("streamTabButton");
 const CODE_INPUT = document.getElementById("codeInput"); // Input for the streamer's code
 const connectViewerButton = document.getElementById("connectViewer"); // Button to initiate connection as viewer
 const REMOTE_VIDEO = document.getElementById("remoteVideo"); // Video element for displaying the remote stream
+const VIEWER_NAME_INPUT = document.getElementById("viewerNameInput"); // Optional display name shown to the streamer
+const PASSPHRASE_FIELD = document.getElementById("passphraseField"); // Wrapper shown when the stream asks for a passphrase
+const PASSPHRASE_INPUT = document.getElementById("passphraseInput"); // Passphrase entered by the viewer
+const REMOTE_STATS_OVERLAY = document.getElementById("remoteStatsOverlay"); // Stats overlay on the remote video
+const REMOTE_STATS_BUTTON = document.getElementById("remoteStatsButton"); // Toggles the viewer's stats overlay
+const REMOTE_STATS_EXPORT_BUTTON = document.getElementById(
+  "remoteStatsExportButton"
+); // Downloads the viewer's collected stats as JSON
+const REMOTE_PAUSED_OVERLAY = document.getElementById("remotePausedOverlay"); // Shown while the streamer has paused sharing
+const REMOTE_WAITING_OVERLAY = document.getElementById("remoteWaitingOverlay"); // Shown while the stream is not live yet
+const SNAPSHOT_BUTTON = document.getElementById("snapshotButton"); // Saves the current remote frame as PNG
+const VIEWER_RECORD_BUTTON = document.getElementById("viewerRecordButton"); // Starts/stops recording the remote stream
+const REMOTE_ANNOTATION_CANVAS = document.getElementById(
+  "remoteAnnotationCanvas"
+); // Viewer draws and points on the remote video here
+const ANNOTATE_BUTTON = document.getElementById("annotateButton"); // Turns the viewer's annotation mode on/off
+const REMOTE_SHARES_PANEL = document.getElementById("remoteSharesPanel"); // Shown when the streamer shares several screens
+const REMOTE_SHARE_TILES = document.getElementById("remoteShareTiles"); // One tile per shared screen
+const SHARE_GRID_CHECKBOX = document.getElementById("shareGridCheckbox"); // Shows all screens in a grid instead of one main view
+const VIEWER_RECORDING_STATUS = document.getElementById(
+  "viewerRecordingStatus"
+); // Elapsed time and size of the viewer's recording, or why capture is unavailable
+const VIEWER_RECORDING_DOWNLOAD_LINK = document.getElementById(
+  "viewerRecordingDownloadLink"
+); // Download link for the viewer's finished recording
 // Streamer-specific UI elements
 const initiateStreamButton = document.getElementById("initiateStreamButton"); // Button to start the screen sharing process
+const CHANGE_SOURCE_BUTTON = document.getElementById("changeSourceButton"); // Switches the shared screen/window mid-stream
+const PAUSE_SHARING_BUTTON = document.getElementById("pauseSharingButton"); // Hides the screen behind a "paused" slate
+const ADD_SCREEN_BUTTON = document.getElementById("addScreenButton"); // Shares one more screen/window next to the main one
+const SHARE_LIST = document.getElementById("shareList"); // The streamer's shared screens, with remove buttons
+const SYSTEM_VOLUME_SLIDER = document.getElementById("systemVolumeSlider"); // Volume of the captured system audio
+const SYSTEM_LEVEL_METER = document.getElementById("systemLevelMeter"); // Level of the captured system audio
+const MIC_SELECT = document.getElementById("micSelect"); // Microphone mixed into the stream ('' = off)
+const MIC_VOLUME_SLIDER = document.getElementById("micVolumeSlider"); // Volume of the microphone
+const MIC_LEVEL_METER = document.getElementById("micLevelMeter"); // Level of the microphone
+const MIC_MUTE_BUTTON = document.getElementById("micMuteButton"); // Mutes the microphone without releasing it
+const PIP_TOGGLE_BUTTON = document.getElementById("pipToggleButton"); // Turns the camera overlay on/off
+const PIP_POSITION_SELECT = document.getElementById("pipPositionSelect"); // Corner of the camera overlay
+const PIP_SIZE_SLIDER = document.getElementById("pipSizeSlider"); // Overlay width, in % of the screen width
+const PIP_SHAPE_SELECT = document.getElementById("pipShapeSelect"); // Rounded rectangle or circle
 const STREAMER_CODE_DISPLAY = document.getElementById("streamerCode"); // Displays the unique code for viewers
 const VIEWER_COUNT_DISPLAY = document.getElementById("viewerCount"); // Displays the number of connected viewers
+const COPY_LINK_BUTTON = document.getElementById("copyLinkButton"); // Copies the stream's deep link to the clipboard
+const SHOW_QR_BUTTON = document.getElementById("showQrButton"); // Toggles the QR code for the stream's deep link
+const QR_CODE_CONTAINER = document.getElementById("qrCodeContainer"); // Wrapper for the QR code and the plain link
+const QR_CODE_CANVAS = document.getElementById("qrCodeCanvas"); // Canvas the QR code is drawn on
+const SHARE_LINK_TEXT = document.getElementById("shareLinkText"); // Plain text version of the deep link
 const LOCAL_VIDEO = document.getElementById("localVideo"); // Video element for the streamer's local preview
+const LOCAL_ANNOTATION_CANVAS = document.getElementById(
+  "localAnnotationCanvas"
+); // Viewers' pointers and strokes over the local preview
+const LOCAL_STATS_OVERLAY = document.getElementById("localStatsOverlay"); // Stats overlay on the local preview
+const LOCAL_STATS_BUTTON = document.getElementById("localStatsButton"); // Toggles the streamer's stats overlay
+const LOCAL_STATS_EXPORT_BUTTON = document.getElementById(
+  "localStatsExportButton"
+); // Downloads the streamer's collected stats as JSON
+const VIEWER_ROSTER_BODY = document.getElementById("viewerRosterBody"); // Table body listing the connected viewers
+const VIEWER_ROSTER_EMPTY = document.getElementById("viewerRosterEmpty"); // Placeholder shown while no viewers are present
+const ROOM_CODE_INPUT = document.getElementById("roomCodeInput"); // Optional custom code, kept across streams
+const STREAM_PASSPHRASE_INPUT = document.getElementById(
+  "streamPassphraseInput"
+); // Optional passphrase protecting the stream
+const APPROVE_VIEWERS_CHECKBOX = document.getElementById(
+  "approveViewersCheckbox"
+); // Whether each viewer must be approved
+const APPROVE_VIEWERS_NOTE = document.getElementById("approveViewersNote"); // Explains why approval is off while relaying
+const SFU_MODE_CHECKBOX = document.getElementById("sfuModeCheckbox"); // Relay the stream through the server's SFU
+const QUALITY_PRESET_SELECT = document.getElementById("qualityPresetSelect"); // Capture/encoding preset (can change mid-stream)
+const CODEC_PREFERENCE_SELECT = document.getElementById(
+  "codecPreferenceSelect"
+); // Preferred video codec for viewers without an override
+const ALLOW_VIEWER_CAPTURE_CHECKBOX = document.getElementById(
+  "allowViewerCaptureCheckbox"
+); // Whether viewers may take snapshots and record (can change mid-stream)
+const ALLOW_ANNOTATIONS_CHECKBOX = document.getElementById(
+  "allowAnnotationsCheckbox"
+); // Whether viewers may point and draw on the stream (can change mid-stream)
+// Local recording controls (Stream tab)
+const RECORDING_CODEC_SELECT = document.getElementById("recordingCodecSelect"); // Recording codec choice
+const RECORDING_BITRATE_SELECT = document.getElementById(
+  "recordingBitrateSelect"
+); // Recording video bitrate choice
+const RECORD_BUTTON = document.getElementById("recordButton"); // Starts a local recording of the shared screen
+const PAUSE_RECORDING_BUTTON = document.getElementById("pauseRecordingButton"); // Pauses/resumes the recording
+const STOP_RECORDING_BUTTON = document.getElementById("stopRecordingButton"); // Stops the recording and offers the file
+const RECORDING_STATUS = document.getElementById("recordingStatus"); // Elapsed time and size of the recording
+const RECORDING_DOWNLOAD_LINK = document.getElementById(
+  "recordingDownloadLink"
+); // Download link for the finished recording
+// Chat panels, one per tab (the active one is picked by `role`)
+const CHAT_PANELS = {
+  viewer: {
+    log: document.getElementById("viewerChatLog"),
+    form: document.getElementById("viewerChatForm"),
+    input: document.getElementById("viewerChatInput"),
+  },
+  streamer: {
+    log: document.getElementById("streamerChatLog"),
+    form: document.getElementById("streamerChatForm"),
+    input: document.getElementById("streamerChatInput"),
+  },
+};
 // Determine WebSocket protocol based on page protocol (ws or wss)
 const wsProtocol = window.location.protocol === "https:" ? "wss:" : "ws:";
 // Construct the base URL for the WebSocket signaling server
@@ -48,9 +146,309 @@ let closingConnections = false;
 // Flag for display media support
 let isDisplayMediaSupported = false;
 
+// Cached ICE configuration fetched from the backend (see `getIceConfiguration`)
+let iceConfiguration = null;
+// Timestamp (ms) after which the cached ICE configuration must be fetched again
+let iceConfigurationExpiresAt = 0;
+// Number of recovery attempts (ICE restarts and reconnects) made since the viewer was last connected
+let reconnectAttempt = 0;
+// Recovery attempts before the viewer gives up, as set by the server (`-viewer-reconnect-attempts`); null until loaded
+let serverReconnectAttempts = null;
+// Flag indicating the viewer is recovering a dropped connection (suppresses the usual teardown on failure)
+let viewerReconnecting = false;
+// Viewer only: settles the promise of `waitForStreamLive` (true once the stream is live, false if the socket closed first)
+let streamLiveResolver = null;
+// Timeout ID for the delayed ICE restart after the connection reports 'disconnected'
+let iceRestartTimer = null;
+// Timeout ID for the next WebSocket reconnect attempt (exponential backoff)
+let reconnectTimer = null;
+// Map of viewers known to the streamer. Key: viewerId. Value: { name, joinedAt, connectionState, route }.
+let viewerRoster = new Map();
+// Interval ID for refreshing per-viewer connection details in the roster
+let rosterStatsInterval = null;
+// Flag indicating the streamer must approve each viewer before answering its offer
+let requireViewerApproval = false;
+// Flag indicating the stream is relayed by the server's SFU (streamer only, set from the server's 'code' message)
+let sfuMode = false;
+// Set of viewerIds whose data channel to the SFU is open (SFU mode only; their messages are relayed, see `handleRelayMessage`)
+let sfuChannels = new Set();
+// Perfect negotiation state per connection (see `getNegotiationState`). Key: 'streamer' or viewerId.
+let negotiationStates = new Map();
+// Viewers waiting for approval. Key: viewerId. Value: { offer } received so far (candidates are queued per peer).
+let pendingApprovals = new Map();
+// Set of viewerIds the streamer has approved (their later offers, e.g. ICE restarts, are answered directly)
+let approvedViewers = new Set();
+// Streamer's active local recording of `localStream` (see `startRecording`), or null
+let streamerRecording = null;
+// Interval ID for refreshing the recording's elapsed time and size
+let recordingUiInterval = null;
+// Object URL of the last finished recording, revoked when a new recording starts
+let recordingDownloadUrl = null;
+// Viewer's active recording of the remote stream, or null
+let viewerRecording = null;
+// Interval ID for refreshing the viewer recording's elapsed time and size
+let viewerRecordingUiInterval = null;
+// Object URL of the viewer's last finished recording
+let viewerRecordingDownloadUrl = null;
+// Viewer only: whether the streamer allows snapshots and recording. Off until the streamer says otherwise.
+let viewerCaptureAllowed = false;
+// Viewer only: whether the streamer allows pointing and drawing, and whether annotation mode is on
+let viewerAnnotationAllowed = false;
+let annotating = false;
+// Viewer only: the stroke being drawn ({ id, points, sentCount, moved, lastSentAt }), and strokes drawn so far
+let viewerStroke = null;
+let annotationStrokeCount = 0;
+// Pointers and strokes shown over the video ({ id, owner, name, stroke, points, color, updatedAt }).
+// Streamer: the viewers' annotations. Viewer: its own.
+let annotationItems = [];
+// requestAnimationFrame ID of the annotation drawing loop, or null when idle
+let annotationFrame = null;
+// Streamer only: adaptive bitrate state per viewer ({ level, goodSamples, lastChangeAt, packet counters }). Key: viewerId.
+let adaptiveBitrateStates = new Map();
+// Interval ID for sampling the viewers' stats for adaptive bitrate
+let adaptiveBitrateInterval = null;
+// Viewer only: the video layer picked in the player ('auto' or an ID of `SIMULCAST_LAYERS`), and its selector
+let videoLayerPreference = "auto";
+let videoLayerSelect = null;
+// Streamer only: Web Audio graph mixing system audio and the microphone (see `createAudioMixer`), or null
+let audioMixer = null;
+// Whether the microphone is muted (kept across streams)
+let micMuted = false;
+// Streamer only: the camera overlay compositor while the overlay is on (see `togglePictureInPicture`), or null
+let pipCompositor = null;
+// Camera overlay position, size (% of the screen width) and shape, read from the controls
+let pipSettings = { position: "bottom-right", size: 20, shape: "rounded" };
+// Streamer only: screens shared in addition to `localStream`. Key: the capture's stream ID.
+// Value: { stream, track, label, senders: Map<viewerId, RTCRtpSender> }
+let extraShares = new Map();
+// Streamer only: label of the main capture (`localStream`), and how many captures were labelled so far
+let primaryShareLabel = null;
+let shareLabelCount = 0;
+// Viewer only: the streamer's screens. Key: stream ID. Value: { stream, tile, video, caption }
+let remoteShares = new Map();
+// Viewer only: share labels sent by the streamer. Key: stream ID. Value: label
+let remoteShareLabels = new Map();
+// Viewer only: the stream carrying the audio (the streamer's main capture), and the screen in the main view
+let primaryShareId = null;
+let mainShareId = null;
+// Streamer only: whether sharing is paused behind the slate
+let streamPaused = false;
+// Streamer only: the "Stream paused" slate while paused (see `createPauseSlate`), or null
+let pauseSlate = null;
+// Interval ID for sampling connection statistics (overlay and export)
+let statsInterval = null;
+// Samples ({ ts, connections: { key: summary } }) from the last STATS_HISTORY_MS, oldest first
+let statsHistory = [];
+// Previous byte/packet counters per connection, for computing rates. Same keys as `peerConnections`.
+let statsPrevious = new Map();
+// Map storing the data channel of each peer connection. Same keys as `peerConnections`.
+let dataChannels = new Map();
+// Send times of our own recent chat messages, for client-side rate limiting
+let chatSendTimes = [];
+// Streamer only: receive times of each viewer's recent chat messages. Key: viewerId.
+let viewerChatTimes = new Map();
+
 // --- Constants for Audio Quality ---
 const TARGET_AUDIO_BITRATE = 128000; // Target bitrate in bps (e.g., 128kbps) - adjust as needed
 
+// --- Constants for Video Quality ---
+// Capture and encoding presets selectable by the streamer. Each preset sets:
+// - `constraints`: getDisplayMedia / applyConstraints video constraints
+// - `contentHint`: tells the encoder what to optimize for ('text', 'detail' or 'motion')
+// - `encoding`: RTCRtpSender encoding parameters applied to every viewer's video sender
+// - `degradationPreference`: what the encoder gives up first when bandwidth is short
+const QUALITY_PRESETS = {
+  text: {
+    constraints: {
+      width: { ideal: 1920 },
+      height: { ideal: 1080 },
+      frameRate: { ideal: 5, max: 5 },
+    },
+    contentHint: "text",
+    encoding: {
+      maxBitrate: 2500000,
+      maxFramerate: 5,
+      scaleResolutionDownBy: 1,
+    },
+    degradationPreference: "maintain-resolution",
+  },
+  balanced: {
+    constraints: {
+      width: { ideal: 1920 },
+      height: { ideal: 1080 },
+      frameRate: { ideal: 30, max: 30 },
+    },
+    contentHint: "detail",
+    encoding: {
+      maxBitrate: 3000000,
+      maxFramerate: 30,
+      scaleResolutionDownBy: 1,
+    },
+    degradationPreference: "balanced",
+  },
+  motion: {
+    constraints: {
+      width: { ideal: 1280 },
+      height: { ideal: 720 },
+      frameRate: { ideal: 60, max: 60 }, // getDisplayMedia rejects `min`
+    },
+    contentHint: "motion",
+    encoding: {
+      maxBitrate: 4000000,
+      maxFramerate: 60,
+      scaleResolutionDownBy: 1,
+    },
+    degradationPreference: "maintain-framerate",
+  },
+  low: {
+    constraints: {
+      width: { ideal: 1280 },
+      height: { ideal: 720 },
+      frameRate: { ideal: 15, max: 15 },
+    },
+    contentHint: "detail",
+    encoding: {
+      maxBitrate: 500000,
+      maxFramerate: 15,
+      scaleResolutionDownBy: 1.5,
+    },
+    degradationPreference: "balanced",
+  },
+};
+const DEFAULT_QUALITY_PRESET = "balanced";
+
+// --- Constants for Video Codecs ---
+// Video codecs the streamer can prefer. Ones the browser doesn't support are hidden from the selectors.
+const VIDEO_CODECS = [
+  { id: "vp8", label: "VP8", mimeType: "video/VP8" },
+  { id: "vp9", label: "VP9", mimeType: "video/VP9" },
+  { id: "h264", label: "H.264", mimeType: "video/H264" },
+  { id: "av1", label: "AV1", mimeType: "video/AV1" },
+];
+
+// --- Constants for Adaptive Bitrate ---
+// Steps a viewer's video can be degraded through, relative to the quality preset's limits.
+// Step 0 is the preset itself; higher steps cut bitrate first, then frame rate and resolution.
+const ADAPTIVE_BITRATE_STEPS = [
+  { bitrate: 1, framerate: 1, scale: 1 },
+  { bitrate: 0.7, framerate: 1, scale: 1 },
+  { bitrate: 0.5, framerate: 0.75, scale: 1.25 },
+  { bitrate: 0.3, framerate: 0.5, scale: 1.5 },
+  { bitrate: 0.15, framerate: 0.5, scale: 2 },
+];
+const ADAPTIVE_BITRATE_INTERVAL_MS = 2000; // How often each viewer's stats are sampled
+const ABR_LOSS_DOWNGRADE = 0.05; // Step down above 5% packet loss
+const ABR_LOSS_UPGRADE = 0.02; // Count a sample as good below 2% packet loss
+const ABR_RTT_DOWNGRADE_MS = 400; // Step down above this round-trip time
+const ABR_RTT_UPGRADE_MS = 250; // Count a sample as good below this round-trip time
+const ABR_BANDWIDTH_HEADROOM = 0.8; // Step down if bandwidth-limited and the estimate is below 80% of the cap
+const ABR_UPGRADE_AFTER_SAMPLES = 5; // Consecutive good samples needed before stepping up
+const ABR_MIN_HOLD_MS = 4000; // Minimum time between two changes for the same viewer
+
+// --- Constants for Simulcast ---
+// Layers of the streamer's video, from the best. In SFU mode the streamer sends all of them as
+// simulcast encodings (identified by `rid`) and the server forwards one per viewer. In peer-to-peer
+// mode each viewer has its own encoding, which a viewer picking a layer just scales to that layer.
+// `scale` and `bitrate` are relative to the quality preset.
+const SIMULCAST_LAYERS = [
+  { id: "high", rid: "h", label: "High", scale: 1, bitrate: 1 },
+  { id: "medium", rid: "m", label: "Medium", scale: 2, bitrate: 0.35 },
+  { id: "low", rid: "l", label: "Low", scale: 4, bitrate: 0.12 },
+];
+
+// --- Constants for Viewer Reconnection ---
+const MAX_RECONNECT_ATTEMPTS = 6; // Recovery attempts before the viewer gives up, unless the server's viewer configuration sets them
+const VIEWER_CONFIG_URL = "/viewer-config"; // Backend endpoint serving the viewer's reconnect policy
+const ICE_RESTART_GRACE_MS = 3000; // Time to wait for a 'disconnected' connection to recover by itself
+const ICE_RESTART_TIMEOUT_MS = 10000; // Time an ICE restart gets before falling back to a full reconnect
+const RECONNECT_BASE_DELAY_MS = 1000; // Backoff delay for the first reconnect, doubled on each attempt
+const RECONNECT_MAX_DELAY_MS = 30000; // Upper bound for the backoff delay
+
+// --- Constants for the Viewer Roster ---
+const ROSTER_STATS_INTERVAL_MS = 2000; // How often the roster's connection routes are refreshed
+const VIEWER_NAME_STORAGE_KEY = "screenz.viewerName"; // localStorage key remembering the viewer's display name
+
+// --- Constants for Recording ---
+// Codecs offered for recordings, in order of preference. Only those MediaRecorder supports are listed.
+const RECORDING_CODECS = [
+  { label: "VP9", codec: "vp9" },
+  { label: "VP8", codec: "vp8" },
+  { label: "AV1", codec: "av01" },
+];
+const RECORDING_AUDIO_BITS_PER_SECOND = 128000; // Opus bitrate for recorded audio
+const RECORDING_TIMESLICE_MS = 1000; // How often MediaRecorder hands over data (keeps the size display current)
+const RECORDING_UI_INTERVAL_MS = 500; // How often the elapsed time and size are refreshed
+
+// --- Constants for the Audio Mixer ---
+const MIXER_METER_FFT_SIZE = 1024; // Samples analysed per level meter update
+
+// --- Constants for the Camera Overlay ---
+const PIP_FPS = 30; // Frame rate of the canvas compositor (the insertable streams one follows the camera)
+const PIP_MARGIN_RATIO = 0.02; // Gap between the overlay and the screen edges, relative to the width
+const PIP_CAMERA_CONSTRAINTS = {
+  width: { ideal: 640 },
+  height: { ideal: 480 },
+  frameRate: { ideal: 30 },
+};
+
+// --- Constants for Multiple Screen Shares ---
+// Share label prefix per captured surface type (`displaySurface` setting of the capture)
+const SHARE_SURFACE_LABELS = {
+  monitor: "Screen",
+  window: "Window",
+  browser: "Tab",
+};
+
+// --- Constants for Annotations ---
+const ANNOTATION_HOLD_MS = 3000; // How long a pointer or stroke stays fully visible after its last update
+const ANNOTATION_FADE_MS = 1000; // Fade-out duration after that
+const ANNOTATION_MAX_POINTS = 500; // Points kept per stroke
+const ANNOTATION_MAX_ITEMS = 20; // Annotations kept per viewer
+const ANNOTATION_SEND_INTERVAL_MS = 50; // Batching interval of a viewer's stroke points
+const ANNOTATION_COLORS = [
+  "#ffd43b",
+  "#69db7c",
+  "#4dabf7",
+  "#ff8787",
+  "#da77f2",
+  "#ffa94d",
+];
+
+// --- Constants for the Pause Slate ---
+const PAUSE_SLATE_WIDTH = 1280; // Size of the "Stream paused" slate sent while paused
+const PAUSE_SLATE_HEIGHT = 720;
+const PAUSE_SLATE_FPS = 1; // The slate only changes once a second
+
+// --- Constants for Connection Statistics ---
+const STATS_INTERVAL_MS = 1000; // How often connection statistics are sampled
+const STATS_HISTORY_MS = 5 * 60 * 1000; // How much history is kept for the JSON export (5 minutes)
+
+// --- Constants for the SFU Relay ---
+const SFU_PEER_ID = "sfu"; // Key of the streamer's connection to the server's SFU, and its peer ID in signaling messages
+
+// --- Constants for Data Channels and Chat ---
+const DATA_CHANNEL_LABEL = "screenz"; // Label of the data channel carrying chat and other app messages
+const DATA_CHANNEL_ID = 0; // Pre-negotiated channel ID, so both peers create the channel in `createPeerConnection`
+const CHAT_MAX_LENGTH = 500; // Maximum characters per chat message
+const CHAT_RATE_LIMIT = 5; // Maximum chat messages per sender within CHAT_RATE_WINDOW_MS
+const CHAT_RATE_WINDOW_MS = 5000;
+const STREAMER_CHAT_NAME = "Streamer"; // Sender name of the streamer's own messages (reserved by the server, see `sanitizeName`)
+
+// --- Constants for Room Codes ---
+const ROOM_CODE_STORAGE_KEY = "screenz.roomCode"; // localStorage key remembering the streamer's custom code
+const CLAIM_TOKENS_STORAGE_KEY = "screenz.claimTokens"; // localStorage key of the claim tokens of custom codes ({ code: token })
+
+// --- Constants for Deep Links ---
+const STREAMER_CODE_PATTERN = /^[A-Z0-9-]{4,32}$/; // Valid streamer codes: generated (5 characters) or custom
+const DEEP_LINK_HASH_PATTERN = /^#\/watch\/([^/?#]+)$/i; // Matches links like '/#/watch/AB12C'
+
+// --- Constants for ICE Configuration ---
+const ICE_CONFIG_URL = "/ice-config"; // Backend endpoint serving STUN/TURN servers
+// Used only when the backend configuration cannot be fetched
+const FALLBACK_ICE_CONFIGURATION = {
+  iceServers: [{ urls: "stun:stun.l.google.com:19302" }],
+};
+
 /**
  * Initializes or resets the Plyr video player instances for local and remote videos.
  * This ensures players are ready when needed and reset correctly during cleanup,
@@ -96,6 +494,8 @@ function initializePlyrPlayers(playLocalPreview = false) {
         clickToPlay: false, // Start might be handled programmatically
       });
       console.log("Plyr initialized for remote video.");
+      // Plyr builds its controls asynchronously; add the video layer selector once they exist
+      remotePlayer.on("ready", addVideoLayerSelector);
       // Start with controls hidden until stream arrives
       document
         .getElementById("remoteVideoContainer")
@@ -157,11 +557,13 @@ function clearError() {
 /**
  * Updates the viewer count display in the streamer's UI.
  * Only functions if the current role is 'streamer'.
- * Calculates count based on the size of the `peerConnections` map.
+ * Counts the viewers of the roster, which follows the server's 'viewer_joined' and
+ * 'viewer_left' events, so the count changes as soon as a viewer comes or goes instead
+ * of waiting for its peer connection (or, in SFU mode, the relay) to report it.
  */
 function updateViewerCount() {
   if (role !== "streamer") return; // Only relevant for the streamer
-  const count = peerConnections.size;
+  const count = viewerRoster.size;
   VIEWER_COUNT_DISPLAY.textContent = count;
   console.log(`Viewer count updated: ${count}`);
 }
@@ -245,6 +647,164 @@ function switchTab(targetId) {
 watchTabButton.addEventListener("click", () => switchTab("watchTabContent"));
 streamTabButton.addEventListener("click", () => switchTab("streamTabContent"));
 
+// --- Deep Links and Sharing ---
+
+/**
+ * Returns the claim token this browser holds for a custom room code.
+ * @param {string} code - The room code.
+ * @returns {string | null} The token, or null if the code was never reserved here.
+ */
+function getClaimToken(code) {
+  try {
+    const tokens = JSON.parse(localStorage.getItem(CLAIM_TOKENS_STORAGE_KEY));
+    return tokens?.[code] || null;
+  } catch (e) {
+    console.warn("Could not read claim tokens:", e);
+    return null;
+  }
+}
+
+/**
+ * Remembers the claim token of a custom room code, and the code itself for the next stream.
+ * @param {string} code - The room code.
+ * @param {string} claim - The token sent by the server.
+ */
+function saveClaimToken(code, claim) {
+  try {
+    const tokens =
+      JSON.parse(localStorage.getItem(CLAIM_TOKENS_STORAGE_KEY)) || {};
+    tokens[code] = claim;
+    localStorage.setItem(CLAIM_TOKENS_STORAGE_KEY, JSON.stringify(tokens));
+    localStorage.setItem(ROOM_CODE_STORAGE_KEY, code);
+  } catch (e) {
+    console.warn("Could not persist claim token:", e);
+  }
+}
+
+/**
+ * Builds the link viewers can open to join a stream directly.
+ * @param {string} code - The streamer code.
+ * @returns {string} A URL such as 'https://host/#/watch/AB12C'.
+ */
+function getShareLink(code) {
+  return `${window.location.origin}/#/watch/${encodeURIComponent(code)}`;
+}
+
+/**
+ * Reads a streamer code from the page URL, supporting both '/#/watch/AB12C' and '?code=AB12C'.
+ * @returns {string | null} The upper-cased code, or null if the URL holds no valid code.
+ */
+function getDeepLinkCode() {
+  let code = null;
+  const hashMatch = window.location.hash.match(DEEP_LINK_HASH_PATTERN);
+  if (hashMatch) {
+    code = decodeURIComponent(hashMatch[1]);
+  } else {
+    code = new URLSearchParams(window.location.search).get("code");
+  }
+  if (!code) return null;
+
+  code = code.trim().toUpperCase();
+  if (!STREAMER_CODE_PATTERN.test(code)) {
+    console.warn(`Ignoring deep link with invalid code: ${code}`);
+    return null;
+  }
+  return code;
+}
+
+/**
+ * Opens the Watch tab and connects to the stream named in the URL, if any.
+ * Called on page load and whenever the URL hash changes.
+ */
+function handleDeepLink() {
+  const code = getDeepLinkCode();
+  if (!code) return;
+  if (role === "streamer" && streamerInitialized) {
+    console.warn("Ignoring deep link while streaming.");
+    return;
+  }
+  // Already watching (or connecting to) this stream
+  if (
+    role === "viewer" &&
+    viewerTargetCode === code &&
+    peerConnections.size > 0
+  ) {
+    return;
+  }
+
+  console.log(`Deep link: joining stream ${code}.`);
+  if (peerConnections.size > 0 || ws) closeConnections();
+  switchTab("watchTabContent");
+  CODE_INPUT.value = code;
+  connectViewer();
+}
+window.addEventListener("hashchange", handleDeepLink);
+
+/**
+ * Enables the share controls once the streamer has a code, and disables and hides them otherwise.
+ * Redraws the QR code if it is visible.
+ */
+function updateShareControls() {
+  const hasCode = role === "streamer" && !!streamerCode;
+  if (COPY_LINK_BUTTON) COPY_LINK_BUTTON.disabled = !hasCode;
+  if (SHOW_QR_BUTTON) SHOW_QR_BUTTON.disabled = !hasCode;
+  if (!hasCode) {
+    if (QR_CODE_CONTAINER) QR_CODE_CONTAINER.style.display = "none";
+    if (SHOW_QR_BUTTON) SHOW_QR_BUTTON.textContent = "Show QR code";
+    return;
+  }
+  if (QR_CODE_CONTAINER?.style.display !== "none") renderShareQrCode();
+}
+
+/**
+ * Copies the stream's deep link to the clipboard.
+ */
+async function copyShareLink() {
+  if (!streamerCode) return;
+  const link = getShareLink(streamerCode);
+  try {
+    await navigator.clipboard.writeText(link);
+    setStatus("Link copied to clipboard.", true);
+  } catch (e) {
+    console.warn("Clipboard write failed:", e);
+    // Fall back to showing the link so it can be copied by hand
+    if (SHARE_LINK_TEXT) SHARE_LINK_TEXT.textContent = link;
+    if (QR_CODE_CONTAINER) QR_CODE_CONTAINER.style.display = "";
+    setStatus(
+      "Could not access the clipboard, copy the link below.",
+      false,
+      true
+    );
+  }
+}
+COPY_LINK_BUTTON?.addEventListener("click", copyShareLink);
+
+/**
+ * Draws the QR code for the stream's deep link. The code is generated locally (see qrcode.js).
+ */
+function renderShareQrCode() {
+  const link = getShareLink(streamerCode);
+  if (SHARE_LINK_TEXT) SHARE_LINK_TEXT.textContent = link;
+  try {
+    QRCode.drawToCanvas(QR_CODE_CANVAS, link);
+  } catch (e) {
+    console.error("Failed to generate QR code:", e);
+    setError(`Could not generate QR code: ${e.message}`);
+  }
+}
+
+/**
+ * Shows or hides the QR code for the stream's deep link.
+ */
+function toggleShareQrCode() {
+  if (!streamerCode || !QR_CODE_CONTAINER) return;
+  const visible = QR_CODE_CONTAINER.style.display !== "none";
+  if (!visible) renderShareQrCode();
+  QR_CODE_CONTAINER.style.display = visible ? "none" : "";
+  SHOW_QR_BUTTON.textContent = visible ? "Show QR code" : "Hide QR code";
+}
+SHOW_QR_BUTTON?.addEventListener("click", toggleShareQrCode);
+
 // --- Core Logic (WebSocket Signaling and WebRTC) ---
 
 /**
@@ -258,7 +818,8 @@ streamTabButton.addEventListener("click", () => switchTab("streamTabContent"));
  */
 function connectWebSocket(url) {
   return new Promise((resolve, reject) => {
-    setStatus(`Connecting signaling server...`);
+    // Keep the "Reconnecting…" status visible during recovery attempts
+    if (!viewerReconnecting) setStatus(`Connecting signaling server...`);
     wsConnected = false; // Reset connection status flag
 
     // If a WS connection exists, close it before creating a new one
@@ -295,8 +856,11 @@ function connectWebSocket(url) {
 
       if (!wsConnected) {
         // Failure during the initial connection attempt
-        setError(`Signaling connection failed: ${errorMsg}`);
         reject(new Error(errorMsg)); // Reject the promise
+        if (viewerReconnecting) {
+          return; // The reconnect logic schedules the next attempt itself
+        }
+        setError(`Signaling connection failed: ${errorMsg}`);
         closeConnections(false); // Clean up any partial state, don't try to close WS again
       } else {
         // Error occurred after connection was established (interruption)
@@ -322,13 +886,144 @@ function connectWebSocket(url) {
 
       let handledSpecific = false; // Flag for specific close reasons
 
-      // Handle specific case for viewers: If the server closes because the streamer wasn't found.
+      // A viewer still waiting for the stream to go live stops waiting
+      if (role === "viewer") {
+        resolveStreamLive(false);
+        setViewerWaiting(false);
+      }
+
+      // While recovering, a missing streamer may just be a streamer that is reloading: keep retrying.
+      if (
+        role === "viewer" &&
+        viewerReconnecting &&
+        code === 1000 &&
+        reason === "NO_STREAMER"
+      ) {
+        console.warn("Viewer: Streamer not found while reconnecting.");
+        ws = null;
+        wsConnected = false;
+        scheduleViewerReconnect();
+        return;
+      }
+
+      // Handle the streamer leaving a reserved code (e.g. reloading): wait in the waiting room for it to come back.
+      if (
+        role === "viewer" &&
+        code === 1000 &&
+        reason === "STREAM_INTERRUPTED"
+      ) {
+        console.log("Viewer: Streamer left, waiting for the stream to resume.");
+        ws = null;
+        wsConnected = false;
+        resetViewerReconnection(); // Waiting is not a failed reconnect attempt
+        setStatus(
+          "The host left, waiting for the stream to resume…",
+          false,
+          true
+        );
+        reconnectViewer(); // Keeps the last frame visible until the stream resumes
+        return;
+      }
+
+      // Handle the streamer ending the stream: there is nothing to reconnect to.
+      if (role === "viewer" && code === 1000 && reason === "STREAM_ENDED") {
+        console.log("Viewer: Server reports the stream has ended.");
+        ws = null;
+        wsConnected = false;
+        closeConnections(false);
+        setStatus("The stream has ended.");
+        return;
+      }
+
+      // Handle the streamer removing this viewer: reconnecting would only be refused.
+      if (
+        role === "viewer" &&
+        code === 1000 &&
+        (reason === "KICKED" || reason === "BLOCKED" || reason === "DENIED")
+      ) {
+        console.log(
+          `Viewer: Removed from the stream by the streamer (${reason}).`
+        );
+        ws = null;
+        wsConnected = false;
+        closeConnections(false);
+        setError(
+          reason === "BLOCKED"
+            ? "You have been blocked from this stream."
+            : reason === "DENIED"
+            ? "The streamer declined your request to join."
+            : "You were removed from the stream by the streamer."
+        );
+        return;
+      }
+
+      // Handle the server refusing the streamer's custom code, or another tab reclaiming it.
+      if (
+        role === "streamer" &&
+        code === 1000 &&
+        (reason === "INVALID_CODE" ||
+          reason === "CODE_TAKEN" ||
+          reason === "RECLAIMED")
+      ) {
+        console.log(`Streamer: Room code refused or reclaimed (${reason}).`);
+        ws = null;
+        wsConnected = false;
+        closeConnections(false);
+        setError(
+          reason === "INVALID_CODE"
+            ? "Invalid room code: use 4 to 32 letters, digits or dashes."
+            : reason === "CODE_TAKEN"
+            ? "This room code is already taken. Choose another one."
+            : "This room was taken over by another session (e.g. another tab)."
+        );
+        return;
+      }
+
+      // Handle protected streams: ask for the passphrase and let the viewer try again.
+      if (
+        role === "viewer" &&
+        code === 1000 &&
+        (reason === "PASSPHRASE_REQUIRED" || reason === "BAD_PASSPHRASE")
+      ) {
+        console.log(`Viewer: Stream is passphrase protected (${reason}).`);
+        ws = null;
+        wsConnected = false;
+        closeConnections(false);
+        if (PASSPHRASE_FIELD) PASSPHRASE_FIELD.style.display = "";
+        PASSPHRASE_INPUT?.focus();
+        setError(
+          reason === "BAD_PASSPHRASE"
+            ? "Wrong passphrase. Please try again."
+            : "This stream is protected. Enter its passphrase and connect again."
+        );
+        return;
+      }
+
+      // Handle the server refusing to keep one more viewer waiting for a stream that is not live.
+      if (
+        role === "viewer" &&
+        code === 1000 &&
+        reason === "WAITING_ROOM_FULL"
+      ) {
+        console.log("Viewer: The waiting room of the stream is full.");
+        ws = null;
+        wsConnected = false;
+        closeConnections(false);
+        setError(
+          `Too many viewers are already waiting for stream '${viewerTargetCode}'. Try again later.`
+        );
+        return;
+      }
+
+      // Handle specific case for viewers: the stream is not live (and didn't go live while the server kept us waiting).
       if (role === "viewer" && code === 1000 && reason === "NO_STREAMER") {
         const targetCode =
           viewerTargetCode ||
           CODE_INPUT.value.trim().toUpperCase() ||
           "the requested code";
-        setError(`Streamer '${targetCode}' not found or is no longer active.`);
+        setError(
+          `Stream '${targetCode}' is not live. Try again once the host has started it.`
+        );
         clearTimeout(signalingTimeout); // Stop connection timeout timer
         signalingTimeout = null;
         if (connectViewerButton) connectViewerButton.disabled = false; // Re-enable connect button
@@ -396,10 +1091,26 @@ async function startStreamerInitialization() {
     );
     return;
   }
+  // Checked before capturing, so a typo doesn't cost a screen picker round trip
+  const roomCode = ROOM_CODE_INPUT?.value.trim().toUpperCase() || "";
+  if (roomCode && !STREAMER_CODE_PATTERN.test(roomCode)) {
+    setError(
+      "Invalid room code: use 4 to 32 letters, digits or dashes, or leave it empty."
+    );
+    return;
+  }
   streamerInitialized = true; // Mark as initialized
   initiateStreamButton.disabled = true; // Disable button during setup
   initiateStreamButton.style.display = "none"; // Hide button after starting
+  // Stream options are fixed for the lifetime of the stream
+  const passphrase = STREAM_PASSPHRASE_INPUT.value;
+  const relayed = !!SFU_MODE_CHECKBOX?.checked;
+  // Viewers negotiate with the server in SFU mode, there is no offer to hold back
+  requireViewerApproval = APPROVE_VIEWERS_CHECKBOX.checked && !relayed;
+  setStreamOptionsDisabled(true);
   clearError(); // Clear previous errors
+  clearChatLog();
+  statsHistory = []; // Stats exports cover the current session only
   setStatus("Starting Stream...");
 
   try {
@@ -410,9 +1121,28 @@ async function startStreamerInitialization() {
     if (!localStream || !localStream.active) {
       throw new Error("Screen capture failed or permission was denied.");
     }
+    updateStreamerRecordingControls(); // The shared screen can be recorded from now on
+    [CHANGE_SOURCE_BUTTON, PAUSE_SHARING_BUTTON].forEach((button) => {
+      if (!button) return;
+      button.style.display = "inline-block";
+      button.disabled = false;
+    });
+    updatePictureInPictureControls();
+    primaryShareLabel = getShareLabel(localStream.getVideoTracks()[0]);
+    renderShareList();
 
-    // Connect to the signaling server's streamer endpoint
-    ws = await connectWebSocket(`${WS_URL_BASE}/stream`);
+    // Connect to the signaling server's streamer endpoint (the server enforces the passphrase)
+    const params = new URLSearchParams();
+    if (roomCode) {
+      params.set("code", roomCode);
+      // Proves this browser reserved the code before (e.g. the page was reloaded)
+      const claim = getClaimToken(roomCode);
+      if (claim) params.set("claim", claim);
+    }
+    if (passphrase) params.set("passphrase", passphrase);
+    if (relayed) params.set("mode", "sfu"); // Confirmed (or refused) in the server's 'code' message
+    const query = params.toString() ? `?${params}` : "";
+    ws = await connectWebSocket(`${WS_URL_BASE}/stream${query}`);
 
     // If WebSocket connection is successful, update status
     setStatus("Streaming setup complete. Waiting for code...", true); // Status indicates ready for code
@@ -425,6 +1155,26 @@ async function startStreamerInitialization() {
 // Attach listener to the streamer start button
 initiateStreamButton.addEventListener("click", startStreamerInitialization);
 
+/**
+ * Enables or disables the stream options (room code, passphrase, viewer approval, SFU relay), which cannot change mid-stream.
+ * Viewer approval is unavailable while the SFU relay is selected, which `APPROVE_VIEWERS_NOTE` explains.
+ * @param {boolean} disabled - Whether the options should be disabled.
+ */
+function setStreamOptionsDisabled(disabled) {
+  if (ROOM_CODE_INPUT) ROOM_CODE_INPUT.disabled = disabled;
+  if (STREAM_PASSPHRASE_INPUT) STREAM_PASSPHRASE_INPUT.disabled = disabled;
+  if (SFU_MODE_CHECKBOX) SFU_MODE_CHECKBOX.disabled = disabled;
+  const relayed = !!SFU_MODE_CHECKBOX?.checked;
+  if (APPROVE_VIEWERS_CHECKBOX) {
+    APPROVE_VIEWERS_CHECKBOX.disabled = disabled || relayed;
+  }
+  if (APPROVE_VIEWERS_NOTE) APPROVE_VIEWERS_NOTE.hidden = !relayed;
+}
+SFU_MODE_CHECKBOX?.addEventListener("change", () => {
+  if (SFU_MODE_CHECKBOX.checked) APPROVE_VIEWERS_CHECKBOX.checked = false;
+  setStreamOptionsDisabled(false);
+});
+
 /**
  * Requests screen capture using `navigator.mediaDevices.getDisplayMedia`.
  * Includes requests for both video and audio tracks with high-quality constraints.
@@ -454,11 +1204,34 @@ async function startLocalStream() {
   localStream = null;
   if (LOCAL_VIDEO) LOCAL_VIDEO.srcObject = null; // Clear preview
 
+  try {
+    const captured = await captureDisplayMedia();
+    // System audio is sent through the mixer, so a microphone can be mixed in at any time
+    if (routeCapturedAudio(captured)) captured.addTrack(audioMixer.output);
+    localStream = captured; // Store the full stream (video + audio if available)
+    setupLocalStreamTracks();
+    await applyMicSelection(); // A microphone chosen before the stream started
+  } catch (error) {
+    closeAudioMixer();
+    localStream = null; // Ensure stream is null on error
+    if (LOCAL_VIDEO) LOCAL_VIDEO.srcObject = null; // Clear preview on error
+    throw error;
+  }
+}
+
+/**
+ * Calls `getDisplayMedia` with the selected quality preset and high-quality audio constraints.
+ * Used both when the stream starts and when the streamer changes the source.
+ * @returns {Promise<MediaStream>} The captured stream (video, plus audio if the user shared it).
+ * @throws {Error} With a user-facing message if capture fails, is denied or is cancelled.
+ */
+async function captureDisplayMedia() {
   try {
     // Request display media (screen and audio) with high-quality hints
     // Note: Browser support for these specific constraints can vary.
+    const preset = getSelectedQualityPreset();
     const displayMediaOptions = {
-      video: true,
+      video: preset.constraints, // Resolution and frame rate of the selected quality preset
       audio: {
         // --- NEW: Audio constraints for higher quality ---
         // Request ideal sample rate (e.g., 48kHz)
@@ -494,71 +1267,9 @@ async function startLocalStream() {
     console.log(
       `Screen capture started successfully. Stream ID: ${fullStream.id}`
     );
-    localStream = fullStream; // Store the full stream (video + audio if available)
-
-    // Check actual audio track settings (for debugging)
-    const audioTracks = localStream.getAudioTracks();
-    if (audioTracks.length > 0) {
-      const settings = audioTracks[0].getSettings();
-      console.log("Actual captured audio track settings:", settings);
-      if (!settings.sampleRate || settings.sampleRate < 44100) {
-        console.warn("Low audio sample rate captured:", settings.sampleRate);
-      }
-      if (settings.echoCancellation === true) {
-        console.warn("Audio track has echoCancellation enabled.");
-      }
-    } else {
-      console.warn("No audio track captured with screen share.");
-      setStatus(
-        "Screen sharing started, but audio capture failed or was not permitted.",
-        false,
-        true
-      );
-    }
-
-    // Attach 'onended' event listeners to tracks
-    localStream.getTracks().forEach((track) => {
-      console.log(
-        ` - Acquired Track: Kind=${track.kind}, ID=${track.id}, State=${track.readyState}, Label=${track.label}`
-      );
-      if (track.kind === "video") {
-        // Detect when the user manually stops sharing via the browser's UI
-        track.onended = () => {
-          console.log(
-            `>>> Video track (${track.id}) ended (likely stopped via browser UI) <<<`
-          );
-          handleStreamEnded(); // Trigger cleanup when sharing stops
-        };
-        console.log(`  Attached 'onended' handler to video track ${track.id}`);
-      } else {
-        // Log ending of other tracks (e.g., audio) for debugging
-        track.onended = () => {
-          console.warn(`Non-video track (${track.kind}, ${track.id}) ended.`);
-        };
-      }
-    });
-
-    // Create a separate stream containing only video tracks for the local preview
-    const videoTracks = localStream.getVideoTracks();
-    if (videoTracks.length > 0) {
-      const previewStream = new MediaStream(videoTracks);
-      if (LOCAL_VIDEO) {
-        LOCAL_VIDEO.srcObject = previewStream;
-        LOCAL_VIDEO.muted = true; // Preview should be muted
-        // Attempt to play the preview
-        LOCAL_VIDEO.play().catch((e) =>
-          console.warn("Local preview playback failed:", e)
-        );
-        console.log("Assigned video-only stream to local preview element.");
-      }
-    } else {
-      console.warn("No video track found in the captured stream for preview.");
-      if (LOCAL_VIDEO) LOCAL_VIDEO.srcObject = null;
-    }
+    return fullStream;
   } catch (error) {
     console.error("getDisplayMedia error:", error);
-    localStream = null; // Ensure stream is null on error
-    if (LOCAL_VIDEO) LOCAL_VIDEO.srcObject = null; // Clear preview on error
     // Provide more specific error messages
     if (
       error.name === "NotAllowedError" ||
@@ -593,847 +1304,5211 @@ async function startLocalStream() {
 }
 
 /**
- * Handles the event when the streamer's screen sharing track ends (e.g., user clicks "Stop sharing").
- * This function is primarily called by the `onended` event handler of the local video track.
- * It initiates the cleanup process by calling `closeConnections`.
+ * Prepares the tracks of `localStream` for streaming: applies the quality preset's content hint,
+ * attaches the `onended` handlers and shows the video-only preview.
+ * Called whenever `localStream` gets new tracks (stream start and source changes).
  */
-function handleStreamEnded() {
-  console.log(
-    ">>> handleStreamEnded called (Streamer likely stopped sharing via browser UI) <<<"
-  );
-  // Ensure this only runs if the user is in the streamer role and has initialized
-  if (role !== "streamer" || !streamerInitialized) {
+function setupLocalStreamTracks() {
+  const preset = getSelectedQualityPreset();
+  localStream.getVideoTracks().forEach((track) => {
+    track.contentHint = preset.contentHint; // Tell the encoder what kind of content this is
+  });
+
+  // Check actual audio track settings (for debugging). With the mixer, the captured track lives there.
+  const systemAudioTrack = audioMixer
+    ? audioMixer.system.track
+    : localStream.getAudioTracks()[0];
+  if (systemAudioTrack) {
+    const settings = systemAudioTrack.getSettings();
+    console.log("Actual captured audio track settings:", settings);
+    if (!settings.sampleRate || settings.sampleRate < 44100) {
+      console.warn("Low audio sample rate captured:", settings.sampleRate);
+    }
+    if (settings.echoCancellation === true) {
+      console.warn("Audio track has echoCancellation enabled.");
+    }
+  } else {
+    console.warn("No audio track captured with screen share.");
+    setStatus(
+      "Screen sharing started, but audio capture failed or was not permitted.",
+      false,
+      true
+    );
+  }
+
+  // Attach 'onended' event listeners to tracks
+  localStream.getTracks().forEach((track) => {
     console.log(
-      "handleStreamEnded exiting: Role not streamer or not initialized."
+      ` - Acquired Track: Kind=${track.kind}, ID=${track.id}, State=${track.readyState}, Label=${track.label}`
     );
+    if (track.kind === "video") {
+      // Detect when the user manually stops sharing via the browser's UI
+      track.onended = () => {
+        console.log(
+          `>>> Video track (${track.id}) ended (likely stopped via browser UI) <<<`
+        );
+        handleStreamEnded(); // Trigger cleanup when sharing stops
+      };
+      console.log(`  Attached 'onended' handler to video track ${track.id}`);
+    } else {
+      // Log ending of other tracks (e.g., audio) for debugging
+      track.onended = () => {
+        console.warn(`Non-video track (${track.kind}, ${track.id}) ended.`);
+      };
+    }
+  });
+
+  // Create a separate stream containing only video tracks for the local preview
+  const videoTracks = localStream.getVideoTracks();
+  if (videoTracks.length > 0) {
+    const previewStream = new MediaStream(videoTracks);
+    if (LOCAL_VIDEO) {
+      LOCAL_VIDEO.srcObject = previewStream;
+      LOCAL_VIDEO.muted = true; // Preview should be muted
+      // Attempt to play the preview
+      LOCAL_VIDEO.play().catch((e) =>
+        console.warn("Local preview playback failed:", e)
+      );
+      console.log("Assigned video-only stream to local preview element.");
+    }
+  } else {
+    console.warn("No video track found in the captured stream for preview.");
+    if (LOCAL_VIDEO) LOCAL_VIDEO.srcObject = null;
+  }
+}
+
+/**
+ * Switches the shared screen or window without dropping viewers.
+ * Captures a new source and swaps its tracks into every viewer's existing senders with `replaceTrack`,
+ * so no renegotiation is needed. The tracks are swapped inside `localStream` itself, keeping its ID
+ * (and therefore the stream viewers see) stable. If the new source adds audio where a viewer had none,
+ * that viewer's audio transceiver is switched to sending, which renegotiates ('negotiationneeded').
+ */
+async function changeSource() {
+  if (role !== "streamer" || !localStream?.active) return;
+  if (CHANGE_SOURCE_BUTTON) CHANGE_SOURCE_BUTTON.disabled = true;
+
+  let newStream;
+  try {
+    newStream = await captureDisplayMedia();
+  } catch (error) {
+    // Cancelling the picker keeps the current source
+    setStatus(`Source unchanged: ${error.message}`, false, true);
+    if (CHANGE_SOURCE_BUTTON) CHANGE_SOURCE_BUTTON.disabled = false;
+    return;
+  }
+  // The stream may have ended while the picker was open
+  if (role !== "streamer" || !localStream) {
+    newStream.getTracks().forEach((track) => track.stop());
     return;
   }
+
+  // A recording can't follow a change of tracks, finish it with what it has
+  if (streamerRecording) {
+    console.log("Stopping the recording: the source is changing.");
+    stopStreamerRecording();
+  }
+
+  // New system audio replaces the old one inside the mixer, so the outgoing audio track stays the same
+  const hasAudio = newStream.getAudioTracks().length > 0;
+  const mixed = routeCapturedAudio(newStream);
+  // With the camera overlay on, viewers keep the composited track and only its screen input changes
+  const newTracks = {};
+  if (pipCompositor) {
+    pipCompositor.setScreenTrack(newStream.getVideoTracks()[0]);
+  } else {
+    newTracks.video = newStream.getVideoTracks()[0] || null;
+  }
+  if (!mixed) newTracks.audio = newStream.getAudioTracks()[0] || null;
+  await Promise.all(
+    Array.from(peerConnections).map(([viewerId, pc]) =>
+      replaceViewerTracks(viewerId, pc, newTracks)
+    )
+  );
+
+  // Swap the tracks inside localStream; old handlers are removed first so stopping them doesn't end the stream
+  const oldTracks = mixed
+    ? localStream.getVideoTracks()
+    : localStream.getTracks();
+  newStream.getTracks().forEach((track) => localStream.addTrack(track));
+  oldTracks.forEach((track) => {
+    track.onended = null;
+    localStream.removeTrack(track);
+    track.stop();
+  });
+  setupLocalStreamTracks();
+  if (pipCompositor) refreshLocalPreview(); // Keep previewing what viewers see
+  primaryShareLabel = getShareLabel(localStream.getVideoTracks()[0]);
+  broadcastDataMessage(getSharesMessage());
+  renderShareList();
+  updateStreamerRecordingControls();
+  if (CHANGE_SOURCE_BUTTON) CHANGE_SOURCE_BUTTON.disabled = false;
   console.log(
-    "Proceeding with stream end cleanup initiated by track ending..."
+    `Source changed (${hasAudio ? "with" : "without"} audio) for ${
+      peerConnections.size
+    } viewer(s).`
   );
-  // Initiate a clean shutdown of all connections and streams.
-  // `closeConnections` will handle setting the final status messages.
-  closeConnections(true); // Request explicit WebSocket closure as well
+  setStatus("Source changed. Viewers keep watching.", true);
 }
 
-// --- NEW: SDP Modification Helper ---
 /**
- * Modifies the SDP to prefer higher audio quality for the Opus codec.
- * Specifically, attempts to add/set 'maxaveragebitrate' in the 'a=fmtp' line.
- * @param {string} sdp - The original SDP string.
- * @param {number} targetBitrate - The desired average bitrate in bps.
- * @returns {string} The modified SDP string, or the original if modification fails.
+ * Replaces the video and/or audio tracks a viewer's connection is sending.
+ * Only the kinds present in `newTracks` are replaced; a null track sends nothing on that transceiver
+ * (e.g. the new source has no audio).
+ * @param {string} viewerId - The viewer's ID.
+ * @param {RTCPeerConnection} pc - The viewer's connection.
+ * @param {{ video?: MediaStreamTrack | null, audio?: MediaStreamTrack | null }} newTracks - The tracks to send.
  */
-function modifySdpForAudioQuality(sdp, targetBitrate) {
-  console.log(
-    `Attempting to modify SDP for audio bitrate: ${targetBitrate}bps`
-  );
-  let sdpLines = sdp.split("\r\n");
-  let opusPayloadType = null;
-  let opusFmtpLineIndex = -1;
-  let inAudioSection = false;
+async function replaceViewerTracks(viewerId, pc, newTracks) {
+  for (const kind of Object.keys(newTracks)) {
+    const transceiver = pc
+      .getTransceivers()
+      .find((t) => t.receiver.track?.kind === kind && !t.stopped);
+    if (!transceiver) continue;
+    try {
+      await transceiver.sender.replaceTrack(newTracks[kind]);
+    } catch (e) {
+      console.error(`Failed to replace ${kind} track for ${viewerId}:`, e);
+      continue;
+    }
+    // The transceiver never sent (no such track when the viewer joined): enable sending.
+    // The direction change fires 'negotiationneeded', which sends the viewer a new offer.
+    if (newTracks[kind] && !transceiver.direction.includes("send")) {
+      transceiver.direction = "sendrecv";
+      transceiver.sender.setStreams?.(localStream); // Same stream as the other tracks on the viewer's side
+    }
+  }
+}
+CHANGE_SOURCE_BUTTON?.addEventListener("click", changeSource);
 
-  // Find Opus payload type and existing fmtp line within the audio section
-  for (let i = 0; i < sdpLines.length; i++) {
-    const line = sdpLines[i];
-    if (line.startsWith("m=audio")) {
-      inAudioSection = true;
-    } else if (line.startsWith("m=") && !line.startsWith("m=audio")) {
-      inAudioSection = false; // Moved past audio section
-    }
-
-    if (inAudioSection) {
-      // Find Opus rtpmap line: "a=rtpmap:<payload> opus/48000/2"
-      const rtpmapMatch = line.match(/^a=rtpmap:(\d+) opus\/48000\/2/i);
-      if (rtpmapMatch) {
-        opusPayloadType = rtpmapMatch[1];
-        console.log(`Found Opus payload type: ${opusPayloadType}`);
-      }
+// --- Audio Mixer (Streamer) ---
 
-      // Find existing fmtp line for this payload type: "a=fmtp:<payload> ..."
-      if (opusPayloadType && line.startsWith(`a=fmtp:${opusPayloadType}`)) {
-        opusFmtpLineIndex = i;
-        console.log(`Found existing Opus fmtp line at index ${i}: ${line}`);
-        break; // Assume only one fmtp per payload type needed
-      }
-    }
+/**
+ * Creates the Web Audio graph mixing system audio and the optional microphone into one outgoing track.
+ * Each source feeds its own gain node (volume) and analyser (level meter) before the shared destination.
+ * @returns {object | null} The mixer, or null if Web Audio is unavailable.
+ */
+function createAudioMixer() {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) {
+    console.warn("Web Audio is not available, sending system audio unmixed.");
+    return null;
   }
+  const context = new AudioContextClass({ sampleRate: 48000 });
+  const destination = context.createMediaStreamDestination();
+  const createChannel = (volume) => {
+    const gain = context.createGain();
+    gain.gain.value = volume;
+    const analyser = context.createAnalyser();
+    analyser.fftSize = MIXER_METER_FFT_SIZE;
+    gain.connect(destination);
+    gain.connect(analyser);
+    return { gain, analyser, source: null, track: null };
+  };
+  const mixer = {
+    context,
+    output: destination.stream.getAudioTracks()[0],
+    system: createChannel(getSliderVolume(SYSTEM_VOLUME_SLIDER)),
+    mic: createChannel(micMuted ? 0 : getSliderVolume(MIC_VOLUME_SLIDER)),
+    meterFrame: null,
+  };
+  context.resume().catch((e) => console.warn("AudioContext resume failed:", e));
+  return mixer;
+}
 
-  if (opusPayloadType) {
-    const bitrateParam = `maxaveragebitrate=${targetBitrate}`;
-    const stereoParam = "stereo=1"; // Often desired with higher bitrate
-    const fecParam = "useinbandfec=1"; // Good for resilience
+/**
+ * Reads a volume slider (0-150) as a gain value.
+ * @param {HTMLInputElement | null} slider - The slider.
+ * @returns {number} The gain (1 = unchanged).
+ */
+function getSliderVolume(slider) {
+  return slider ? Number(slider.value) / 100 : 1;
+}
 
-    if (opusFmtpLineIndex !== -1) {
-      // Modify existing fmtp line
-      let fmtpLine = sdpLines[opusFmtpLineIndex];
-      let params = fmtpLine.substring(fmtpLine.indexOf(" ") + 1).split(";");
-      let foundBitrate = false;
-      let foundStereo = false;
-      let foundFec = false;
+/**
+ * Connects a track to one of the mixer's channels, replacing (and stopping) the previous one.
+ * @param {object} channel - `audioMixer.system` or `audioMixer.mic`.
+ * @param {MediaStreamTrack | null} track - The new source track, or null to disconnect the channel.
+ */
+function setMixerChannelTrack(channel, track) {
+  if (channel.source) channel.source.disconnect();
+  if (channel.track) {
+    channel.track.onended = null;
+    channel.track.stop();
+  }
+  channel.source = null;
+  channel.track = track;
+  if (!track) return;
+  channel.source = audioMixer.context.createMediaStreamSource(
+    new MediaStream([track])
+  );
+  channel.source.connect(channel.gain);
+}
 
-      params = params.map((p) => p.trim()).filter((p) => p.length > 0); // Clean up parameters
+/**
+ * Moves a freshly captured stream's system audio into the mixer, leaving the stream video-only.
+ * @param {MediaStream} stream - The stream returned by `captureDisplayMedia`.
+ * @returns {boolean} True if audio now flows through the mixer; false if the mixer is unavailable
+ * (the stream's audio is then left in place and sent as is).
+ */
+function routeCapturedAudio(stream) {
+  if (!audioMixer) audioMixer = createAudioMixer();
+  if (!audioMixer) return false;
 
-      // Update or add parameters
-      for (let j = 0; j < params.length; j++) {
-        if (params[j].startsWith("maxaveragebitrate=")) {
-          params[j] = bitrateParam;
-          foundBitrate = true;
-        } else if (params[j].startsWith("stereo=")) {
-          params[j] = stereoParam; // Ensure stereo is set if desired
-          foundStereo = true;
-        } else if (params[j].startsWith("useinbandfec=")) {
-          params[j] = fecParam;
-          foundFec = true;
-        }
-      }
+  const systemTrack = stream.getAudioTracks()[0] || null;
+  stream.getAudioTracks().forEach((track) => stream.removeTrack(track));
+  setMixerChannelTrack(audioMixer.system, systemTrack);
+  if (systemTrack) {
+    systemTrack.onended = () => {
+      console.warn(`System audio track (${systemTrack.id}) ended.`);
+    };
+  }
+  updateAudioMixerControls();
+  startMixerMeters();
+  return true;
+}
 
-      if (!foundBitrate) params.push(bitrateParam);
-      if (!foundStereo) params.push(stereoParam);
-      if (!foundFec) params.push(fecParam);
+/**
+ * Starts the selected microphone (with echo cancellation and noise suppression) and mixes it in,
+ * or removes the microphone when 'Off' is selected. Does nothing until the stream has started;
+ * the selection is then applied when it does.
+ */
+async function applyMicSelection() {
+  if (!audioMixer) return;
+  const deviceId = MIC_SELECT?.value || "";
+  if (!deviceId) {
+    setMixerChannelTrack(audioMixer.mic, null);
+    updateAudioMixerControls();
+    return;
+  }
 
-      sdpLines[opusFmtpLineIndex] = `a=fmtp:${opusPayloadType} ${params.join(
-        ";"
-      )}`;
-      console.log(`Modified fmtp line: ${sdpLines[opusFmtpLineIndex]}`);
-    } else {
-      // Add new fmtp line if none existed (less common)
-      // Find the line index *after* the corresponding rtpmap line to insert fmtp
-      let insertIndex = -1;
-      for (let i = 0; i < sdpLines.length; i++) {
-        if (sdpLines[i].includes(`a=rtpmap:${opusPayloadType}`)) {
-          insertIndex = i + 1;
-          // Keep searching for potentially better spots (e.g., after other 'a=' lines)
-        } else if (
-          insertIndex !== -1 &&
-          (sdpLines[i].startsWith("m=") || !sdpLines[i].startsWith("a="))
-        ) {
-          // Stop searching if we hit next media description or non-attribute line
-          break;
-        }
-      }
-      if (insertIndex !== -1) {
-        const newFmtpLine = `a=fmtp:${opusPayloadType} ${bitrateParam};${stereoParam};${fecParam}`;
-        sdpLines.splice(insertIndex, 0, newFmtpLine);
-        console.log(
-          `Added new fmtp line at index ${insertIndex}: ${newFmtpLine}`
-        );
-      } else {
-        console.warn(
-          "Could not find suitable insertion point for new fmtp line."
-        );
-      }
+  try {
+    const micStream = await navigator.mediaDevices.getUserMedia({
+      audio: {
+        deviceId: { exact: deviceId },
+        // Unlike system audio, the microphone benefits from voice processing
+        echoCancellation: true,
+        noiseSuppression: true,
+        autoGainControl: true,
+      },
+    });
+    if (!audioMixer) {
+      // The stream ended while the permission prompt was open
+      micStream.getTracks().forEach((track) => track.stop());
+      return;
     }
-    return sdpLines.join("\r\n");
-  } else {
-    console.warn("Opus codec not found in SDP. Cannot modify audio bitrate.");
-    return sdp; // Return original SDP if Opus not found
+    const micTrack = micStream.getAudioTracks()[0];
+    setMixerChannelTrack(audioMixer.mic, micTrack);
+    micTrack.onended = () => {
+      console.warn("Microphone track ended.");
+      if (audioMixer?.mic.track === micTrack) {
+        setMixerChannelTrack(audioMixer.mic, null);
+        if (MIC_SELECT) MIC_SELECT.value = "";
+        updateAudioMixerControls();
+      }
+    };
+    console.log(`Microphone '${micTrack.label}' mixed into the stream.`);
+    // Device labels are only available once permission was granted
+    populateMicOptions();
+  } catch (e) {
+    console.error("Failed to start the microphone:", e);
+    setError(`Could not use the microphone: ${e.message}`);
+    if (MIC_SELECT) MIC_SELECT.value = "";
   }
+  updateAudioMixerControls();
 }
-// --- END NEW SDP HELPER ---
 
 /**
- * Initiates the process for a viewer to connect to a streamer's broadcast.
- * Triggered by the 'Connect' button in the viewer tab.
- * Reads and validates the entered code, connects to the signaling server (`connectWebSocket`),
- * sets a timeout for the connection attempt, creates a peer connection (`createPeerConnection`),
- * generates an SDP offer, **modifies it for higher audio quality**, sets it as the local description,
- * and sends it to the streamer via WebSocket.
- * Handles errors during the process (invalid code, timeout, connection failure).
+ * Lists the available microphones in the microphone selector, keeping the current choice.
  */
-async function connectViewer() {
-  role = "viewer"; // Ensure role is set to viewer
-  viewerTargetCode = CODE_INPUT.value.trim().toUpperCase(); // Get and format the code
-
-  // Validate the entered code format
-  if (!viewerTargetCode || viewerTargetCode.length !== 5) {
-    setError("Invalid code format. Please enter the 5-character code.");
+async function populateMicOptions() {
+  if (!MIC_SELECT || !navigator.mediaDevices?.enumerateDevices) return;
+  let devices;
+  try {
+    devices = await navigator.mediaDevices.enumerateDevices();
+  } catch (e) {
+    console.warn("Could not list audio devices:", e);
     return;
   }
+  const current = MIC_SELECT.value;
+  const inputs = devices.filter((device) => device.kind === "audioinput");
+  MIC_SELECT.replaceChildren(
+    new Option("Off", ""),
+    ...inputs.map(
+      (device, index) =>
+        new Option(device.label || `Microphone ${index + 1}`, device.deviceId)
+    )
+  );
+  MIC_SELECT.value = inputs.some((device) => device.deviceId === current)
+    ? current
+    : "";
+}
+
+/**
+ * Mutes or unmutes the microphone channel without releasing the device.
+ */
+function toggleMicMute() {
+  micMuted = !micMuted;
+  if (audioMixer) {
+    audioMixer.mic.gain.gain.value = micMuted
+      ? 0
+      : getSliderVolume(MIC_VOLUME_SLIDER);
+  }
+  updateAudioMixerControls();
+}
 
-  clearError(); // Clear previous errors
-  setStatus(`Connecting to stream code ${viewerTargetCode}...`);
-  connectViewerButton.disabled = true; // Disable button during connection attempt
+/**
+ * Syncs the mixer controls with its state (mute button label, enabled state).
+ */
+function updateAudioMixerControls() {
+  const hasMic = !!audioMixer?.mic.track;
+  if (MIC_MUTE_BUTTON) {
+    MIC_MUTE_BUTTON.disabled = !hasMic;
+    MIC_MUTE_BUTTON.textContent = micMuted ? "Unmute" : "Mute";
+    MIC_MUTE_BUTTON.classList.toggle("danger", micMuted);
+  }
+  if (!audioMixer?.system.track && SYSTEM_LEVEL_METER) {
+    SYSTEM_LEVEL_METER.value = 0;
+  }
+  if (!hasMic && MIC_LEVEL_METER) MIC_LEVEL_METER.value = 0;
+}
 
-  try {
-    // Connect to the signaling server's watcher endpoint with the target code
-    ws = await connectWebSocket(`${WS_URL_BASE}/watch/${viewerTargetCode}`);
-
-    // Start a timeout for the signaling process (e.g., waiting for an answer)
-    clearTimeout(signalingTimeout); // Clear any previous timeout
-    signalingTimeout = setTimeout(() => {
-      setError(
-        `Connection timed out waiting for streamer: ${viewerTargetCode}.`
-      );
-      console.error("Signaling timeout reached for viewer connection.");
-      closeConnections(); // Clean up on timeout
-    }, 60000); // 60-second timeout
+/**
+ * Starts updating the level meters from the mixer's analysers, once per animation frame.
+ */
+function startMixerMeters() {
+  if (!audioMixer || audioMixer.meterFrame) return;
+  const samples = new Float32Array(MIXER_METER_FFT_SIZE);
+  const level = (channel) => {
+    if (!channel.track) return 0;
+    channel.analyser.getFloatTimeDomainData(samples);
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+    // RMS scaled up so normal speech and music use most of the meter
+    return Math.min(1, Math.sqrt(sum / samples.length) * 4);
+  };
+  const update = () => {
+    if (!audioMixer) return;
+    if (SYSTEM_LEVEL_METER) SYSTEM_LEVEL_METER.value = level(audioMixer.system);
+    if (MIC_LEVEL_METER) MIC_LEVEL_METER.value = level(audioMixer.mic);
+    audioMixer.meterFrame = requestAnimationFrame(update);
+  };
+  audioMixer.meterFrame = requestAnimationFrame(update);
+}
 
-    // Create the RTCPeerConnection for communicating with the streamer
-    const pc = await createPeerConnection(); // Viewer doesn't need a viewerId
-    if (!pc) {
-      throw new Error("Failed to create RTCPeerConnection.");
-    }
-    peerConnections.set("streamer", pc); // Store the connection (key 'streamer' identifies the single connection for a viewer)
+/**
+ * Tears down the mixer: stops its source tracks and the meters, and closes the AudioContext.
+ */
+function closeAudioMixer() {
+  if (!audioMixer) return;
+  cancelAnimationFrame(audioMixer.meterFrame);
+  setMixerChannelTrack(audioMixer.system, null);
+  setMixerChannelTrack(audioMixer.mic, null);
+  audioMixer.output.stop();
+  audioMixer.context.close().catch(() => {});
+  audioMixer = null;
+  updateAudioMixerControls();
+}
 
-    // Create an SDP offer to receive audio/video from the streamer
-    console.log("Viewer: Creating SDP offer...");
-    let offer = await pc.createOffer({
-      offerToReceiveAudio: true,
-      offerToReceiveVideo: true,
-    });
+SYSTEM_VOLUME_SLIDER?.addEventListener("input", () => {
+  if (audioMixer) {
+    audioMixer.system.gain.gain.value = getSliderVolume(SYSTEM_VOLUME_SLIDER);
+  }
+});
+MIC_VOLUME_SLIDER?.addEventListener("input", () => {
+  if (audioMixer && !micMuted) {
+    audioMixer.mic.gain.gain.value = getSliderVolume(MIC_VOLUME_SLIDER);
+  }
+});
+MIC_SELECT?.addEventListener("change", applyMicSelection);
+MIC_MUTE_BUTTON?.addEventListener("click", toggleMicMute);
+navigator.mediaDevices?.addEventListener?.("devicechange", populateMicOptions);
 
-    // --- NEW: Modify SDP Offer ---
-    try {
-      offer.sdp = modifySdpForAudioQuality(offer.sdp, TARGET_AUDIO_BITRATE);
-    } catch (sdpError) {
-      console.error("Failed to modify SDP offer for audio quality:", sdpError);
-      // Proceed with the original offer if modification fails
-    }
-    // --- END NEW ---
+// --- Camera Overlay (Streamer) ---
 
-    // Set the generated offer as the local description
-    await pc.setLocalDescription(offer); // Use potentially modified offer
-    console.log("Viewer: Set local description (offer).");
+/**
+ * Returns the video track viewers should receive: the composited screen + camera while the
+ * camera overlay is on, the captured screen otherwise.
+ * @returns {MediaStreamTrack | null} The outgoing video track.
+ */
+function getOutgoingVideoTrack() {
+  return pipCompositor?.track || localStream?.getVideoTracks()[0] || null;
+}
 
-    // Send the offer to the streamer via the WebSocket signaling server
-    sendMessage(pc.localDescription); // Viewer sends offer directly
-  } catch (error) {
-    // Provide specific error messages based on common issues
-    if (error.message && error.message.includes("404")) {
-      // Likely backend response for non-existent code
-      setError(
-        `Connection failed: Streamer code '${viewerTargetCode}' not found or inactive.`
-      );
-    } else {
-      setError(`Failed to connect as viewer: ${error.message}`);
+/**
+ * Shows the outgoing video (what viewers see, including the camera overlay) in the local preview.
+ */
+function refreshLocalPreview() {
+  const track = getOutgoingVideoTrack();
+  if (!LOCAL_VIDEO || !track) return;
+  LOCAL_VIDEO.srcObject = new MediaStream([track]);
+  LOCAL_VIDEO.play().catch((e) =>
+    console.warn("Local preview playback failed:", e)
+  );
+}
+
+/**
+ * Draws one composited frame: the screen, with the camera in the configured corner, size and shape.
+ * @param {CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D} ctx - The output canvas context.
+ * @param {{ image: CanvasImageSource, width: number, height: number } | null} screen - The latest screen frame.
+ * @param {{ image: CanvasImageSource, width: number, height: number } | null} camera - The latest camera frame.
+ */
+function drawPictureInPicture(ctx, screen, camera) {
+  const canvas = ctx.canvas;
+  if (screen && screen.width > 0 && screen.height > 0) {
+    if (canvas.width !== screen.width || canvas.height !== screen.height) {
+      canvas.width = screen.width;
+      canvas.height = screen.height;
     }
-    console.error("Viewer connection process error:", error);
-    closeConnections(); // Clean up resources on failure
+    ctx.drawImage(screen.image, 0, 0, canvas.width, canvas.height);
+  }
+  if (!camera || camera.width === 0 || camera.height === 0) return;
+
+  // Overlay size relative to the screen width; a circle is cropped to a square
+  const circle = pipSettings.shape === "circle";
+  const width = Math.round((canvas.width * pipSettings.size) / 100);
+  const height = circle
+    ? width
+    : Math.round((width * camera.height) / camera.width);
+  const margin = Math.round(canvas.width * PIP_MARGIN_RATIO);
+  const x = pipSettings.position.endsWith("left")
+    ? margin
+    : canvas.width - width - margin;
+  const y = pipSettings.position.startsWith("top")
+    ? margin
+    : canvas.height - height - margin;
+
+  // Crop the camera frame to the overlay's aspect ratio (centered)
+  let sx = 0;
+  let sy = 0;
+  let sw = camera.width;
+  let sh = camera.height;
+  if (circle) {
+    sw = sh = Math.min(camera.width, camera.height);
+    sx = (camera.width - sw) / 2;
+    sy = (camera.height - sh) / 2;
+  }
+
+  ctx.save();
+  ctx.beginPath();
+  if (circle) {
+    ctx.arc(x + width / 2, y + height / 2, width / 2, 0, Math.PI * 2);
+  } else {
+    const r = Math.min(width, height) * 0.08;
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + width, y, x + width, y + height, r);
+    ctx.arcTo(x + width, y + height, x, y + height, r);
+    ctx.arcTo(x, y + height, x, y, r);
+    ctx.arcTo(x, y, x + width, y, r);
+    ctx.closePath();
   }
+  ctx.clip();
+  ctx.drawImage(camera.image, sx, sy, sw, sh, x, y, width, height);
+  ctx.restore();
 }
-// Attach listener to the viewer connect button
-connectViewerButton.addEventListener("click", connectViewer);
 
 /**
- * Handles incoming messages received via the WebSocket connection.
- * Parses the JSON message and routes it based on the current `role` (streamer/viewer)
- * and the message content (type, sdp, candidate, etc.).
- * Manages the signaling exchange required for WebRTC setup (offer, answer, candidates).
- * Streamer: **modifies the answer SDP** before sending.
- * @param {MessageEvent} event - The WebSocket message event containing the data.
+ * Builds a compositor using insertable streams (Chromium). Output frames are driven by the camera,
+ * which delivers a steady frame rate even while the screen is static, and unlike timers this keeps
+ * running while the streamer's tab is in the background.
+ * @param {MediaStreamTrack} screenTrack - The captured screen track.
+ * @param {MediaStreamTrack} cameraTrack - The webcam track.
+ * @returns {object} The compositor (`track`, `setScreenTrack`, `stop`).
  */
-async function handleWebSocketMessage(event) {
-  try {
-    const message = JSON.parse(event.data);
-    console.log("WebSocket message received:", message);
+function createInsertableStreamsCompositor(screenTrack, cameraTrack) {
+  const generator = new MediaStreamTrackGenerator({ kind: "video" });
+  const track = generator;
+  const canvas = new OffscreenCanvas(1280, 720);
+  const ctx = canvas.getContext("2d");
+  let latestScreen = null; // Latest VideoFrame of the screen, closed when replaced
+  let screenReader = null;
+  let stopped = false;
 
-    // --- Streamer Message Handling ---
-    if (role === "streamer") {
-      // Handle receiving the unique streamer code from the server
-      if (message.code) {
-        streamerCode = message.code;
-        STREAMER_CODE_DISPLAY.textContent = streamerCode; // Display the code in the UI
-        setStatus("Streaming - Share this code with viewers.", true);
-        console.log(`Streamer received code: ${streamerCode}`);
-        return; // Code message handled
+  const readScreen = async (reader) => {
+    try {
+      for (;;) {
+        const { value: frame, done } = await reader.read();
+        if (done || stopped || reader !== screenReader) {
+          frame?.close();
+          break;
+        }
+        latestScreen?.close();
+        latestScreen = frame;
       }
+    } catch (e) {
+      if (!stopped) console.warn("Camera overlay: screen reader stopped:", e);
+    }
+  };
+  const setScreenTrack = (newTrack) => {
+    screenReader?.cancel().catch(() => {});
+    screenReader = new MediaStreamTrackProcessor({
+      track: newTrack,
+    }).readable.getReader();
+    readScreen(screenReader);
+  };
 
-      // Handle notification that a viewer has disconnected (sent by server)
-      if (message.type === "viewer_left" && message.viewerId) {
-        console.log(
-          `Streamer received notification: Viewer ${message.viewerId} left.`
+  const cameraReader = new MediaStreamTrackProcessor({
+    track: cameraTrack,
+  }).readable.getReader();
+  const writer = generator.writable.getWriter();
+  (async () => {
+    try {
+      for (;;) {
+        const { value: cameraFrame, done } = await cameraReader.read();
+        if (done || stopped) {
+          cameraFrame?.close();
+          break;
+        }
+        drawPictureInPicture(
+          ctx,
+          latestScreen && {
+            image: latestScreen,
+            width: latestScreen.displayWidth,
+            height: latestScreen.displayHeight,
+          },
+          {
+            image: cameraFrame,
+            width: cameraFrame.displayWidth,
+            height: cameraFrame.displayHeight,
+          }
         );
-        handleViewerDisconnect(message.viewerId); // Clean up connection for this viewer
-        return; // Viewer left message handled
+        const output = new VideoFrame(canvas, {
+          timestamp: cameraFrame.timestamp,
+        });
+        cameraFrame.close();
+        await writer.write(output);
       }
+    } catch (e) {
+      if (!stopped) console.warn("Camera overlay: compositing stopped:", e);
+    }
+  })();
 
-      // --- Handle SDP Offer from a new Viewer ---
-      if (message.from && message.data && message.data.type === "offer") {
-        const viewerId = message.from; // ID assigned by the server to the viewer
-        const offerData = message.data;
-        console.log(`Streamer: Received SDP offer from viewer ${viewerId}.`);
+  setScreenTrack(screenTrack);
+  return {
+    track,
+    setScreenTrack,
+    stop() {
+      stopped = true;
+      screenReader?.cancel().catch(() => {});
+      cameraReader.cancel().catch(() => {});
+      writer.close().catch(() => {});
+      latestScreen?.close();
+      latestScreen = null;
+      track.stop();
+    },
+  };
+}
 
-        // Check if a connection for this viewer already exists and is closed; clean up if so.
-        let pc = peerConnections.get(viewerId);
-        if (
-          pc &&
-          (pc.connectionState === "closed" || pc.signalingState === "closed")
-        ) {
-          console.warn(
-            `Streamer: Stale/closed connection found for ${viewerId}, cleaning up before creating new one.`
-          );
-          handleViewerDisconnect(viewerId);
-          pc = null;
-        }
+/**
+ * Builds a compositor drawing hidden video elements onto a canvas on a timer (fallback for browsers
+ * without insertable streams). Note that timers are throttled while the tab is in the background.
+ * @param {MediaStreamTrack} screenTrack - The captured screen track.
+ * @param {MediaStreamTrack} cameraTrack - The webcam track.
+ * @returns {object} The compositor (`track`, `setScreenTrack`, `stop`).
+ */
+function createCanvasCompositor(screenTrack, cameraTrack) {
+  const createVideo = (track) => {
+    const video = document.createElement("video");
+    video.muted = true;
+    video.playsInline = true;
+    video.srcObject = new MediaStream([track]);
+    video
+      .play()
+      .catch((e) => console.warn("Camera overlay: play() failed:", e));
+    return video;
+  };
+  const screenVideo = createVideo(screenTrack);
+  const cameraVideo = createVideo(cameraTrack);
+  const canvas = document.createElement("canvas");
+  canvas.width = 1280;
+  canvas.height = 720;
+  const ctx = canvas.getContext("2d");
+  const track = canvas.captureStream(PIP_FPS).getVideoTracks()[0];
+  const timer = setInterval(() => {
+    drawPictureInPicture(
+      ctx,
+      {
+        image: screenVideo,
+        width: screenVideo.videoWidth,
+        height: screenVideo.videoHeight,
+      },
+      {
+        image: cameraVideo,
+        width: cameraVideo.videoWidth,
+        height: cameraVideo.videoHeight,
+      }
+    );
+  }, 1000 / PIP_FPS);
 
-        // Create a new PeerConnection for this viewer if one doesn't exist
-        if (!pc) {
-          pc = await createPeerConnection(viewerId);
-          if (!pc) {
-            console.error(
-              `Streamer: Failed to create PeerConnection for ${viewerId}.`
-            );
-            return;
-          }
-          peerConnections.set(viewerId, pc); // Store the new connection
-          updateViewerCount(); // Update UI
-        }
+  return {
+    track,
+    setScreenTrack(newTrack) {
+      screenVideo.srcObject = new MediaStream([newTrack]);
+      screenVideo.play().catch(() => {});
+    },
+    stop() {
+      clearInterval(timer);
+      screenVideo.srcObject = null;
+      cameraVideo.srcObject = null;
+      track.stop();
+    },
+  };
+}
 
-        // Ensure the local screen stream is active before proceeding
-        if (!localStream || !localStream.active) {
-          setError(
-            `Streamer: Screen stream is not active. Cannot answer offer from ${viewerId}.`
-          );
-          console.error(
-            `Streamer: Local stream inactive when receiving offer from ${viewerId}.`
-          );
-          handleViewerDisconnect(viewerId); // Disconnect this viewer
-          return;
-        }
-        const activeTracks = localStream
-          .getTracks()
-          .filter((t) => t.readyState === "live");
-        if (activeTracks.length === 0) {
-          setError(
-            `Streamer: No active tracks in the screen stream. Cannot answer offer from ${viewerId}.`
-          );
-          console.error(
-            `Streamer: No live tracks in local stream when receiving offer from ${viewerId}.`
-          );
-          handleViewerDisconnect(viewerId); // Disconnect this viewer
+/**
+ * Points every viewer's video sender at the current outgoing video track (unless paused behind the slate).
+ */
+async function sendOutgoingVideoToViewers() {
+  if (streamPaused) return; // Resuming picks up the outgoing track
+  const track = getOutgoingVideoTrack();
+  await Promise.all(
+    Array.from(peerConnections).map(([viewerId, pc]) =>
+      replaceViewerTracks(viewerId, pc, { video: track })
+    )
+  );
+}
+
+/**
+ * Switches the camera overlay on (captures the webcam and starts compositing) or off.
+ * Viewers are switched over with `replaceTrack`, without renegotiation.
+ */
+async function togglePictureInPicture() {
+  if (role !== "streamer" || !localStream?.active) return;
+  if (PIP_TOGGLE_BUTTON) PIP_TOGGLE_BUTTON.disabled = true;
+
+  if (pipCompositor) {
+    const compositor = pipCompositor;
+    pipCompositor = null;
+    await sendOutgoingVideoToViewers(); // Back to the plain screen before the composite stops
+    stopPictureInPicture(compositor);
+    console.log("Camera overlay off.");
+  } else {
+    try {
+      const cameraStream = await navigator.mediaDevices.getUserMedia({
+        video: PIP_CAMERA_CONSTRAINTS,
+      });
+      const cameraTrack = cameraStream.getVideoTracks()[0];
+      const screenTrack = localStream?.getVideoTracks()[0];
+      if (!screenTrack) {
+        // The stream ended while the permission prompt was open
+        cameraTrack.stop();
+        updatePictureInPictureControls();
+        return;
+      }
+      const useInsertableStreams =
+        "MediaStreamTrackProcessor" in window &&
+        "MediaStreamTrackGenerator" in window;
+      pipCompositor = useInsertableStreams
+        ? createInsertableStreamsCompositor(screenTrack, cameraTrack)
+        : createCanvasCompositor(screenTrack, cameraTrack);
+      pipCompositor.cameraTrack = cameraTrack;
+      pipCompositor.track.contentHint = screenTrack.contentHint;
+      cameraTrack.onended = () => {
+        console.warn("Camera track ended, turning the overlay off.");
+        if (pipCompositor?.cameraTrack === cameraTrack)
+          togglePictureInPicture();
+      };
+      await sendOutgoingVideoToViewers();
+      console.log(
+        `Camera overlay on (${
+          useInsertableStreams ? "insertable streams" : "canvas"
+        }).`
+      );
+    } catch (e) {
+      console.error("Failed to start the camera overlay:", e);
+      setError(`Could not start the camera: ${e.message}`);
+    }
+  }
+
+  refreshLocalPreview();
+  updatePictureInPictureControls();
+}
+
+/**
+ * Stops a compositor and its camera.
+ * @param {object} compositor - The compositor to stop.
+ */
+function stopPictureInPicture(compositor) {
+  if (!compositor) return;
+  compositor.stop();
+  if (compositor.cameraTrack) {
+    compositor.cameraTrack.onended = null;
+    compositor.cameraTrack.stop();
+  }
+}
+
+/**
+ * Syncs the overlay toggle with the current state.
+ */
+function updatePictureInPictureControls() {
+  if (!PIP_TOGGLE_BUTTON) return;
+  PIP_TOGGLE_BUTTON.disabled = role !== "streamer" || !localStream?.active;
+  PIP_TOGGLE_BUTTON.textContent = pipCompositor
+    ? "Turn camera off"
+    : "Turn camera on";
+}
+
+/**
+ * Reads the overlay's position, size and shape from the controls. Applied on the next frame.
+ */
+function readPictureInPictureSettings() {
+  pipSettings = {
+    position: PIP_POSITION_SELECT?.value || "bottom-right",
+    size: Number(PIP_SIZE_SLIDER?.value) || 20,
+    shape: PIP_SHAPE_SELECT?.value || "rounded",
+  };
+}
+
+PIP_TOGGLE_BUTTON?.addEventListener("click", togglePictureInPicture);
+[PIP_POSITION_SELECT, PIP_SIZE_SLIDER, PIP_SHAPE_SELECT].forEach((control) =>
+  control?.addEventListener("input", readPictureInPictureSettings)
+);
+
+// --- Multiple Screen Shares ---
+
+/**
+ * Builds a label for a new capture from its surface type, e.g. "Window 2".
+ * Captures are numbered in the order they were started during the session.
+ * @param {MediaStreamTrack | undefined} track - The captured video track.
+ * @returns {string} The label.
+ */
+function getShareLabel(track) {
+  shareLabelCount += 1;
+  const surface = track?.getSettings?.().displaySurface;
+  return `${SHARE_SURFACE_LABELS[surface] || "Screen"} ${shareLabelCount}`;
+}
+
+/**
+ * Builds the data channel message listing the shared screens. The main capture comes first.
+ * @returns {{ type: 'shares', shares: Array<{ id: string, label: string }> }} The message.
+ */
+function getSharesMessage() {
+  const shares = [];
+  if (localStream) {
+    shares.push({ id: localStream.id, label: primaryShareLabel || "Screen" });
+  }
+  extraShares.forEach((share, id) => shares.push({ id, label: share.label }));
+  return { type: "shares", shares };
+}
+
+/**
+ * Captures one more screen/window and sends it to every viewer as its own video track.
+ * Extra captures carry no audio: the main capture's audio (and the mixer) stays the only audio track.
+ */
+async function addScreenShare() {
+  if (role !== "streamer" || !localStream?.active) return;
+  if (ADD_SCREEN_BUTTON) ADD_SCREEN_BUTTON.disabled = true;
+
+  let stream;
+  try {
+    stream = await captureDisplayMedia();
+  } catch (error) {
+    setStatus(`No screen added: ${error.message}`, false, true);
+    updateShareListControls();
+    return;
+  }
+  // The stream may have ended while the picker was open
+  if (role !== "streamer" || !localStream) {
+    stream.getTracks().forEach((track) => track.stop());
+    return;
+  }
+  stream.getAudioTracks().forEach((track) => {
+    stream.removeTrack(track);
+    track.stop();
+  });
+  const track = stream.getVideoTracks()[0];
+  if (!track) {
+    setError("The new capture has no video track.");
+    updateShareListControls();
+    return;
+  }
+  track.contentHint = getSelectedQualityPreset().contentHint;
+
+  const share = {
+    stream,
+    track,
+    label: getShareLabel(track),
+    senders: new Map(),
+  };
+  extraShares.set(stream.id, share);
+  // Stopping this capture from the browser's UI only removes this screen
+  track.onended = () => removeScreenShare(stream.id);
+
+  // Each new track triggers 'negotiationneeded', the offers are sent from there
+  peerConnections.forEach((pc, viewerId) =>
+    addExtraShareToConnection(viewerId, pc, share)
+  );
+  broadcastDataMessage(getSharesMessage());
+  renderShareList();
+  console.log(
+    `Added ${share.label} for ${peerConnections.size} viewer(s). Shares: ${
+      extraShares.size + 1
+    }`
+  );
+  setStatus(`Added ${share.label}. Viewers can switch between screens.`, true);
+}
+
+/**
+ * Adds an extra screen's track to one viewer's connection.
+ * While paused the sender is emptied right away, so the screen only goes out once sharing resumes.
+ * @param {string} viewerId - The viewer's ID.
+ * @param {RTCPeerConnection} pc - The viewer's connection.
+ * @param {object} share - An entry of `extraShares`.
+ */
+function addExtraShareToConnection(viewerId, pc, share) {
+  if (share.senders.has(viewerId) || pc.signalingState === "closed") return;
+  try {
+    const sender = pc.addTrack(share.track, share.stream);
+    share.senders.set(viewerId, sender);
+    if (streamPaused) {
+      sender
+        .replaceTrack(null)
+        .catch((e) => console.warn(`Failed to pause ${share.label}:`, e));
+    }
+  } catch (e) {
+    console.error(`Failed to add ${share.label} for viewer ${viewerId}:`, e);
+  }
+}
+
+/**
+ * Stops an extra screen and removes its track from every viewer's connection (which renegotiates).
+ * @param {string} shareId - The key of the share in `extraShares`.
+ */
+function removeScreenShare(shareId) {
+  const share = extraShares.get(shareId);
+  if (!share) return;
+  share.senders.forEach((sender, viewerId) => {
+    const pc = peerConnections.get(viewerId);
+    if (!pc || pc.signalingState === "closed") return;
+    try {
+      pc.removeTrack(sender);
+    } catch (e) {
+      console.warn(`Failed to remove ${share.label} for ${viewerId}:`, e);
+    }
+  });
+  share.track.onended = null;
+  share.track.stop();
+  extraShares.delete(shareId);
+  broadcastDataMessage(getSharesMessage());
+  renderShareList();
+  console.log(`Removed ${share.label}.`);
+  setStatus(`Stopped sharing ${share.label}.`, true);
+}
+
+/**
+ * Empties or restores the senders of every extra screen (see `toggleStreamPause`).
+ * @param {boolean} paused - Whether sharing is paused.
+ */
+async function setExtraSharesPaused(paused) {
+  const replacements = [];
+  extraShares.forEach((share) => {
+    share.senders.forEach((sender) => {
+      replacements.push(
+        sender
+          .replaceTrack(paused ? null : share.track)
+          .catch((e) =>
+            console.warn(`Failed to ${paused ? "pause" : "resume"} share:`, e)
+          )
+      );
+    });
+  });
+  await Promise.all(replacements);
+}
+
+/**
+ * Stops every extra screen without renegotiating (the connections are closing anyway).
+ */
+function stopAllScreenShares() {
+  extraShares.forEach((share) => {
+    share.track.onended = null;
+    share.track.stop();
+  });
+  extraShares.clear();
+  primaryShareLabel = null;
+  shareLabelCount = 0;
+  renderShareList();
+}
+
+/**
+ * Renders the streamer's list of shared screens. Extra screens get a Remove button.
+ */
+function renderShareList() {
+  if (!SHARE_LIST) return;
+  SHARE_LIST.innerHTML = "";
+  getSharesMessage().shares.forEach(({ id, label }, index) => {
+    const item = document.createElement("li");
+    const name = document.createElement("span");
+    name.textContent = index === 0 ? `${label} (main)` : label;
+    item.appendChild(name);
+    if (index > 0) {
+      const removeButton = document.createElement("button");
+      removeButton.className = "small-button";
+      removeButton.textContent = "Remove";
+      removeButton.addEventListener("click", () => removeScreenShare(id));
+      item.appendChild(removeButton);
+    }
+    SHARE_LIST.appendChild(item);
+  });
+  updateShareListControls();
+}
+
+/**
+ * Enables the Add Screen button while streaming.
+ */
+function updateShareListControls() {
+  if (!ADD_SCREEN_BUTTON) return;
+  ADD_SCREEN_BUTTON.disabled = role !== "streamer" || !localStream?.active;
+}
+
+/**
+ * Registers a stream received from the streamer (viewer role) and creates its tile.
+ * Called again for further tracks of a known stream; the tile then picks them up.
+ * @param {MediaStream} stream - The received stream.
+ */
+function addRemoteShare(stream) {
+  let share = remoteShares.get(stream.id);
+  if (!share) {
+    const tile = document.createElement("button");
+    tile.type = "button";
+    tile.className = "share-tile";
+    const video = document.createElement("video");
+    video.muted = true; // The audio plays in the main view
+    video.playsInline = true;
+    video.autoplay = true;
+    const caption = document.createElement("span");
+    caption.className = "share-tile-label";
+    tile.append(video, caption);
+    // Picking a screen shows it in the main view (and leaves the grid)
+    tile.addEventListener("click", () => {
+      if (SHARE_GRID_CHECKBOX) SHARE_GRID_CHECKBOX.checked = false;
+      setMainShare(stream.id);
+    });
+    REMOTE_SHARE_TILES?.appendChild(tile);
+    share = { stream, tile, video, caption };
+    remoteShares.set(stream.id, share);
+    // A screen the streamer removed loses its video track on the next renegotiation
+    stream.addEventListener("removetrack", () => {
+      if (stream.getVideoTracks().length === 0) removeRemoteShare(stream.id);
+    });
+    console.log(`Viewer: Streamer shares screen ${stream.id}.`);
+  }
+  share.video.srcObject = new MediaStream(stream.getVideoTracks());
+  share.video.play().catch(() => {}); // Muted, so autoplay is allowed
+  renderRemoteShares();
+}
+
+/**
+ * Removes a screen the streamer stopped sharing (viewer role).
+ * The main view falls back to the main capture if it was showing this screen.
+ * @param {string} shareId - The stream ID of the screen.
+ */
+function removeRemoteShare(shareId) {
+  const share = remoteShares.get(shareId);
+  if (!share || shareId === primaryShareId) return;
+  share.video.srcObject = null;
+  share.tile.remove();
+  remoteShares.delete(shareId);
+  console.log(`Viewer: Streamer stopped sharing screen ${shareId}.`);
+  if (mainShareId === shareId) setMainShare(primaryShareId);
+  else renderRemoteShares();
+}
+
+/**
+ * Shows a screen in the main view (viewer role). Other screens keep the main capture's audio.
+ * @param {string} shareId - The stream ID of the screen.
+ */
+function setMainShare(shareId) {
+  const share = remoteShares.get(shareId);
+  if (!share || !REMOTE_VIDEO) return;
+  mainShareId = shareId;
+  const primary = remoteShares.get(primaryShareId);
+  REMOTE_VIDEO.srcObject =
+    shareId === primaryShareId || !primary
+      ? share.stream
+      : new MediaStream([
+          ...share.stream.getVideoTracks(),
+          ...primary.stream.getAudioTracks(),
+        ]);
+  remotePlayer
+    ?.play()
+    .catch((err) => console.warn("Viewer: Main view play() failed:", err));
+  renderRemoteShares();
+  updateViewerCaptureControls();
+}
+
+/**
+ * Applies the labels from the streamer's 'shares' message (viewer role).
+ * @param {Array<{ id: string, label: string }>} shares - The shared screens, main capture first.
+ */
+function applySharesList(shares) {
+  if (!Array.isArray(shares)) return;
+  remoteShareLabels = new Map(
+    shares.map((share) => [String(share.id), String(share.label)])
+  );
+  renderRemoteShares();
+}
+
+/**
+ * Updates the viewer's screen tiles: shown once there are several screens,
+ * as thumbnails below the main view or, in grid view, in place of it.
+ */
+function renderRemoteShares() {
+  if (!REMOTE_SHARES_PANEL) return;
+  const multiple = remoteShares.size > 1;
+  const grid = multiple && !!SHARE_GRID_CHECKBOX?.checked;
+  REMOTE_SHARES_PANEL.style.display = multiple ? "block" : "none";
+  REMOTE_SHARE_TILES?.classList.toggle("share-grid", grid);
+  document
+    .getElementById("remoteVideoContainer")
+    ?.classList.toggle("shares-grid-hidden", grid);
+  remoteShares.forEach((share, id) => {
+    share.tile.classList.toggle("active", !grid && id === mainShareId);
+    share.caption.textContent = remoteShareLabels.get(id) || "Screen";
+  });
+}
+
+/**
+ * Forgets the received screens (viewer role), e.g. before reconnecting or when closing.
+ */
+function resetRemoteShares() {
+  remoteShares.forEach((share) => {
+    share.video.srcObject = null;
+    share.tile.remove();
+  });
+  remoteShares.clear();
+  remoteShareLabels.clear();
+  primaryShareId = null;
+  mainShareId = null;
+  renderRemoteShares();
+}
+
+ADD_SCREEN_BUTTON?.addEventListener("click", addScreenShare);
+SHARE_GRID_CHECKBOX?.addEventListener("change", renderRemoteShares);
+
+// --- Pause / Privacy Curtain (Streamer) ---
+
+/**
+ * Creates the "Stream paused" slate: a canvas video track sent in place of the screen while paused.
+ * The canvas is redrawn every second (with the pause duration), which also keeps frames flowing.
+ * @returns {{ canvas: HTMLCanvasElement, track: MediaStreamTrack, interval: number, pausedAt: number }} The slate.
+ */
+function createPauseSlate() {
+  const canvas = document.createElement("canvas");
+  canvas.width = PAUSE_SLATE_WIDTH;
+  canvas.height = PAUSE_SLATE_HEIGHT;
+  const slate = { canvas, track: null, interval: null, pausedAt: Date.now() };
+  drawPauseSlate(slate);
+  slate.track = canvas.captureStream(PAUSE_SLATE_FPS).getVideoTracks()[0];
+  slate.interval = setInterval(() => drawPauseSlate(slate), 1000);
+  return slate;
+}
+
+/**
+ * Draws the slate's current frame.
+ * @param {object} slate - A slate from `createPauseSlate`.
+ */
+function drawPauseSlate(slate) {
+  const ctx = slate.canvas.getContext("2d");
+  const { width, height } = slate.canvas;
+  ctx.fillStyle = "#1e1e2e";
+  ctx.fillRect(0, 0, width, height);
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillStyle = "#ffffff";
+  ctx.font = "600 64px sans-serif";
+  ctx.fillText("Stream paused", width / 2, height / 2 - 30);
+  ctx.fillStyle = "#a0a0b0";
+  ctx.font = "32px sans-serif";
+  ctx.fillText(
+    `The stream will resume shortly · ${formatDuration(
+      Date.now() - slate.pausedAt
+    )}`,
+    width / 2,
+    height / 2 + 40
+  );
+}
+
+/**
+ * Points a viewer connection's senders at the slate (paused) or back at the real tracks (resumed).
+ * Audio is muted while paused by sending no track at all.
+ * @param {RTCPeerConnection} pc - The viewer's connection.
+ * @param {boolean} paused - Whether the stream is paused.
+ */
+async function setConnectionPaused(pc, paused) {
+  for (const kind of ["video", "audio"]) {
+    const transceiver = pc
+      .getTransceivers()
+      .find((t) => t.receiver.track?.kind === kind && !t.stopped);
+    if (!transceiver) continue;
+    let track;
+    if (kind === "video") {
+      track = paused ? pauseSlate.track : getOutgoingVideoTrack();
+    } else {
+      track = paused ? null : localStream?.getAudioTracks()[0];
+    }
+    try {
+      await transceiver.sender.replaceTrack(track || null);
+    } catch (e) {
+      console.error(`Failed to ${paused ? "pause" : "resume"} ${kind}:`, e);
+    }
+  }
+}
+
+/**
+ * Pauses sharing behind the slate, or resumes it.
+ * Viewers are told through the data channel so they show an explicit "paused" state instead of a frozen frame.
+ * A running local recording is paused along with the stream.
+ */
+async function toggleStreamPause() {
+  if (role !== "streamer" || !localStream) return;
+  const paused = !streamPaused;
+  if (PAUSE_SHARING_BUTTON) PAUSE_SHARING_BUTTON.disabled = true;
+
+  if (paused) pauseSlate = createPauseSlate();
+  streamPaused = paused;
+  await Promise.all([
+    ...Array.from(peerConnections.values()).map((pc) =>
+      setConnectionPaused(pc, paused)
+    ),
+    setExtraSharesPaused(paused),
+  ]);
+  if (!paused) stopPauseSlate();
+  broadcastDataMessage(getPauseStateMessage());
+
+  // Keep private content out of the local recording too
+  if (streamerRecording) {
+    const recordingPaused = !!streamerRecording.pausedAt;
+    if (paused && !recordingPaused) {
+      togglePauseRecording(streamerRecording);
+      streamerRecording.pausedByCurtain = true;
+    } else if (!paused && streamerRecording.pausedByCurtain) {
+      if (recordingPaused) togglePauseRecording(streamerRecording);
+      streamerRecording.pausedByCurtain = false;
+    }
+    updateStreamerRecordingControls();
+  }
+
+  // The source can't change behind the slate (the swap would send the real tracks)
+  if (CHANGE_SOURCE_BUTTON) CHANGE_SOURCE_BUTTON.disabled = paused;
+  if (PAUSE_SHARING_BUTTON) {
+    PAUSE_SHARING_BUTTON.disabled = false;
+    PAUSE_SHARING_BUTTON.textContent = paused
+      ? "Resume Sharing"
+      : "Pause Sharing";
+  }
+  LOCAL_VIDEO?.classList.toggle("sharing-paused", paused);
+  console.log(`Sharing ${paused ? "paused" : "resumed"}.`);
+  setStatus(
+    paused
+      ? "Sharing paused - viewers see a 'Stream paused' slate."
+      : "Sharing resumed.",
+    !paused,
+    paused
+  );
+}
+
+/**
+ * Builds the data channel message telling viewers whether the stream is paused.
+ * @returns {{ type: 'stream_paused', paused: boolean }} The message.
+ */
+function getPauseStateMessage() {
+  return { type: "stream_paused", paused: streamPaused };
+}
+
+/**
+ * Stops the slate's track and redraw timer.
+ */
+function stopPauseSlate() {
+  if (!pauseSlate) return;
+  clearInterval(pauseSlate.interval);
+  pauseSlate.track?.stop();
+  pauseSlate = null;
+}
+
+/**
+ * Viewer: shows or hides the "paused" overlay on the remote video.
+ * @param {boolean} paused - Whether the streamer paused sharing.
+ */
+function applyStreamPaused(paused) {
+  if (!REMOTE_PAUSED_OVERLAY) return;
+  if (paused === (REMOTE_PAUSED_OVERLAY.style.display !== "none")) return;
+  if (paused) {
+    // Inside the Plyr wrapper, so it also covers the video in fullscreen
+    const host = REMOTE_VIDEO?.closest(".plyr");
+    if (host && REMOTE_PAUSED_OVERLAY.parentElement !== host) {
+      host.appendChild(REMOTE_PAUSED_OVERLAY);
+    }
+  }
+  REMOTE_PAUSED_OVERLAY.style.display = paused ? "" : "none";
+  if (role === "viewer") {
+    setStatus(
+      paused ? "The streamer paused sharing." : "Sharing resumed.",
+      !paused,
+      paused
+    );
+  }
+}
+
+PAUSE_SHARING_BUTTON?.addEventListener("click", toggleStreamPause);
+
+/**
+ * Handles the event when the streamer's screen sharing track ends (e.g., user clicks "Stop sharing").
+ * This function is primarily called by the `onended` event handler of the local video track.
+ * It initiates the cleanup process by calling `closeConnections`.
+ */
+function handleStreamEnded() {
+  console.log(
+    ">>> handleStreamEnded called (Streamer likely stopped sharing via browser UI) <<<"
+  );
+  // Ensure this only runs if the user is in the streamer role and has initialized
+  if (role !== "streamer" || !streamerInitialized) {
+    console.log(
+      "handleStreamEnded exiting: Role not streamer or not initialized."
+    );
+    return;
+  }
+  console.log(
+    "Proceeding with stream end cleanup initiated by track ending..."
+  );
+  // Finish the recording first, so it keeps everything captured up to this point
+  stopStreamerRecording();
+  // Initiate a clean shutdown of all connections and streams.
+  // `closeConnections` will handle setting the final status messages.
+  closeConnections(true); // Request explicit WebSocket closure as well
+}
+
+// --- Video Quality Presets ---
+
+/**
+ * Returns the quality preset currently selected by the streamer.
+ * @returns {object} An entry of `QUALITY_PRESETS`.
+ */
+function getSelectedQualityPreset() {
+  return (
+    QUALITY_PRESETS[QUALITY_PRESET_SELECT?.value] ||
+    QUALITY_PRESETS[DEFAULT_QUALITY_PRESET]
+  );
+}
+
+/**
+ * Applies a quality preset's encoding limits to one video sender, scaled down by an adaptive bitrate step.
+ * Simulcast encodings are further scaled down by their layer (see `SIMULCAST_LAYERS`).
+ * Uses `setParameters`, so it takes effect immediately without renegotiation.
+ * Senders without negotiated encodings are left as they are.
+ * @param {RTCRtpSender} sender - A video sender of a viewer's connection.
+ * @param {object} preset - An entry of `QUALITY_PRESETS`.
+ * @param {object} [step] - An entry of `ADAPTIVE_BITRATE_STEPS` (or from `getViewerVideoStep`); defaults to the preset's full quality.
+ */
+async function applyQualityPresetToSender(
+  sender,
+  preset,
+  step = ADAPTIVE_BITRATE_STEPS[0]
+) {
+  const params = sender.getParameters();
+  // Encodings only exist once negotiated, and setParameters rejects adding any
+  // (InvalidModificationError): the preset is applied again after negotiation.
+  if (!params.encodings || params.encodings.length === 0) return;
+  params.encodings.forEach((encoding) => {
+    const layer =
+      SIMULCAST_LAYERS.find((l) => l.rid === encoding.rid) ||
+      SIMULCAST_LAYERS[0];
+    Object.assign(encoding, {
+      maxBitrate: Math.round(
+        preset.encoding.maxBitrate * step.bitrate * layer.bitrate
+      ),
+      maxFramerate: Math.max(
+        1,
+        Math.round(preset.encoding.maxFramerate * step.framerate)
+      ),
+      scaleResolutionDownBy:
+        preset.encoding.scaleResolutionDownBy * step.scale * layer.scale,
+    });
+  });
+  params.degradationPreference = preset.degradationPreference;
+  try {
+    await sender.setParameters(params);
+  } catch (e) {
+    // Some browsers reject degradationPreference; retry with just the encodings
+    try {
+      delete params.degradationPreference;
+      await sender.setParameters(params);
+    } catch (retryError) {
+      console.warn("Failed to apply quality preset to sender:", retryError);
+    }
+  }
+}
+
+/**
+ * Caps every video sender of a viewer's connection per the selected quality preset.
+ * Called whenever a negotiation completes, since new senders only get encodings then.
+ * @param {string} viewerId - The viewer's ID.
+ * @param {RTCPeerConnection} pc - The viewer's connection.
+ */
+function applyQualityPresetToConnection(viewerId, pc) {
+  pc.getSenders()
+    .filter((sender) => sender.track?.kind === "video")
+    .forEach((sender) =>
+      applyQualityPresetToSender(
+        sender,
+        getSelectedQualityPreset(),
+        getViewerVideoStep(viewerId)
+      )
+    );
+}
+
+/**
+ * Applies the selected quality preset live: re-constrains the captured video tracks,
+ * updates its content hint and re-caps every viewer's video sender. No renegotiation is needed.
+ */
+async function applySelectedQualityPreset() {
+  const preset = getSelectedQualityPreset();
+  const videoTrack = localStream?.getVideoTracks()[0];
+  if (role !== "streamer" || !videoTrack) return; // Used for the next capture otherwise
+
+  console.log(`Applying quality preset '${QUALITY_PRESET_SELECT.value}'.`);
+  // Extra screens follow the same preset as the main capture
+  const tracks = [
+    videoTrack,
+    ...Array.from(extraShares.values(), (s) => s.track),
+  ];
+  for (const track of tracks) {
+    track.contentHint = preset.contentHint;
+    try {
+      await track.applyConstraints(preset.constraints);
+    } catch (e) {
+      console.warn("Capture constraints of the quality preset not applied:", e);
+    }
+  }
+  // Each viewer keeps its adaptive bitrate step or picked layer, now relative to the new preset
+  await Promise.all(
+    Array.from(peerConnections).flatMap(([viewerId, pc]) =>
+      pc
+        .getSenders()
+        .filter((sender) => sender.track?.kind === "video")
+        .map((sender) =>
+          applyQualityPresetToSender(
+            sender,
+            preset,
+            getViewerVideoStep(viewerId)
+          )
+        )
+    )
+  );
+  setStatus(
+    `Quality changed to ${
+      QUALITY_PRESET_SELECT.selectedOptions[0]?.textContent || "the new preset"
+    }.`,
+    true
+  );
+}
+QUALITY_PRESET_SELECT?.addEventListener("change", applySelectedQualityPreset);
+
+// --- Adaptive Bitrate (Streamer) ---
+
+/**
+ * Returns the adaptive bitrate step a viewer is currently at.
+ * @param {string} viewerId - The viewer's ID.
+ * @returns {object} An entry of `ADAPTIVE_BITRATE_STEPS` (the first one for unknown viewers).
+ */
+function getAdaptiveBitrateStep(viewerId) {
+  const state = adaptiveBitrateStates.get(viewerId);
+  return ADAPTIVE_BITRATE_STEPS[state?.level ?? 0];
+}
+
+/**
+ * Returns how much a viewer's video is scaled down from the quality preset: per the layer
+ * the viewer picked in its player, or else per its adaptive bitrate step.
+ * @param {string} viewerId - The viewer's ID.
+ * @returns {{ bitrate: number, framerate: number, scale: number }} A step, like the entries of `ADAPTIVE_BITRATE_STEPS`.
+ */
+function getViewerVideoStep(viewerId) {
+  const layer = SIMULCAST_LAYERS.find(
+    (l) => l.id === viewerRoster.get(viewerId)?.videoLayer
+  );
+  if (!layer) return getAdaptiveBitrateStep(viewerId);
+  return { bitrate: layer.bitrate, framerate: 1, scale: layer.scale };
+}
+
+/**
+ * Reads the metrics the adaptive bitrate policy needs from a viewer's connection stats.
+ * Loss is computed from the change in packet counters since the previous sample, so it reflects the last interval only.
+ * @param {RTCPeerConnection} pc - The viewer's connection.
+ * @param {object} state - The viewer's entry in `adaptiveBitrateStates` (its packet counters are updated).
+ * @returns {Promise<{loss: number | null, rttMs: number | null, availableBitrate: number | null, limitedByBandwidth: boolean} | null>} The metrics, or null if no video is being sent yet.
+ */
+async function sampleAdaptiveBitrateMetrics(pc, state) {
+  const stats = await pc.getStats();
+  let outbound = null;
+  let remoteInbound = null;
+  let pair = null;
+  stats.forEach((report) => {
+    if (report.type === "outbound-rtp" && report.kind === "video") {
+      outbound = report;
+    } else if (
+      report.type === "remote-inbound-rtp" &&
+      report.kind === "video"
+    ) {
+      remoteInbound = report;
+    } else if (report.type === "transport" && report.selectedCandidatePairId) {
+      pair = stats.get(report.selectedCandidatePairId);
+    }
+  });
+  if (!outbound) return null;
+
+  let loss = null;
+  if (remoteInbound && state.packetsSent !== null) {
+    const sent = outbound.packetsSent - state.packetsSent;
+    const lost = remoteInbound.packetsLost - state.packetsLost;
+    if (sent > 0) loss = Math.max(0, lost) / (sent + Math.max(0, lost));
+  }
+  state.packetsSent = outbound.packetsSent;
+  state.packetsLost = remoteInbound?.packetsLost ?? 0;
+
+  const rtt = remoteInbound?.roundTripTime ?? pair?.currentRoundTripTime;
+  return {
+    loss,
+    rttMs: typeof rtt === "number" ? rtt * 1000 : null,
+    availableBitrate: pair?.availableOutgoingBitrate ?? null,
+    limitedByBandwidth: outbound.qualityLimitationReason === "bandwidth",
+  };
+}
+
+/**
+ * Decides whether a viewer's connection should step down, step up or hold, based on one sample.
+ * Steps down as soon as loss, RTT or the bandwidth estimate look bad; steps up only after
+ * `ABR_UPGRADE_AFTER_SAMPLES` consecutive good samples, so a recovering link isn't overloaded again.
+ * @param {object} state - The viewer's entry in `adaptiveBitrateStates`.
+ * @param {object} metrics - The sample from `sampleAdaptiveBitrateMetrics`.
+ * @param {number} currentMaxBitrate - The viewer's current video bitrate cap.
+ * @returns {{ delta: -1 | 0 | 1, reason: string }} The decision: +1 steps down (degrades), -1 steps back up, 0 holds.
+ */
+function decideAdaptiveBitrate(state, metrics, currentMaxBitrate) {
+  const { loss, rttMs, availableBitrate, limitedByBandwidth } = metrics;
+  if (loss !== null && loss > ABR_LOSS_DOWNGRADE) {
+    state.goodSamples = 0;
+    return { delta: 1, reason: "high packet loss" };
+  }
+  if (rttMs !== null && rttMs > ABR_RTT_DOWNGRADE_MS) {
+    state.goodSamples = 0;
+    return { delta: 1, reason: "high round-trip time" };
+  }
+  if (
+    limitedByBandwidth &&
+    availableBitrate !== null &&
+    availableBitrate < currentMaxBitrate * ABR_BANDWIDTH_HEADROOM
+  ) {
+    state.goodSamples = 0;
+    return { delta: 1, reason: "bandwidth estimate below the bitrate cap" };
+  }
+
+  const good =
+    (loss === null || loss < ABR_LOSS_UPGRADE) &&
+    (rttMs === null || rttMs < ABR_RTT_UPGRADE_MS) &&
+    !limitedByBandwidth;
+  state.goodSamples = good ? state.goodSamples + 1 : 0;
+  if (good && state.goodSamples >= ABR_UPGRADE_AFTER_SAMPLES) {
+    return { delta: -1, reason: "link stable" };
+  }
+  return { delta: 0, reason: good ? "stable, waiting to step up" : "fair" };
+}
+
+/**
+ * Samples every viewer's connection and adjusts its video sender encodings one step at a time,
+ * always within the bounds of the selected quality preset. Every change is logged with the metrics behind it.
+ * Viewers who picked a fixed video layer are left alone.
+ */
+async function refreshAdaptiveBitrate() {
+  const preset = getSelectedQualityPreset();
+  for (const [viewerId, pc] of peerConnections) {
+    if (pc.connectionState !== "connected") continue;
+    if ((viewerRoster.get(viewerId)?.videoLayer || "auto") !== "auto") continue;
+    if (!adaptiveBitrateStates.has(viewerId)) {
+      adaptiveBitrateStates.set(viewerId, {
+        level: 0,
+        goodSamples: 0,
+        lastChangeAt: 0,
+        packetsSent: null,
+        packetsLost: 0,
+      });
+    }
+    const state = adaptiveBitrateStates.get(viewerId);
+
+    let metrics;
+    try {
+      metrics = await sampleAdaptiveBitrateMetrics(pc, state);
+    } catch (e) {
+      console.warn(`ABR: Failed to read stats for viewer ${viewerId}:`, e);
+      continue;
+    }
+    if (!metrics) continue;
+
+    const step = ADAPTIVE_BITRATE_STEPS[state.level];
+    const { delta, reason } = decideAdaptiveBitrate(
+      state,
+      metrics,
+      preset.encoding.maxBitrate * step.bitrate
+    );
+    const summary = `loss ${
+      metrics.loss === null ? "n/a" : `${(metrics.loss * 100).toFixed(1)}%`
+    }, rtt ${
+      metrics.rttMs === null ? "n/a" : `${Math.round(metrics.rttMs)}ms`
+    }, available ${
+      metrics.availableBitrate === null
+        ? "n/a"
+        : `${Math.round(metrics.availableBitrate / 1000)}kbps`
+    }`;
+
+    const level = Math.min(
+      ADAPTIVE_BITRATE_STEPS.length - 1,
+      Math.max(0, state.level + delta)
+    );
+    const held = Date.now() - state.lastChangeAt < ABR_MIN_HOLD_MS;
+    if (level === state.level || held) {
+      console.debug(
+        `ABR: Viewer ${viewerId} holds step ${state.level} (${reason}${
+          held && level !== state.level ? ", too soon after last change" : ""
+        }; ${summary}).`
+      );
+      continue;
+    }
+
+    console.log(
+      `ABR: Viewer ${viewerId} step ${state.level} -> ${level} (${reason}; ${summary}).`
+    );
+    state.level = level;
+    state.goodSamples = 0;
+    state.lastChangeAt = Date.now();
+    pc.getSenders()
+      .filter((sender) => sender.track?.kind === "video")
+      .forEach((sender) =>
+        applyQualityPresetToSender(
+          sender,
+          preset,
+          ADAPTIVE_BITRATE_STEPS[level]
+        )
+      );
+  }
+}
+
+/**
+ * Starts periodically adapting each viewer's encodings to its connection.
+ */
+function startAdaptiveBitrate() {
+  clearInterval(adaptiveBitrateInterval);
+  adaptiveBitrateInterval = setInterval(
+    refreshAdaptiveBitrate,
+    ADAPTIVE_BITRATE_INTERVAL_MS
+  );
+}
+
+/**
+ * Stops adapting encodings and forgets all per-viewer state.
+ */
+function stopAdaptiveBitrate() {
+  clearInterval(adaptiveBitrateInterval);
+  adaptiveBitrateInterval = null;
+  adaptiveBitrateStates.clear();
+}
+
+// --- Video Layers ---
+
+/**
+ * Streamer: applies the video layer a viewer picked in its player. 'auto' hands the viewer's
+ * encoding back to adaptive bitrate; a layer of `SIMULCAST_LAYERS` pins it to that layer.
+ * (In SFU mode the server handles the viewers' choices itself.)
+ * @param {string} viewerId - The viewer's ID.
+ * @param {string} layer - 'auto' or an ID of `SIMULCAST_LAYERS`.
+ */
+function setViewerVideoLayer(viewerId, layer) {
+  if (layer !== "auto" && !SIMULCAST_LAYERS.some((l) => l.id === layer)) {
+    console.warn(`Ignoring unknown video layer from ${viewerId}:`, layer);
+    return;
+  }
+  if (viewerRoster.get(viewerId)?.videoLayer === layer) return;
+
+  console.log(`Viewer ${viewerId} picked the '${layer}' video layer.`);
+  updateRosterEntry(viewerId, { videoLayer: layer });
+  const pc = peerConnections.get(viewerId);
+  if (pc) applyQualityPresetToConnection(viewerId, pc);
+}
+
+/**
+ * Viewer: tells the streamer (or the SFU) which video layer to send.
+ */
+function sendVideoLayerPreference() {
+  sendDataMessage("streamer", {
+    type: "video_layer",
+    layer: videoLayerPreference,
+  });
+}
+
+/**
+ * Viewer: adds the "Auto / High / Medium / Low" video layer selector to the remote player's
+ * controls, before the fullscreen button. Called once the Plyr controls exist.
+ */
+function addVideoLayerSelector() {
+  const controls = remotePlayer?.elements?.controls;
+  if (!controls || videoLayerSelect) return;
+
+  videoLayerSelect = document.createElement("select");
+  videoLayerSelect.className = "video-layer-select";
+  videoLayerSelect.title = "Video quality";
+  videoLayerSelect.setAttribute("aria-label", "Video quality");
+  [{ id: "auto", label: "Auto" }, ...SIMULCAST_LAYERS].forEach((layer) => {
+    const option = document.createElement("option");
+    option.value = layer.id;
+    option.textContent = layer.label;
+    videoLayerSelect.appendChild(option);
+  });
+  videoLayerSelect.value = videoLayerPreference;
+  videoLayerSelect.addEventListener("change", () => {
+    videoLayerPreference = videoLayerSelect.value;
+    sendVideoLayerPreference();
+  });
+
+  controls.insertBefore(
+    videoLayerSelect,
+    controls.querySelector('[data-plyr="fullscreen"]')
+  );
+}
+
+// --- Video Codec Preferences (Streamer) ---
+
+/**
+ * Lists the codecs of `VIDEO_CODECS` this browser can both send and receive.
+ * @returns {Array<{ id: string, label: string, mimeType: string }>} The supported codecs.
+ */
+function getSupportedVideoCodecs() {
+  const sendCodecs = window.RTCRtpSender?.getCapabilities?.("video")?.codecs;
+  const receiveCodecs =
+    window.RTCRtpReceiver?.getCapabilities?.("video")?.codecs;
+  if (!sendCodecs || !receiveCodecs) return [];
+  const has = (codecs, mimeType) =>
+    codecs.some((c) => c.mimeType.toLowerCase() === mimeType.toLowerCase());
+  return VIDEO_CODECS.filter(
+    (codec) =>
+      has(sendCodecs, codec.mimeType) && has(receiveCodecs, codec.mimeType)
+  );
+}
+
+/**
+ * Fills a codec selector with 'Browser default' followed by the supported codecs.
+ * @param {HTMLSelectElement} select - The selector to fill.
+ * @param {string} [value=''] - The codec ID to select.
+ */
+function fillCodecOptions(select, value = "") {
+  select.replaceChildren(
+    new Option("Browser default", ""),
+    ...getSupportedVideoCodecs().map(
+      (codec) => new Option(codec.label, codec.id)
+    )
+  );
+  select.value = value;
+}
+
+/**
+ * Returns the codec to prefer for a viewer: its override from the roster, else the stream-wide setting.
+ * @param {string} viewerId - The viewer's ID.
+ * @returns {string} A codec ID of `VIDEO_CODECS`, or '' for the browser default.
+ */
+function getPreferredCodecForViewer(viewerId) {
+  return (
+    viewerRoster.get(viewerId)?.codecOverride ||
+    CODEC_PREFERENCE_SELECT?.value ||
+    ""
+  );
+}
+
+/**
+ * Puts the preferred codec first on a connection's video transceiver, ahead of an offer or answer being created.
+ * The other codecs stay listed after it, so a viewer that can't decode it still negotiates something.
+ * Skipped (with a log entry) if the browser lacks `setCodecPreferences` or doesn't support the codec.
+ * @param {RTCPeerConnection} pc - The viewer's connection.
+ * @param {string} codecId - A codec ID of `VIDEO_CODECS`, or '' to restore the browser default.
+ * @param {string} viewerId - The viewer's ID (for logging).
+ */
+function applyCodecPreference(pc, codecId, viewerId) {
+  const transceiver = pc
+    .getTransceivers()
+    .find((t) => t.receiver.track?.kind === "video");
+  if (!transceiver || typeof transceiver.setCodecPreferences !== "function") {
+    if (codecId) {
+      console.warn(
+        `Codec: setCodecPreferences unavailable, using the default for ${viewerId}.`
+      );
+    }
+    return;
+  }
+
+  let preferences = []; // An empty list restores the browser's default order
+  const codec = VIDEO_CODECS.find((c) => c.id === codecId);
+  if (codec) {
+    const capabilities = RTCRtpReceiver.getCapabilities("video").codecs;
+    const isPreferred = (c) =>
+      c.mimeType.toLowerCase() === codec.mimeType.toLowerCase();
+    const preferred = capabilities.filter(isPreferred);
+    if (preferred.length === 0) {
+      console.warn(
+        `Codec: ${codec.label} is not supported by this browser, using the default for ${viewerId}.`
+      );
+    } else {
+      preferences = [
+        ...preferred,
+        ...capabilities.filter((c) => !isPreferred(c)),
+      ];
+    }
+  }
+
+  try {
+    transceiver.setCodecPreferences(preferences);
+    console.log(
+      `Codec: Preferring ${codec?.label || "browser default"} for ${viewerId}.`
+    );
+  } catch (e) {
+    console.warn(`Codec: Failed to set codec preferences for ${viewerId}:`, e);
+  }
+}
+
+/**
+ * Reads the video codec a connection is actually sending with.
+ * @param {RTCPeerConnection} pc - The viewer's connection.
+ * @returns {Promise<string | null>} The codec name (e.g. 'VP9'), or null if nothing is being sent yet.
+ */
+async function getNegotiatedVideoCodec(pc) {
+  const stats = await pc.getStats();
+  let codec = null;
+  stats.forEach((report) => {
+    if (report.type === "outbound-rtp" && report.kind === "video") {
+      const codecReport = report.codecId && stats.get(report.codecId);
+      if (codecReport) codec = codecReport.mimeType.replace(/^video\//i, "");
+    }
+  });
+  return codec;
+}
+
+/**
+ * Sets or clears a viewer's codec override and renegotiates with it.
+ * @param {string} viewerId - The viewer's ID.
+ * @param {string} codecId - A codec ID of `VIDEO_CODECS`, or '' to follow the stream-wide setting.
+ */
+function setViewerCodecOverride(viewerId, codecId) {
+  const entry = viewerRoster.get(viewerId);
+  if (!entry) return;
+  entry.codecOverride = codecId || null;
+  renegotiateWithViewer(viewerId);
+}
+
+// A new stream-wide preference applies to every viewer without an override
+CODEC_PREFERENCE_SELECT?.addEventListener("change", () => {
+  if (role !== "streamer") return;
+  viewerRoster.forEach((entry, viewerId) => {
+    if (!entry.codecOverride) renegotiateWithViewer(viewerId);
+  });
+});
+
+// --- NEW: SDP Modification Helper ---
+/**
+ * Modifies the SDP to prefer higher audio quality for the Opus codec.
+ * Specifically, attempts to add/set 'maxaveragebitrate' in the 'a=fmtp' line.
+ * @param {string} sdp - The original SDP string.
+ * @param {number} targetBitrate - The desired average bitrate in bps.
+ * @returns {string} The modified SDP string, or the original if modification fails.
+ */
+function modifySdpForAudioQuality(sdp, targetBitrate) {
+  console.log(
+    `Attempting to modify SDP for audio bitrate: ${targetBitrate}bps`
+  );
+  let sdpLines = sdp.split("\r\n");
+  let opusPayloadType = null;
+  let opusFmtpLineIndex = -1;
+  let inAudioSection = false;
+
+  // Find Opus payload type and existing fmtp line within the audio section
+  for (let i = 0; i < sdpLines.length; i++) {
+    const line = sdpLines[i];
+    if (line.startsWith("m=audio")) {
+      inAudioSection = true;
+    } else if (line.startsWith("m=") && !line.startsWith("m=audio")) {
+      inAudioSection = false; // Moved past audio section
+    }
+
+    if (inAudioSection) {
+      // Find Opus rtpmap line: "a=rtpmap:<payload> opus/48000/2"
+      const rtpmapMatch = line.match(/^a=rtpmap:(\d+) opus\/48000\/2/i);
+      if (rtpmapMatch) {
+        opusPayloadType = rtpmapMatch[1];
+        console.log(`Found Opus payload type: ${opusPayloadType}`);
+      }
+
+      // Find existing fmtp line for this payload type: "a=fmtp:<payload> ..."
+      if (opusPayloadType && line.startsWith(`a=fmtp:${opusPayloadType}`)) {
+        opusFmtpLineIndex = i;
+        console.log(`Found existing Opus fmtp line at index ${i}: ${line}`);
+        break; // Assume only one fmtp per payload type needed
+      }
+    }
+  }
+
+  if (opusPayloadType) {
+    const bitrateParam = `maxaveragebitrate=${targetBitrate}`;
+    const stereoParam = "stereo=1"; // Often desired with higher bitrate
+    const fecParam = "useinbandfec=1"; // Good for resilience
+
+    if (opusFmtpLineIndex !== -1) {
+      // Modify existing fmtp line
+      let fmtpLine = sdpLines[opusFmtpLineIndex];
+      let params = fmtpLine.substring(fmtpLine.indexOf(" ") + 1).split(";");
+      let foundBitrate = false;
+      let foundStereo = false;
+      let foundFec = false;
+
+      params = params.map((p) => p.trim()).filter((p) => p.length > 0); // Clean up parameters
+
+      // Update or add parameters
+      for (let j = 0; j < params.length; j++) {
+        if (params[j].startsWith("maxaveragebitrate=")) {
+          params[j] = bitrateParam;
+          foundBitrate = true;
+        } else if (params[j].startsWith("stereo=")) {
+          params[j] = stereoParam; // Ensure stereo is set if desired
+          foundStereo = true;
+        } else if (params[j].startsWith("useinbandfec=")) {
+          params[j] = fecParam;
+          foundFec = true;
+        }
+      }
+
+      if (!foundBitrate) params.push(bitrateParam);
+      if (!foundStereo) params.push(stereoParam);
+      if (!foundFec) params.push(fecParam);
+
+      sdpLines[opusFmtpLineIndex] = `a=fmtp:${opusPayloadType} ${params.join(
+        ";"
+      )}`;
+      console.log(`Modified fmtp line: ${sdpLines[opusFmtpLineIndex]}`);
+    } else {
+      // Add new fmtp line if none existed (less common)
+      // Find the line index *after* the corresponding rtpmap line to insert fmtp
+      let insertIndex = -1;
+      for (let i = 0; i < sdpLines.length; i++) {
+        if (sdpLines[i].includes(`a=rtpmap:${opusPayloadType}`)) {
+          insertIndex = i + 1;
+          // Keep searching for potentially better spots (e.g., after other 'a=' lines)
+        } else if (
+          insertIndex !== -1 &&
+          (sdpLines[i].startsWith("m=") || !sdpLines[i].startsWith("a="))
+        ) {
+          // Stop searching if we hit next media description or non-attribute line
+          break;
+        }
+      }
+      if (insertIndex !== -1) {
+        const newFmtpLine = `a=fmtp:${opusPayloadType} ${bitrateParam};${stereoParam};${fecParam}`;
+        sdpLines.splice(insertIndex, 0, newFmtpLine);
+        console.log(
+          `Added new fmtp line at index ${insertIndex}: ${newFmtpLine}`
+        );
+      } else {
+        console.warn(
+          "Could not find suitable insertion point for new fmtp line."
+        );
+      }
+    }
+    return sdpLines.join("\r\n");
+  } else {
+    console.warn("Opus codec not found in SDP. Cannot modify audio bitrate.");
+    return sdp; // Return original SDP if Opus not found
+  }
+}
+// --- END NEW SDP HELPER ---
+
+/**
+ * Initiates the process for a viewer to connect to a streamer's broadcast.
+ * Triggered by the 'Connect' button in the viewer tab.
+ * Reads and validates the entered code and opens the signaling and WebRTC session (`openViewerSession`).
+ * Handles errors during the process (invalid code, timeout, connection failure).
+ */
+async function connectViewer() {
+  role = "viewer"; // Ensure role is set to viewer
+  viewerTargetCode = CODE_INPUT.value.trim().toUpperCase(); // Get and format the code
+
+  // Validate the entered code format
+  if (!STREAMER_CODE_PATTERN.test(viewerTargetCode)) {
+    setError("Invalid code format. Please enter the code of the stream.");
+    return;
+  }
+
+  clearError(); // Clear previous errors
+  clearChatLog();
+  statsHistory = []; // Stats exports cover the current session only
+  resetViewerReconnection(); // A manual connect starts with a fresh attempt budget
+  // Remember the display name for the next visit
+  try {
+    localStorage.setItem(
+      VIEWER_NAME_STORAGE_KEY,
+      VIEWER_NAME_INPUT.value.trim()
+    );
+  } catch (e) {
+    console.warn("Could not persist viewer name:", e);
+  }
+  setStatus(`Connecting to stream code ${viewerTargetCode}...`);
+  connectViewerButton.disabled = true; // Disable button during connection attempt
+  await loadViewerConfiguration(); // Reconnects later on follow the server's policy
+
+  try {
+    await openViewerSession();
+  } catch (error) {
+    // Codes that are not live are reported by the socket's close handler (NO_STREAMER)
+    setError(`Failed to connect as viewer: ${error.message}`);
+    console.error("Viewer connection process error:", error);
+    closeConnections(); // Clean up resources on failure
+  }
+}
+// Attach listener to the viewer connect button
+connectViewerButton.addEventListener("click", connectViewer);
+
+/**
+ * Opens a viewer session for `viewerTargetCode`: connects to the signaling server (`connectWebSocket`),
+ * waits for the stream to be live (`waitForStreamLive`), sets a timeout for the signaling exchange,
+ * creates a peer connection (`createPeerConnection`),
+ * generates an SDP offer, **modifies it for higher audio quality**, sets it as the local description,
+ * and sends it to the streamer via WebSocket.
+ * Used both for the initial connection and for reconnect attempts (`reconnectViewer`).
+ * @returns {Promise<void>} Resolves once the offer has been sent; rejects on failure.
+ */
+async function openViewerSession() {
+  // Connect to the signaling server's watcher endpoint with the target code
+  const params = new URLSearchParams();
+  const viewerName = VIEWER_NAME_INPUT ? VIEWER_NAME_INPUT.value.trim() : "";
+  if (viewerName) params.set("name", viewerName);
+  const passphrase = PASSPHRASE_INPUT ? PASSPHRASE_INPUT.value : "";
+  if (passphrase) params.set("passphrase", passphrase); // Checked by the server before any offer is relayed
+  const query = params.toString() ? `?${params}` : "";
+  const live = waitForStreamLive(); // Settled by the server's first status messages
+  ws = await connectWebSocket(
+    `${WS_URL_BASE}/watch/${viewerTargetCode}${query}`
+  );
+  // The server keeps viewers of a stream that is not live yet waiting until its streamer arrives
+  if (!(await live)) return; // The socket closed first; its close handler reported why
+
+  // Start a timeout for the signaling process (e.g., waiting for an answer)
+  clearTimeout(signalingTimeout); // Clear any previous timeout
+  signalingTimeout = setTimeout(() => {
+    signalingTimeout = null;
+    console.error("Signaling timeout reached for viewer connection.");
+    if (viewerReconnecting) {
+      scheduleViewerReconnect(); // Count it as a failed attempt and keep trying
+      return;
+    }
+    setError(`Connection timed out waiting for streamer: ${viewerTargetCode}.`);
+    closeConnections(); // Clean up on timeout
+  }, 60000); // 60-second timeout
+
+  // Create the RTCPeerConnection for communicating with the streamer
+  const pc = await createPeerConnection(); // Viewer doesn't need a viewerId
+  if (!pc) {
+    throw new Error("Failed to create RTCPeerConnection.");
+  }
+  peerConnections.set("streamer", pc); // Store the connection (key 'streamer' identifies the single connection for a viewer)
+
+  // Create, apply and send an SDP offer to receive audio/video from the streamer
+  // (**modified for higher audio quality**)
+  console.log("Viewer: Creating SDP offer...");
+  await sendOffer("streamer", pc, {
+    offerToReceiveAudio: true,
+    offerToReceiveVideo: true,
+  });
+}
+
+// --- Waiting Room (Viewer) ---
+
+/**
+ * Returns a promise settled by the server's status messages: true once the stream is live
+ * (the viewer may offer), false if the signaling connection closes first.
+ * @returns {Promise<boolean>} Whether the stream went live.
+ */
+function waitForStreamLive() {
+  resolveStreamLive(false); // A previous session's wait is over
+  return new Promise((resolve) => {
+    streamLiveResolver = resolve;
+  });
+}
+
+/**
+ * Settles the pending `waitForStreamLive` promise, if any.
+ * @param {boolean} live - Whether the stream went live.
+ */
+function resolveStreamLive(live) {
+  const resolve = streamLiveResolver;
+  streamLiveResolver = null;
+  resolve?.(live);
+}
+
+/**
+ * Shows or hides the "Waiting for host…" overlay on the remote video.
+ * @param {boolean} waiting - Whether the viewer is waiting for the stream to go live.
+ */
+function setViewerWaiting(waiting) {
+  if (!REMOTE_WAITING_OVERLAY) return;
+  if (waiting) {
+    // Inside the Plyr wrapper, like the "paused" overlay
+    const host = REMOTE_VIDEO?.closest(".plyr");
+    if (host && REMOTE_WAITING_OVERLAY.parentElement !== host) {
+      host.appendChild(REMOTE_WAITING_OVERLAY);
+    }
+  }
+  REMOTE_WAITING_OVERLAY.style.display = waiting ? "" : "none";
+}
+
+/**
+ * Handles the server's status of the stream: 'waiting' while its code is not live (repeated
+ * periodically, with the seconds left in `timeout`), then 'live' once the streamer is there.
+ * @param {{ type: string, code: string, timeout?: number }} message - The status message.
+ */
+function handleStreamStatus(message) {
+  if (message.type === "waiting") {
+    console.log(
+      `Viewer: Stream ${message.code} is not live yet (waiting ${message.timeout}s more).`
+    );
+    setViewerWaiting(true);
+    setStatus(
+      `Waiting for host… Stream ${message.code} is not live yet, you will be connected automatically.`,
+      false,
+      true
+    );
+    return;
+  }
+
+  console.log(`Viewer: Stream ${message.code} is live.`);
+  setViewerWaiting(false);
+  setStatus(`Stream ${message.code} is live, connecting...`);
+  resolveStreamLive(true);
+}
+
+// --- Perfect Negotiation ---
+
+/**
+ * Returns the negotiation state of a connection, creating it on first use.
+ * The viewer is the polite peer: on an offer collision it rolls back its own offer and answers the
+ * streamer's. The streamer, which serves every viewer, is impolite and keeps its offer.
+ * @param {string} key - The connection key ('streamer' for the viewer, a viewerId for the streamer).
+ * @returns {{ polite: boolean, makingOffer: boolean, ignoreOffer: boolean, isSettingRemoteAnswerPending: boolean, pendingCandidates: RTCIceCandidateInit[], candidateCounts: { queued: number, applied: number, failed: number } }} The state.
+ */
+function getNegotiationState(key) {
+  let negotiation = negotiationStates.get(key);
+  if (!negotiation) {
+    negotiation = {
+      polite: role === "viewer",
+      makingOffer: false, // An offer of ours is being created/applied
+      ignoreOffer: false, // The last remote offer lost a collision (its candidates are expected to fail)
+      isSettingRemoteAnswerPending: false, // An answer is being applied (we are about to be stable)
+      pendingCandidates: [], // Remote candidates received before the remote description
+      candidateCounts: { queued: 0, applied: 0, failed: 0 }, // Remote candidates, for the logs
+    };
+    negotiationStates.set(key, negotiation);
+  }
+  return negotiation;
+}
+
+/**
+ * Creates, applies and sends an offer on a connection. Every offer (initial, renegotiation,
+ * ICE restart) goes through here so offer collisions can be detected.
+ * The streamer applies the viewer's codec preference first; offers are **modified for higher audio quality**.
+ * @param {string} key - The connection key ('streamer' or a viewerId).
+ * @param {RTCPeerConnection} pc - The connection.
+ * @param {RTCOfferOptions} [options={}] - Options for `createOffer` (e.g. `{ iceRestart: true }`).
+ * @returns {Promise<boolean>} Whether the offer was sent (false if a remote offer arrived meanwhile).
+ */
+async function sendOffer(key, pc, options = {}) {
+  const negotiation = getNegotiationState(key);
+  if (role === "streamer") {
+    applyCodecPreference(pc, getPreferredCodecForViewer(key), key);
+  }
+  try {
+    negotiation.makingOffer = true;
+    let offer = await pc.createOffer(options);
+    // A remote offer was applied while ours was being created: it wins, ours is dropped
+    if (pc.signalingState !== "stable") return false;
+    try {
+      offer.sdp = modifySdpForAudioQuality(offer.sdp, TARGET_AUDIO_BITRATE);
+    } catch (sdpError) {
+      console.error("Failed to modify SDP offer for audio quality:", sdpError);
+    }
+    await pc.setLocalDescription(offer);
+    sendMessage(pc.localDescription, role === "streamer" ? key : null);
+    console.log(`[${key}] Sent SDP offer.`);
+    return true;
+  } finally {
+    negotiation.makingOffer = false;
+  }
+}
+
+/**
+ * Creates, applies and sends the answer to the remote offer just applied,
+ * **modified for higher audio quality**.
+ * @param {string} key - The connection key ('streamer' or a viewerId).
+ * @param {RTCPeerConnection} pc - The connection.
+ */
+async function sendAnswer(key, pc) {
+  let answer = await pc.createAnswer();
+  try {
+    answer.sdp = modifySdpForAudioQuality(answer.sdp, TARGET_AUDIO_BITRATE);
+  } catch (sdpError) {
+    console.error("Failed to modify SDP answer for audio quality:", sdpError);
+  }
+  await pc.setLocalDescription(answer);
+  sendMessage(pc.localDescription, role === "streamer" ? key : null);
+  console.log(`[${key}] Sent SDP answer.`);
+}
+
+/**
+ * Applies a remote offer or answer following the perfect negotiation pattern.
+ * On an offer collision the impolite peer ignores the remote offer, the polite peer rolls back
+ * its own offer first. Answers without a pending offer (e.g. duplicates) are ignored.
+ * Remote candidates buffered until now are added once the description is set.
+ * @param {string} key - The connection key ('streamer' or a viewerId).
+ * @param {RTCPeerConnection} pc - The connection.
+ * @param {RTCSessionDescriptionInit} description - The remote offer or answer.
+ * @returns {Promise<boolean>} Whether the description was applied. An applied offer still needs `sendAnswer`.
+ */
+async function applyRemoteDescription(key, pc, description) {
+  const negotiation = getNegotiationState(key);
+  const readyForOffer =
+    !negotiation.makingOffer &&
+    (pc.signalingState === "stable" ||
+      negotiation.isSettingRemoteAnswerPending);
+  const offerCollision = description.type === "offer" && !readyForOffer;
+
+  negotiation.ignoreOffer = !negotiation.polite && offerCollision;
+  if (negotiation.ignoreOffer) {
+    console.warn(`[${key}] Offer collision: ignoring the remote offer.`);
+    return false;
+  }
+  if (
+    description.type === "answer" &&
+    pc.signalingState !== "have-local-offer"
+  ) {
+    console.warn(
+      `[${key}] Received answer in signaling state ${pc.signalingState}. Ignoring.`
+    );
+    return false;
+  }
+
+  if (offerCollision) {
+    console.log(`[${key}] Offer collision: rolling back our own offer.`);
+    await pc.setLocalDescription({ type: "rollback" });
+  }
+  negotiation.isSettingRemoteAnswerPending = description.type === "answer";
+  try {
+    await pc.setRemoteDescription(new RTCSessionDescription(description));
+  } finally {
+    negotiation.isSettingRemoteAnswerPending = false;
+  }
+  console.log(`[${key}] Set remote description (${description.type}).`);
+
+  const candidates = negotiation.pendingCandidates.splice(0);
+  if (candidates.length > 0) {
+    console.log(
+      `[${key}] Flushing ${candidates.length} queued ICE candidate(s).`
+    );
+  }
+  for (const candidate of candidates) {
+    await addRemoteCandidate(key, pc, candidate);
+  }
+  return true;
+}
+
+/**
+ * Adds a remote ICE candidate, or queues it until the connection has a remote description.
+ * A candidate with an empty `candidate` string is the remote end-of-candidates indication.
+ * Failures are expected (and not logged) for candidates of an offer we ignored.
+ * @param {string} key - The connection key ('streamer' or a viewerId).
+ * @param {RTCPeerConnection | undefined} pc - The connection, if it exists yet.
+ * @param {RTCIceCandidateInit} candidate - The candidate.
+ */
+async function addRemoteCandidate(key, pc, candidate) {
+  const negotiation = getNegotiationState(key);
+  const counts = negotiation.candidateCounts;
+  if (!pc || !pc.remoteDescription) {
+    negotiation.pendingCandidates.push(candidate);
+    counts.queued++;
+    return;
+  }
+  const endOfCandidates = !candidate.candidate;
+  try {
+    // Plain init object: RTCIceCandidate can't be constructed from an end-of-candidates indication
+    await pc.addIceCandidate(candidate);
+    if (endOfCandidates) {
+      console.log(
+        `[${key}] Remote end-of-candidates. ICE candidates: ${formatCandidateCounts(
+          key
+        )}.`
+      );
+    } else {
+      counts.applied++;
+    }
+  } catch (e) {
+    counts.failed++;
+    if (!negotiation.ignoreOffer) {
+      console.warn(`[${key}] Error adding ICE candidate: ${e.message}`);
+    }
+  }
+}
+
+/**
+ * Summarizes the remote ICE candidates of a connection for the logs.
+ * Queued candidates are also counted as applied or failed once flushed.
+ * @param {string} key - The connection key ('streamer' or a viewerId).
+ * @returns {string} E.g. "2 queued, 5 applied, 0 failed".
+ */
+function formatCandidateCounts(key) {
+  const { queued, applied, failed } = getNegotiationState(key).candidateCounts;
+  return `${queued} queued, ${applied} applied, ${failed} failed`;
+}
+
+/**
+ * Sends a new offer when a connection changed after its initial negotiation
+ * (screens added or removed, tracks enabled). Bound to 'negotiationneeded' on both sides.
+ * The initial negotiation is the viewer's explicit offer; the event fires again once a pending exchange completes.
+ * @param {string} key - The connection key ('streamer' or a viewerId).
+ * @param {RTCPeerConnection} pc - The connection.
+ */
+async function handleNegotiationNeeded(key, pc) {
+  if (!pc.currentRemoteDescription || pc.signalingState === "closed") return;
+  try {
+    await sendOffer(key, pc);
+  } catch (e) {
+    console.error(`[${key}] Renegotiation failed:`, e);
+  }
+}
+
+/**
+ * Streamer: renegotiates with a connected viewer, e.g. so a changed codec preference takes effect
+ * (codec preferences don't fire 'negotiationneeded').
+ * @param {string} viewerId - The viewer's ID.
+ */
+function renegotiateWithViewer(viewerId) {
+  const pc = peerConnections.get(viewerId);
+  if (!pc || !pc.currentRemoteDescription) return;
+  if (pc.signalingState !== "stable") {
+    console.warn(`Codec: Viewer ${viewerId} is negotiating, try again later.`);
+    return;
+  }
+  console.log(`Codec: Renegotiating with viewer ${viewerId}.`);
+  handleNegotiationNeeded(viewerId, pc);
+}
+
+// --- Viewer Reconnection ---
+
+/**
+ * Resets the viewer's reconnection state: clears pending ICE restart and reconnect timers
+ * and the attempt counter. Called on a successful connection, a manual connect and during cleanup.
+ */
+function resetViewerReconnection() {
+  clearTimeout(iceRestartTimer);
+  iceRestartTimer = null;
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  reconnectAttempt = 0;
+  viewerReconnecting = false;
+}
+
+/**
+ * Schedules an ICE restart after `ICE_RESTART_GRACE_MS`, giving a 'disconnected'
+ * connection the chance to recover on its own first (e.g. a short Wi-Fi blip).
+ */
+function scheduleIceRestart() {
+  if (role !== "viewer" || iceRestartTimer || reconnectTimer) return;
+  iceRestartTimer = setTimeout(() => {
+    iceRestartTimer = null;
+    const pc = peerConnections.get("streamer");
+    if (pc && pc.connectionState === "connected") {
+      console.log(
+        "Viewer: Connection recovered by itself, no ICE restart needed."
+      );
+      return;
+    }
+    attemptIceRestart();
+  }, ICE_RESTART_GRACE_MS);
+}
+
+/**
+ * Attempts to recover the viewer's connection with an ICE restart on the existing
+ * RTCPeerConnection, signaled over the still-open WebSocket.
+ * Falls back to a full reconnect (`scheduleViewerReconnect`) when signaling is unavailable
+ * or the restart does not complete within `ICE_RESTART_TIMEOUT_MS`.
+ */
+async function attemptIceRestart() {
+  if (role !== "viewer" || reconnectTimer) return;
+  clearTimeout(iceRestartTimer);
+  iceRestartTimer = null;
+
+  const pc = peerConnections.get("streamer");
+  if (
+    !pc ||
+    pc.signalingState === "closed" ||
+    !ws ||
+    ws.readyState !== WebSocket.OPEN
+  ) {
+    console.warn(
+      "Viewer: Cannot restart ICE without signaling, reconnecting instead."
+    );
+    scheduleViewerReconnect();
+    return;
+  }
+
+  if (reconnectAttempt >= getMaxReconnectAttempts()) {
+    giveUpReconnecting();
+    return;
+  }
+  reconnectAttempt++;
+  viewerReconnecting = true;
+  setStatus(`Reconnecting… (attempt ${reconnectAttempt})`, false, true);
+  console.log(`Viewer: Attempting ICE restart (attempt ${reconnectAttempt}).`);
+
+  try {
+    // Not sent if the streamer is renegotiating: the timeout below then falls back to a reconnect
+    await sendOffer("streamer", pc, { iceRestart: true });
+
+    // If the restart doesn't bring the connection back, start over with a new session
+    iceRestartTimer = setTimeout(() => {
+      iceRestartTimer = null;
+      if (pc.connectionState !== "connected") {
+        console.warn("Viewer: ICE restart timed out, reconnecting instead.");
+        scheduleViewerReconnect();
+      }
+    }, ICE_RESTART_TIMEOUT_MS);
+  } catch (e) {
+    console.error("Viewer: ICE restart failed:", e);
+    scheduleViewerReconnect();
+  }
+}
+
+/**
+ * Loads the viewer settings of the server (the number of reconnect attempts) into
+ * `serverReconnectAttempts`. They are loaded once per page; if the backend cannot be reached,
+ * `MAX_RECONNECT_ATTEMPTS` applies.
+ * @returns {Promise<void>} Resolves once loaded, or once the fallback applies. Never rejects.
+ */
+async function loadViewerConfiguration() {
+  if (serverReconnectAttempts !== null) return;
+
+  try {
+    const response = await fetch(VIEWER_CONFIG_URL, { cache: "no-store" });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const config = await response.json();
+    if (
+      !Number.isInteger(config.reconnectAttempts) ||
+      config.reconnectAttempts < 0
+    ) {
+      throw new Error("Response has no valid 'reconnectAttempts'.");
+    }
+    serverReconnectAttempts = config.reconnectAttempts;
+    console.log(
+      `Fetched viewer configuration: ${serverReconnectAttempts} reconnect attempts.`
+    );
+  } catch (e) {
+    console.warn(
+      `Failed to fetch viewer configuration from ${VIEWER_CONFIG_URL}, using ${MAX_RECONNECT_ATTEMPTS} reconnect attempts:`,
+      e
+    );
+  }
+}
+
+/**
+ * Returns how many recovery attempts the viewer makes before giving up: the server's setting
+ * once loaded (`loadViewerConfiguration`), `MAX_RECONNECT_ATTEMPTS` otherwise.
+ * @returns {number} The maximum number of reconnect attempts.
+ */
+function getMaxReconnectAttempts() {
+  return serverReconnectAttempts ?? MAX_RECONNECT_ATTEMPTS;
+}
+
+/**
+ * Schedules a full reconnect (new WebSocket and renegotiation) with exponential backoff.
+ * Gives up once `getMaxReconnectAttempts()` is reached.
+ */
+function scheduleViewerReconnect() {
+  if (role !== "viewer" || !viewerTargetCode || reconnectTimer) return;
+  clearTimeout(iceRestartTimer);
+  iceRestartTimer = null;
+
+  if (reconnectAttempt >= getMaxReconnectAttempts()) {
+    giveUpReconnecting();
+    return;
+  }
+  viewerReconnecting = true;
+  const delay = Math.min(
+    RECONNECT_BASE_DELAY_MS * 2 ** reconnectAttempt,
+    RECONNECT_MAX_DELAY_MS
+  );
+  reconnectAttempt++;
+  setStatus(`Reconnecting… (attempt ${reconnectAttempt})`, false, true);
+  console.log(
+    `Viewer: Reconnecting in ${delay}ms (attempt ${reconnectAttempt} of ${getMaxReconnectAttempts()}).`
+  );
+  reconnectTimer = setTimeout(reconnectViewer, delay);
+}
+
+/**
+ * Performs a scheduled reconnect: tears down the broken session and opens a new one.
+ * A failure simply schedules the next attempt.
+ */
+async function reconnectViewer() {
+  reconnectTimer = null;
+  if (role !== "viewer" || !viewerTargetCode) return;
+
+  teardownViewerSession();
+  try {
+    await openViewerSession();
+  } catch (e) {
+    console.warn(`Viewer: Reconnect attempt ${reconnectAttempt} failed:`, e);
+    scheduleViewerReconnect();
+  }
+}
+
+/**
+ * Closes the viewer's current peer connection and WebSocket without resetting the UI,
+ * so the last frame stays visible while reconnecting.
+ */
+function teardownViewerSession() {
+  const pc = peerConnections.get("streamer");
+  if (pc) {
+    pc.onicecandidate = null;
+    pc.ontrack = null;
+    pc.oniceconnectionstatechange = null;
+    pc.onconnectionstatechange = null;
+    pc.onsignalingstatechange = null;
+    pc.onnegotiationneeded = null;
+    if (pc.signalingState !== "closed") pc.close();
+    peerConnections.delete("streamer");
+    dataChannels.delete("streamer");
+    statsPrevious.delete("streamer"); // The next connection starts its counters from zero
+    negotiationStates.delete("streamer");
+  }
+  resetRemoteShares(); // The new connection brings the screens again
+  if (ws) {
+    ws.onclose = null;
+    ws.onerror = null;
+    ws.onmessage = null;
+    ws.onopen = null;
+    if (
+      ws.readyState === WebSocket.OPEN ||
+      ws.readyState === WebSocket.CONNECTING
+    ) {
+      ws.close(1000, "Reconnecting");
+    }
+    ws = null;
+    wsConnected = false;
+  }
+  clearTimeout(signalingTimeout);
+  signalingTimeout = null;
+}
+
+/**
+ * Stops reconnecting after `getMaxReconnectAttempts()` attempts and closes the session for good.
+ */
+function giveUpReconnecting() {
+  console.error(
+    `Viewer: Giving up after ${reconnectAttempt} reconnect attempts.`
+  );
+  closeConnections();
+  setError(
+    `Lost connection to the stream after ${reconnectAttempt} reconnect attempts.`
+  );
+}
+
+/**
+ * Handles incoming messages received via the WebSocket connection.
+ * Parses the JSON message and routes it based on the current `role` (streamer/viewer)
+ * and the message content (type, sdp, candidate, etc.).
+ * Manages the signaling exchange required for WebRTC setup (offer, answer, candidates).
+ * Either side may offer at any time; collisions are resolved by perfect negotiation (see `applyRemoteDescription`).
+ * Offers and answers are **modified for higher audio quality** before sending.
+ * @param {MessageEvent} event - The WebSocket message event containing the data.
+ */
+async function handleWebSocketMessage(event) {
+  try {
+    const message = JSON.parse(event.data);
+    console.log("WebSocket message received:", message);
+
+    // --- Streamer Message Handling ---
+    if (role === "streamer") {
+      // Handle receiving the unique streamer code from the server
+      if (message.code) {
+        streamerCode = message.code;
+        sfuMode = message.mode === "sfu";
+        // Custom codes come with the token that lets this browser reclaim them later
+        if (message.claim) saveClaimToken(streamerCode, message.claim);
+        STREAMER_CODE_DISPLAY.textContent = streamerCode; // Display the code in the UI
+        setStatus("Streaming - Share this code with viewers.", true);
+        console.log(
+          `Streamer received code: ${streamerCode} (mode: ${
+            message.mode || "p2p"
+          })`
+        );
+        if (SFU_MODE_CHECKBOX?.checked && !sfuMode) {
+          console.warn("SFU: Relay mode is disabled on this server.");
+          setStatus(
+            "Relaying is not available on this server, streaming peer-to-peer. Share this code with viewers.",
+            false,
+            true
+          );
+        }
+        startRosterStats();
+        startAdaptiveBitrate();
+        updateShareControls();
+        setChatEnabled(true); // The streamer can chat as soon as the stream is live
+        if (sfuMode) {
+          // The forwarded tracks keep the codec negotiated with the relay
+          if (CODEC_PREFERENCE_SELECT) CODEC_PREFERENCE_SELECT.disabled = true;
+          await connectToSfu();
+        }
+        return; // Code message handled
+      }
+
+      // Handle notification that a viewer has disconnected (sent by server)
+      if (message.type === "viewer_left" && message.viewerId) {
+        console.log(
+          `Streamer received notification: Viewer ${message.viewerId} left (${
+            message.reason || "unknown reason"
+          }).`
+        );
+        handleViewerDisconnect(message.viewerId); // Clean up connection for this viewer
+        viewerRoster.delete(message.viewerId);
+        pendingApprovals.delete(message.viewerId);
+        approvedViewers.delete(message.viewerId);
+        renderViewerRoster();
+        updateViewerCount();
+        return; // Viewer left message handled
+      }
+
+      // Handle notification that a viewer has opened a signaling session (sent by server)
+      if (message.type === "viewer_joined" && message.viewerId) {
+        console.log(
+          `Streamer received notification: Viewer ${message.viewerId} joined.`
+        );
+        viewerRoster.set(message.viewerId, {
+          name: message.name || null,
+          joinedAt: new Date(),
+          connectionState: "new",
+          route: null,
+          codec: null, // Video codec actually negotiated
+          codecOverride: null, // Codec ID preferred for this viewer only (null: stream-wide setting)
+          annotationsAllowed: true, // Per-viewer annotation toggle (the stream-wide setting applies too)
+          videoLayer: "auto", // Video layer picked by the viewer ('auto' or an ID of SIMULCAST_LAYERS)
+          pendingApproval: false,
+        });
+        renderViewerRoster();
+        updateViewerCount();
+        setStatus(
+          `Viewer ${message.name || message.viewerId} joined, negotiating...`,
+          true
+        );
+        return; // Viewer joined message handled
+      }
+
+      // --- Handle SDP Offer from a new Viewer ---
+      if (message.from && message.data && message.data.type === "offer") {
+        const viewerId = message.from; // ID assigned by the server to the viewer
+        console.log(`Streamer: Received SDP offer from viewer ${viewerId}.`);
+
+        // Approval-gated streams hold the offer until the streamer accepts the viewer
+        if (requireViewerApproval && !approvedViewers.has(viewerId)) {
+          requestViewerApproval(viewerId, message.data);
+          return;
+        }
+
+        await answerViewerOffer(viewerId, message.data);
+        return; // Offer handled
+      }
+
+      // --- Handle SDP Answer to a renegotiation offer sent by the streamer ---
+      if (message.from && message.data && message.data.type === "answer") {
+        const viewerId = message.from;
+        const pc = peerConnections.get(viewerId);
+        if (!pc) {
+          console.warn(
+            `Streamer: Received answer for unknown viewer ${viewerId}. Ignoring.`
+          );
+          return;
+        }
+        try {
+          if (await applyRemoteDescription(viewerId, pc, message.data)) {
+            applyQualityPresetToConnection(viewerId, pc); // New senders got their encodings
+          }
+        } catch (e) {
+          console.error(
+            `Streamer: Error setting renegotiation answer from ${viewerId}:`,
+            e
+          );
+        }
+        return; // Answer handled
+      }
+
+      // --- Handle ICE Candidate from a Viewer ---
+      if (
+        message.from &&
+        message.data &&
+        message.data.type === "candidate" &&
+        message.data.candidate
+      ) {
+        const viewerId = message.from;
+        const candidateData = message.data.candidate;
+        const pc = peerConnections.get(viewerId);
+
+        // Candidates may arrive before the connection or its remote description exists
+        // (e.g. viewers awaiting approval): they are queued until the offer is applied
+        if (!pc && !viewerRoster.has(viewerId)) {
+          console.warn(
+            `Streamer: Received ICE candidate for unknown or closed viewer ${viewerId}. Ignoring.`
+          );
+        } else if (pc?.signalingState !== "closed") {
+          await addRemoteCandidate(viewerId, pc, candidateData);
+        }
+        return; // Candidate handled
+      }
+    }
+
+    // --- Viewer Message Handling ---
+    if (role === "viewer") {
+      // --- Handle the server's status of the stream (before the peer connection exists) ---
+      if (message.type === "waiting" || message.type === "live") {
+        handleStreamStatus(message);
+        return;
+      }
+
+      const pc = peerConnections.get("streamer"); // Viewer has only one connection
+
+      // Ignore messages if the peer connection doesn't exist or is closed
+      if (!pc || pc.signalingState === "closed") {
+        console.warn(
+          "Viewer: Received message but PeerConnection is missing or closed. Ignoring."
+        );
+        return;
+      }
+
+      // --- Handle the streamer holding our offer for approval ---
+      if (message.type === "awaiting_approval") {
+        console.log("Viewer: Streamer must approve this viewer first.");
+        clearTimeout(signalingTimeout); // Approval may take longer than the signaling timeout
+        signalingTimeout = null;
+        setStatus("Waiting for the streamer to let you in...", false, true);
+        return;
+      }
+
+      // --- Handle SDP Answer from the Streamer ---
+      if (message.type === "answer" && message.sdp) {
+        console.log("Viewer: Received SDP answer from streamer.");
+
+        // Applied if it belongs to our pending offer (initial connection, ICE restart or renegotiation)
+        try {
+          if (await applyRemoteDescription("streamer", pc, message)) {
+            clearTimeout(signalingTimeout); // Successfully received answer, clear timeout
+            signalingTimeout = null;
+          }
+        } catch (e) {
+          console.error(
+            "Viewer: Error setting remote description (answer):",
+            e
+          );
+          if (viewerReconnecting) {
+            scheduleViewerReconnect(); // The restart answer was unusable, start a new session
+            return;
+          }
+          setError(`Viewer: Failed to process streamer's answer: ${e.message}`);
+          closeConnections();
+        }
+        return; // Answer handled
+      }
+
+      // --- Handle SDP Offer from the Streamer (renegotiation, e.g. screens added or removed) ---
+      if (message.type === "offer" && message.sdp) {
+        console.log("Viewer: Received renegotiation offer from streamer.");
+        try {
+          // As the polite peer, a pending offer of ours is rolled back in favor of the streamer's
+          if (await applyRemoteDescription("streamer", pc, message)) {
+            await sendAnswer("streamer", pc);
+          }
+        } catch (e) {
+          console.error("Viewer: Error answering streamer offer:", e);
+        }
+        return; // Offer handled
+      }
+
+      // --- Handle ICE Candidate from the Streamer ---
+      if (message.type === "candidate" && message.candidate) {
+        // console.log("Viewer: Received ICE candidate from streamer.");
+        // Candidates arriving before the answer are buffered until it is applied
+        await addRemoteCandidate("streamer", pc, message.candidate);
+        return; // Candidate handled
+      }
+    }
+
+    // Log any message that wasn't handled by the logic above
+    console.warn("Unhandled WebSocket message:", message);
+  } catch (error) {
+    console.error(
+      "Failed to process WebSocket message:",
+      error,
+      "Raw data:",
+      event.data
+    );
+    setError(`Error processing signaling message: ${error.message}`);
+    // Depending on the error severity, consider calling closeConnections() here.
+  }
+}
+
+/**
+ * Answers an SDP offer from a viewer (streamer role).
+ * Creates the viewer's RTCPeerConnection if needed, sets the offer as the remote description,
+ * adds the local stream's tracks, and sends back an answer **modified for higher audio quality**.
+ * Also answers later offers on an existing connection (e.g. ICE restarts).
+ * @param {string} viewerId - The ID assigned by the server to the viewer.
+ * @param {RTCSessionDescriptionInit} offerData - The viewer's SDP offer.
+ */
+async function answerViewerOffer(viewerId, offerData) {
+  // Check if a connection for this viewer already exists and is closed; clean up if so.
+  let pc = peerConnections.get(viewerId);
+  if (
+    pc &&
+    (pc.connectionState === "closed" || pc.signalingState === "closed")
+  ) {
+    console.warn(
+      `Streamer: Stale/closed connection found for ${viewerId}, cleaning up before creating new one.`
+    );
+    handleViewerDisconnect(viewerId);
+    pc = null;
+  }
+
+  // Create a new PeerConnection for this viewer if one doesn't exist
+  if (!pc) {
+    pc = await createPeerConnection(viewerId);
+    if (!pc) {
+      console.error(
+        `Streamer: Failed to create PeerConnection for ${viewerId}.`
+      );
+      return;
+    }
+    peerConnections.set(viewerId, pc); // Store the new connection
+    updateViewerCount(); // Update UI
+  }
+
+  // Ensure the local screen stream is active before proceeding
+  if (!localStream || !localStream.active) {
+    setError(
+      `Streamer: Screen stream is not active. Cannot answer offer from ${viewerId}.`
+    );
+    console.error(
+      `Streamer: Local stream inactive when receiving offer from ${viewerId}.`
+    );
+    handleViewerDisconnect(viewerId); // Disconnect this viewer
+    return;
+  }
+  const activeTracks = localStream
+    .getTracks()
+    .filter((t) => t.readyState === "live");
+  if (activeTracks.length === 0) {
+    setError(
+      `Streamer: No active tracks in the screen stream. Cannot answer offer from ${viewerId}.`
+    );
+    console.error(
+      `Streamer: No live tracks in local stream when receiving offer from ${viewerId}.`
+    );
+    handleViewerDisconnect(viewerId); // Disconnect this viewer
+    return;
+  }
+
+  // Set the received offer as the remote description (ignored if it collides with our own offer)
+  if (!(await applyRemoteDescription(viewerId, pc, offerData))) return;
+
+  // Add local stream tracks to the PeerConnection to send to the viewer
+  const senders = pc.getSenders();
+  // A transceiver that already sends this kind of media (e.g. the pause slate, or muted audio) is kept as is
+  const isSendingKind = (kind) =>
+    pc
+      .getTransceivers()
+      .some(
+        (t) =>
+          t.receiver.track?.kind === kind &&
+          (t.sender.track || t.currentDirection?.includes("send"))
+      );
+  activeTracks.forEach((track) => {
+    // With the camera overlay on, viewers get the composited video instead of the plain screen
+    if (track.kind === "video") track = getOutgoingVideoTrack() || track;
+    // Only add track if a sender for it doesn't already exist
+    if (!senders.find((s) => s.track === track) && !isSendingKind(track.kind)) {
+      console.log(`Streamer: Adding ${track.kind} track to PC for ${viewerId}`);
+      pc.addTrack(track, localStream);
+    } else {
+      console.log(
+        `Streamer: Sender for ${track.kind} track already exists for ${viewerId}`
+      );
+    }
+  });
+
+  // A viewer joining while paused gets the slate, never the real screen
+  if (streamPaused) await setConnectionPaused(pc, true);
+
+  // Extra screens are not part of the viewer's offer: adding them now makes the streamer
+  // send its own offer ('negotiationneeded') once this exchange is complete
+  extraShares.forEach((share) =>
+    addExtraShareToConnection(viewerId, pc, share)
+  );
+
+  // Prefer the codec chosen for this viewer (must happen before the answer is created)
+  applyCodecPreference(pc, getPreferredCodecForViewer(viewerId), viewerId);
+
+  // Create, apply and send the SDP answer (**modified for higher audio quality**)
+  await sendAnswer(viewerId, pc);
+
+  // Encodings exist once the answer is applied: cap the video per the selected quality preset
+  applyQualityPresetToConnection(viewerId, pc);
+}
+
+/**
+ * Sends signaling data (SDP offer/answer or ICE candidates) over the WebSocket connection.
+ * Formats the message payload according to the user's role.
+ * Streamers must specify the target viewer ID. Viewers send directly.
+ * Checks WebSocket connection state before attempting to send.
+ * @param {RTCSessionDescriptionInit | RTCIceCandidate} payload - The SDP data or ICE candidate to send.
+ * @param {string | null} [targetViewerId=null] - The specific viewer ID to send to (used only by streamer).
+ */
+function sendMessage(payload, targetViewerId = null) {
+  // Check if WebSocket is connected and ready to send
+  if (!ws || ws.readyState !== WebSocket.OPEN) {
+    // Don't log error if viewer WS is expectedly closed after WebRTC connect
+    if (
+      !(
+        role === "viewer" &&
+        !wsConnected &&
+        peerConnections.has("streamer") &&
+        peerConnections.get("streamer").connectionState === "connected"
+      )
+    ) {
+      console.error("sendMessage Error: WebSocket is not open or available.");
+      // Avoid flooding errors if already showing a warning
+      if (!STATUS_DISPLAY.className.includes("warning")) {
+        setError("Cannot send message: Signaling connection inactive.");
+      }
+    } else {
+      console.log(
+        "sendMessage skipped: Viewer WebSocket intentionally closed after WebRTC connection."
+      );
+    }
+    return;
+  }
+
+  if (!payload) {
+    console.error("sendMessage Error: Payload is null or undefined.");
+    return;
+  }
+
+  let messageToSend = {};
+  let rtcPayload = {};
+
+  // Format payload based on type (ICE Candidate or SDP)
+  if (
+    payload instanceof RTCIceCandidate ||
+    (payload.type === "candidate" && typeof payload.candidate !== "undefined")
+  ) {
+    // Handle both actual RTCIceCandidate objects and plain candidate objects from signaling
+    const candidate = payload.candidate;
+    // Don't send null candidates; end-of-candidates is an empty candidate string (see 'onicecandidate')
+    if (!candidate) {
+      // console.log("sendMessage: Null ICE candidate, skipping send.");
+      return;
+    }
+    // Ensure we send the plain object representation
+    rtcPayload = {
+      type: "candidate",
+      candidate:
+        typeof candidate === "string" ? JSON.parse(candidate) : candidate,
+    }; // Handle potential stringified candidate
+    // Re-stringify just the candidate part if needed for consistency, or assume server handles object
+    // Let's simplify: assume payload is the object ready to be embedded
+    rtcPayload = { type: "candidate", candidate: payload.candidate };
+  } else if (payload.type && payload.sdp) {
+    // Check for SDP object (offer/answer)
+    rtcPayload = { type: payload.type, sdp: payload.sdp };
+  } else if (typeof payload.type === "string") {
+    // Other typed payloads are application control messages (e.g. 'awaiting_approval'), relayed as-is
+    rtcPayload = payload;
+  } else {
+    console.error("sendMessage Error: Invalid payload type.", payload);
+    return;
+  }
+
+  // Construct the final message based on role
+  if (role === "streamer" && targetViewerId) {
+    // Streamer sends directed messages to a specific viewer
+    messageToSend = { to: targetViewerId, data: rtcPayload };
+  } else if (role === "viewer") {
+    // Viewer sends messages directly (server knows it's intended for the streamer)
+    messageToSend = rtcPayload;
+  } else {
+    console.error(
+      "sendMessage Error: Cannot determine message format (Invalid role or target)."
+    );
+    return;
+  }
+
+  // Send the message over WebSocket
+  try {
+    ws.send(JSON.stringify(messageToSend));
+    // console.log(`Sent message: `, messageToSend); // Verbose logging for debugging
+  } catch (e) {
+    setError(`Failed to send signaling message: ${e.message}`);
+    console.error(
+      "WebSocket send failed for message:",
+      messageToSend,
+      "Error:",
+      e
+    );
+  }
+}
+
+/**
+ * Returns the ICE configuration (STUN/TURN servers and transport policy) for new peer connections.
+ * The configuration is fetched from the backend and cached. When it carries short-lived
+ * TURN credentials (`ttl` seconds), it is fetched again once half of that lifetime has passed.
+ * Falls back to `FALLBACK_ICE_CONFIGURATION` if the backend cannot be reached.
+ * @returns {Promise<RTCConfiguration>} The configuration to pass to the RTCPeerConnection constructor.
+ */
+async function getIceConfiguration() {
+  if (iceConfiguration && Date.now() < iceConfigurationExpiresAt) {
+    return iceConfiguration;
+  }
+
+  try {
+    const response = await fetch(ICE_CONFIG_URL, { cache: "no-store" });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const config = await response.json();
+    if (!Array.isArray(config.iceServers)) {
+      throw new Error("Response is missing 'iceServers'.");
+    }
+
+    iceConfiguration = {
+      iceServers: config.iceServers,
+      iceTransportPolicy:
+        config.iceTransportPolicy === "relay" ? "relay" : "all",
+    };
+    // Refresh halfway through the credential lifetime so a connection never starts with expired credentials
+    iceConfigurationExpiresAt =
+      config.ttl > 0 ? Date.now() + (config.ttl * 1000) / 2 : Infinity;
+    console.log(
+      `Fetched ICE configuration: ${iceConfiguration.iceServers.length} server entries, policy '${iceConfiguration.iceTransportPolicy}'.`
+    );
+    return iceConfiguration;
+  } catch (e) {
+    console.warn(
+      `Failed to fetch ICE configuration from ${ICE_CONFIG_URL}, using fallback:`,
+      e
+    );
+    return iceConfiguration || FALLBACK_ICE_CONFIGURATION;
+  }
+}
+
+/**
+ * Creates and configures a new RTCPeerConnection object.
+ * Sets up essential event handlers for ICE candidates, track reception, and connection state changes.
+ * These handlers manage the core WebRTC communication flow after signaling.
+ * @param {string | null} [viewerId=null] - The ID of the viewer this connection is for (used by streamer for logging/context).
+ * @returns {Promise<RTCPeerConnection | null>} A promise resolving with the created RTCPeerConnection, or null on failure.
+ */
+async function createPeerConnection(viewerId = null) {
+  const logPrefix =
+    role === "viewer"
+      ? "[Viewer PC]"
+      : viewerId === SFU_PEER_ID
+      ? "[SFU PC]"
+      : `[PC for Viewer ${viewerId}]`;
+  console.log(`${logPrefix} Creating new RTCPeerConnection...`);
+
+  // STUN/TURN servers and transport policy as configured by the backend operator
+  const configuration = await getIceConfiguration();
+
+  let pc = null;
+  try {
+    pc = new RTCPeerConnection(configuration);
+  } catch (e) {
+    console.error(`${logPrefix} Failed to create RTCPeerConnection object:`, e);
+    setError(
+      `WebRTC setup failed: Could not create PeerConnection. ${e.message}`
+    );
+    return null; // Return null on creation failure
+  }
+
+  // Data channel for chat and other app messages. It is pre-negotiated (same ID on both sides),
+  // so it is part of the viewer's initial offer and the streamer doesn't need 'ondatachannel'.
+  setupDataChannel(pc, role === "streamer" ? viewerId : "streamer");
+  startStatsSampling();
+
+  // Either side offers when its connection changes (e.g. screens added or removed)
+  const negotiationKey = role === "streamer" ? viewerId : "streamer";
+  pc.onnegotiationneeded = () => handleNegotiationNeeded(negotiationKey, pc);
+
+  // --- RTCPeerConnection Event Handlers ---
+
+  // Called when the local ICE agent needs to deliver a candidate to the remote peer via the signaling channel.
+  pc.onicecandidate = (event) => {
+    if (event.candidate) {
+      // Send the generated ICE candidate to the other peer via WebSocket
+      // console.log(`${logPrefix} Generated ICE candidate:`, event.candidate.type, event.candidate.sdpMLineIndex);
+      // Pass the candidate object directly
+      sendMessage(
+        { type: "candidate", candidate: event.candidate.toJSON() },
+        role === "streamer" ? viewerId : null
+      );
+    } else {
+      // Null candidate indicates the end of candidate gathering: tell the remote peer (end-of-candidates)
+      console.log(`${logPrefix} ICE candidate gathering complete.`);
+      sendMessage(
+        { type: "candidate", candidate: { candidate: "" } },
+        role === "streamer" ? viewerId : null
+      );
+    }
+  };
+
+  // Called when a remote track is added to the connection (i.e., when media starts arriving).
+  // CRUCIAL for the viewer to receive and display the stream.
+  pc.ontrack = (event) => {
+    console.log(
+      `>>> ${logPrefix} Received remote track: Kind=${event.track.kind}, ID=${event.track.id} <<<`
+    );
+    if (role === "viewer" && REMOTE_VIDEO) {
+      // Assign the received stream(s) to the remote video element
+      if (event.streams && event.streams[0]) {
+        const stream = event.streams[0];
+        // The first stream is the streamer's main capture (with the audio); later ones are extra screens
+        if (!primaryShareId) {
+          primaryShareId = stream.id;
+          mainShareId = stream.id;
+        }
+        addRemoteShare(stream);
+        if (stream.id !== primaryShareId) return; // Shown as a tile until picked as the main view
+        // Another screen is in the main view: rebuild it so it gets the main capture's new track
+        if (mainShareId !== primaryShareId) {
+          setMainShare(mainShareId);
           return;
         }
+        // Check if the stream is already assigned to prevent unnecessary updates
+        if (REMOTE_VIDEO.srcObject !== event.streams[0]) {
+          REMOTE_VIDEO.srcObject = event.streams[0];
+          console.log(
+            `${logPrefix} Assigned incoming stream to remote video element.`
+          );
+
+          // Activate the Plyr controls now that the stream is ready
+          const container = document.getElementById("remoteVideoContainer");
+          if (container) {
+            container.classList.remove("plyr-inactive");
+            console.log(
+              `${logPrefix} Activated Plyr controls for remote video.`
+            );
+          }
+          updateViewerCaptureControls();
+          // Attempt to play the remote video via Plyr
+          remotePlayer
+            ?.play()
+            .catch((err) =>
+              console.warn(
+                `${logPrefix} Remote video play() failed (might autoplay block):`,
+                err
+              )
+            );
+        }
+      } else {
+        // Should not happen with standard WebRTC, but log if a track arrives without a stream
+        console.warn(
+          `${logPrefix} Received track event without associated MediaStream.`
+        );
+      }
+    } else if (role === "streamer") {
+      // Streamer typically doesn't receive tracks in this setup, but log if it happens.
+      console.log(
+        `${logPrefix} Received unexpected track of kind: ${event.track.kind}`
+      );
+    }
+  };
+
+  // Called when the state of the ICE connection changes (e.g., checking, connected, failed).
+  pc.oniceconnectionstatechange = () => {
+    const state = pc?.iceConnectionState; // Use optional chaining
+    console.log(`${logPrefix} ICE Connection State Changed: ${state}`);
+    switch (state) {
+      case "connected":
+        // Usually superseded by 'connectionstatechange', but good to log.
+        console.log(`${logPrefix} ICE connection established.`);
+        break;
+      case "disconnected":
+        // May recover, treat as a warning. 'failed' is terminal.
+        console.warn(
+          `${logPrefix} ICE connection disconnected. Waiting for potential reconnection...`
+        );
+        // Optionally start a timer here to check for 'failed' state later.
+        break;
+      case "failed":
+        // Failure in ICE connectivity. Recovery (ICE restart or reconnect) is initiated by the viewer
+        // from 'connectionstatechange'; the streamer drops the viewer once the server reports 'viewer_left'.
+        console.warn(`${logPrefix} ICE connection failed, awaiting recovery.`);
+        break;
+      case "closed":
+        console.log(`${logPrefix} ICE connection closed.`);
+        break;
+    }
+    // Update viewer count on state changes (relevant for streamer)
+    if (role === "streamer") updateViewerCount();
+  };
+
+  // Called when the overall connection state changes (combines ICE and DTLS states).
+  // This is often the most reliable indicator of the connection status.
+  pc.onconnectionstatechange = () => {
+    const state = pc?.connectionState; // Use optional chaining
+    console.log(`${logPrefix} Connection State Changed: ${state}`);
+    if (state === "connected" || state === "failed") {
+      console.log(
+        `${logPrefix} Remote ICE candidates: ${formatCandidateCounts(
+          negotiationKey
+        )}.`
+      );
+    }
+    if (role === "streamer")
+      updateRosterEntry(viewerId, { connectionState: state });
+
+    switch (state) {
+      case "connected":
+        // Successfully connected peer-to-peer.
+        // Set success status only if not already showing success (avoids flicker)
+        if (STATUS_DISPLAY.className !== "success") {
+          setStatus(
+            role === "viewer"
+              ? "Connected to Stream"
+              : viewerId === SFU_PEER_ID
+              ? "Connected to the relay server"
+              : `Viewer ${viewerId || ""} Connected`,
+            true
+          );
+        }
+        // The viewer keeps the WebSocket open so the connection can be renegotiated (e.g. ICE restarts).
+        if (role === "viewer") {
+          if (viewerReconnecting) {
+            setStatus("Reconnected to Stream", true);
+            console.log(
+              `Viewer: Connection recovered after ${reconnectAttempt} attempt(s).`
+            );
+          }
+          resetViewerReconnection();
+          clearTimeout(signalingTimeout); // Stop connection timeout
+          signalingTimeout = null;
+          connectViewerButton.disabled = false; // Re-enable button (maybe to connect to another stream later)
+        }
+        break;
+      case "failed":
+        // Terminal failure in the connection (ICE or DTLS).
+        if (role === "viewer") {
+          // Try to recover right away instead of ending the session
+          console.warn(
+            `${logPrefix} PeerConnection failed, attempting recovery.`
+          );
+          attemptIceRestart();
+          break;
+        }
+        // Streamer in SFU mode: every viewer depends on this connection, restart ICE right away
+        if (viewerId === SFU_PEER_ID) {
+          console.warn(`${logPrefix} PeerConnection failed, restarting ICE.`);
+          setStatus("Connection to the relay server failed, retrying...");
+          sendOffer(SFU_PEER_ID, pc, { iceRestart: true }).catch((e) =>
+            console.error(`${logPrefix} ICE restart failed:`, e)
+          );
+          break;
+        }
+        // Streamer: keep the connection so the viewer can restart ICE on it. If the viewer
+        // is gone for good, the server's 'viewer_left' event cleans it up.
+        console.error(`${logPrefix} PeerConnection failed.`);
+        setStatus(
+          `Connection to viewer ${viewerId} failed, waiting for it to reconnect...`,
+          false,
+          true
+        );
+        break;
+      case "closed":
+        // Connection has been closed (either locally or remotely).
+        console.log(`${logPrefix} PeerConnection closed.`);
+        // Set status to indicate closure, unless an error is already displayed
+        if (!ERROR_DISPLAY.textContent) {
+          setStatus(
+            role === "viewer"
+              ? "Stream ended or connection closed."
+              : `Connection to viewer ${viewerId || ""} closed.`
+          );
+        }
+        // Reset player if viewer connection closes
+        if (role === "viewer") {
+          console.log("Viewer connection closed, resetting remote player.");
+          // Resetting players ensures video stops and controls might hide
+          initializePlyrPlayers(false);
+          if (connectViewerButton) connectViewerButton.disabled = false; // Re-enable connect button
+        } else if (role === "streamer" && peerConnections.has(viewerId)) {
+          // Ensure cleanup if the connection closed unexpectedly from streamer's perspective
+          handleViewerDisconnect(viewerId);
+        }
+        break;
+      case "disconnected":
+        // Connection lost temporarily (e.g., network interruption). Might recover to 'connected' or transition to 'failed'.
+        console.warn(
+          `${logPrefix} PeerConnection disconnected. Monitoring for failure or recovery...`
+        );
+        // Give the viewer connection a moment to recover before restarting ICE.
+        if (role === "viewer") scheduleIceRestart();
+        break;
+      case "new": // Initial state
+      case "connecting": // Negotiation in progress
+        console.log(`${logPrefix} PeerConnection state: ${state}`);
+        break;
+    }
+    // Update viewer count on state changes (relevant for streamer)
+    if (role === "streamer") updateViewerCount();
+  };
+
+  // Called when the signaling state changes (related to SDP offer/answer exchange).
+  pc.onsignalingstatechange = () => {
+    // Mostly for debugging the offer/answer flow.
+    console.log(`${logPrefix} Signaling State Changed: ${pc?.signalingState}`);
+    // States: stable, have-local-offer, have-remote-offer, have-local-pranswer, have-remote-pranswer, closed
+  };
+
+  console.log(
+    `${logPrefix} RTCPeerConnection created and event listeners attached.`
+  );
+  return pc;
+}
+
+/**
+ * Handles the disconnection of a specific viewer from the streamer's perspective.
+ * Closes the RTCPeerConnection associated with the viewer, removes it from the map,
+ * and updates the viewer count display.
+ * Called when the server sends a 'viewer_left' message or when a connection closes.
+ * @param {string} viewerId - The ID of the viewer to disconnect.
+ */
+function handleViewerDisconnect(viewerId) {
+  if (role !== "streamer") return; // Only applicable for the streamer role
+
+  // In SFU mode viewers have no connection of their own here, the server closes it
+  if (sfuMode && viewerId !== SFU_PEER_ID) {
+    sfuChannels.delete(viewerId);
+    viewerChatTimes.delete(viewerId);
+    removeAnnotations(viewerId);
+    return;
+  }
+
+  const pc = peerConnections.get(viewerId);
+  if (pc) {
+    console.log(`Streamer: Disconnecting viewer ${viewerId}.`);
+    // Remove event listeners to prevent potential issues during close
+    pc.onicecandidate = null;
+    pc.ontrack = null;
+    pc.oniceconnectionstatechange = null;
+    pc.onconnectionstatechange = null;
+    pc.onsignalingstatechange = null;
+    pc.onnegotiationneeded = null;
+    // Close the connection if not already closed
+    if (pc.signalingState !== "closed") {
+      pc.close();
+    }
+    // Remove the connection (and its data channel) from the maps
+    peerConnections.delete(viewerId);
+    dataChannels.delete(viewerId);
+    viewerChatTimes.delete(viewerId);
+    adaptiveBitrateStates.delete(viewerId);
+    statsPrevious.delete(viewerId);
+    extraShares.forEach((share) => share.senders.delete(viewerId));
+    negotiationStates.delete(viewerId);
+    removeAnnotations(viewerId);
+    console.log(
+      `Streamer: Removed PeerConnection for viewer ${viewerId}. Remaining viewers: ${peerConnections.size}`
+    );
+    updateViewerCount(); // Update the UI
+  } else {
+    console.warn(
+      `Streamer: Attempted to disconnect viewer ${viewerId}, but no active connection was found.`
+    );
+  }
+}
+
+// --- SFU Relay (Streamer) ---
+
+/**
+ * Opens the streamer's single upstream connection to the server's SFU, which forwards the
+ * stream to every viewer. Sends the same tracks a viewer would get (screen or camera overlay,
+ * audio, extra screens, pause slate) and offers right away; the SFU only answers.
+ * The main video is sent as the simulcast layers of `SIMULCAST_LAYERS`, so that the SFU can
+ * forward each viewer the layer matching its choice or its link.
+ */
+async function connectToSfu() {
+  const pc = await createPeerConnection(SFU_PEER_ID);
+  if (!pc) {
+    setError("Failed to connect to the relay server.");
+    return;
+  }
+  peerConnections.set(SFU_PEER_ID, pc);
+
+  localStream
+    .getTracks()
+    .filter((track) => track.readyState === "live")
+    .forEach((track) => {
+      if (track.kind !== "video") {
+        pc.addTrack(track, localStream);
+        return;
+      }
+      pc.addTransceiver(getOutgoingVideoTrack() || track, {
+        direction: "sendonly",
+        streams: [localStream],
+        sendEncodings: SIMULCAST_LAYERS.map((layer) => ({
+          rid: layer.rid,
+          scaleResolutionDownBy: layer.scale,
+        })),
+      });
+    });
+  if (streamPaused) await setConnectionPaused(pc, true);
+  extraShares.forEach((share) =>
+    addExtraShareToConnection(SFU_PEER_ID, pc, share)
+  );
+
+  console.log("SFU: Offering the stream to the relay server.");
+  await sendOffer(SFU_PEER_ID, pc);
+}
+
+/**
+ * Handles a message of the SFU's data channel. The SFU relays each viewer's data channel over it:
+ * a viewer's message arrives as `{ from, message }`, and `{ from, event }` reports its channel
+ * opening and closing ('open'/'close') and its connection state ('state', with `state`).
+ * @param {{ from: string, message?: object, event?: string, state?: string }} relay - The relayed message.
+ */
+function handleRelayMessage(relay) {
+  const viewerId = relay.from;
+  if (!viewerRoster.has(viewerId)) return; // Viewer already gone (or never announced by the server)
+
+  switch (relay.event) {
+    case "open":
+      sfuChannels.add(viewerId);
+      sendInitialDataMessages(viewerId);
+      break;
+    case "close":
+      sfuChannels.delete(viewerId);
+      break;
+    case "state":
+      updateRosterEntry(viewerId, { connectionState: relay.state });
+      break;
+    default:
+      if (relay.message && typeof relay.message === "object") {
+        dispatchDataMessage(viewerId, relay.message);
+      }
+  }
+}
+
+// --- Viewer Roster (Streamer) ---
+
+/**
+ * Updates fields of a viewer's roster entry and re-renders the roster.
+ * Ignores viewers that are not (or no longer) in the roster.
+ * @param {string} viewerId - The ID of the viewer to update.
+ * @param {object} changes - Fields to merge into the entry (e.g. `{ connectionState: "connected" }`).
+ */
+function updateRosterEntry(viewerId, changes) {
+  const entry = viewerRoster.get(viewerId);
+  if (!entry) return;
+  Object.assign(entry, changes);
+  renderViewerRoster();
+}
+
+/**
+ * Renders the streamer's viewer roster table from `viewerRoster`.
+ * Each row shows the viewer's name (or ID), join time, connection state and
+ * selected ICE candidate types, plus a drawing toggle and 'Kick' and 'Block' actions.
+ */
+function renderViewerRoster() {
+  if (!VIEWER_ROSTER_BODY) return;
+  VIEWER_ROSTER_BODY.replaceChildren();
+
+  viewerRoster.forEach((entry, viewerId) => {
+    const row = document.createElement("tr");
+
+    const nameCell = document.createElement("td");
+    nameCell.textContent = entry.name || viewerId.slice(0, 8); // Names are user input, never use innerHTML
+    nameCell.title = viewerId;
+
+    const joinedCell = document.createElement("td");
+    joinedCell.textContent = entry.joinedAt.toLocaleTimeString();
+
+    const stateCell = document.createElement("td");
+    stateCell.textContent = entry.pendingApproval
+      ? "awaiting approval"
+      : entry.connectionState;
+    stateCell.className = entry.pendingApproval
+      ? "roster-state-pending"
+      : `roster-state-${entry.connectionState}`;
+
+    const routeCell = document.createElement("td");
+    routeCell.textContent = entry.route || "—";
+    routeCell.title = "Selected ICE candidates (local / remote)";
+
+    const codecCell = document.createElement("td");
+    const codecSelect = document.createElement("select");
+    fillCodecOptions(codecSelect, entry.codecOverride || "");
+    codecSelect.options[0].textContent = "Stream default";
+    codecSelect.title = sfuMode
+      ? "The relay server forwards the stream's codec to every viewer"
+      : "Preferred video codec for this viewer";
+    codecSelect.disabled = entry.pendingApproval || sfuMode;
+    codecSelect.addEventListener("change", () =>
+      setViewerCodecOverride(viewerId, codecSelect.value)
+    );
+    const codecName = document.createElement("span");
+    codecName.textContent = entry.codec || "—";
+    codecName.title = "Negotiated video codec";
+    codecCell.append(codecSelect, codecName);
+
+    const actionsCell = document.createElement("td");
+    actionsCell.className = "roster-actions";
+    if (entry.pendingApproval) {
+      const acceptButton = document.createElement("button");
+      acceptButton.className = "small-button";
+      acceptButton.textContent = "Accept";
+      acceptButton.addEventListener("click", () => approveViewer(viewerId));
+      const denyButton = document.createElement("button");
+      denyButton.className = "small-button danger";
+      denyButton.textContent = "Deny";
+      denyButton.addEventListener("click", () => denyViewer(viewerId));
+      actionsCell.append(acceptButton, denyButton);
+    }
+    const annotateButton = document.createElement("button");
+    annotateButton.className = "small-button";
+    annotateButton.textContent = entry.annotationsAllowed
+      ? "Disable drawing"
+      : "Enable drawing";
+    annotateButton.title =
+      "Whether this viewer may point and draw on the stream";
+    annotateButton.addEventListener("click", () =>
+      toggleViewerAnnotations(viewerId)
+    );
+    const kickButton = document.createElement("button");
+    kickButton.className = "small-button";
+    kickButton.textContent = "Kick";
+    kickButton.addEventListener("click", () => removeViewer(viewerId, false));
+    const blockButton = document.createElement("button");
+    blockButton.className = "small-button danger";
+    blockButton.textContent = "Block";
+    blockButton.title =
+      "Refuse this viewer's IP address for the rest of the stream. Everyone sharing it (e.g. behind the same NAT or office network) is refused too";
+    blockButton.addEventListener("click", () => removeViewer(viewerId, true));
+    if (!entry.pendingApproval) {
+      actionsCell.append(annotateButton, kickButton, blockButton);
+    }
+
+    row.append(
+      nameCell,
+      joinedCell,
+      stateCell,
+      routeCell,
+      codecCell,
+      actionsCell
+    );
+    VIEWER_ROSTER_BODY.appendChild(row);
+  });
+
+  if (VIEWER_ROSTER_EMPTY) {
+    VIEWER_ROSTER_EMPTY.style.display = viewerRoster.size > 0 ? "none" : "";
+  }
+}
+
+/**
+ * Kicks or blocks a viewer: closes its RTCPeerConnection and asks the server to
+ * close its WebSocket. A blocked viewer is refused for the rest of the session.
+ * @param {string} viewerId - The ID of the viewer to remove.
+ * @param {boolean} block - Whether to block the viewer instead of just kicking it.
+ */
+function removeViewer(viewerId, block) {
+  const entry = viewerRoster.get(viewerId);
+  const label = entry?.name || viewerId;
+  if (
+    block &&
+    !confirm(
+      `Block ${label} for the rest of this session? Anyone sharing their network address will be refused too.`
+    )
+  ) {
+    return;
+  }
+
+  console.log(
+    `Streamer: ${block ? "Blocking" : "Kicking"} viewer ${viewerId}.`
+  );
+  handleViewerDisconnect(viewerId);
+  viewerRoster.delete(viewerId);
+  renderViewerRoster();
+  updateViewerCount();
+  sendServerCommand(block ? "block" : "kick", viewerId);
+  setStatus(`Viewer ${label} ${block ? "blocked" : "kicked"}.`);
+}
+
+/**
+ * Holds a viewer's offer until the streamer approves it (approval-gated streams).
+ * Marks the viewer as pending in the roster and tells the viewer it is waiting.
+ * @param {string} viewerId - The ID of the viewer asking to join.
+ * @param {RTCSessionDescriptionInit} offerData - The viewer's SDP offer, answered once approved.
+ */
+function requestViewerApproval(viewerId, offerData) {
+  const pending = pendingApprovals.get(viewerId);
+  if (pending) {
+    pending.offer = offerData; // Keep only the latest offer
+    return;
+  }
+  pendingApprovals.set(viewerId, { offer: offerData });
+  updateRosterEntry(viewerId, { pendingApproval: true });
+
+  // Relayed to the viewer like any other signaling payload
+  sendMessage({ type: "awaiting_approval" }, viewerId);
+  const label = viewerRoster.get(viewerId)?.name || viewerId;
+  setStatus(`Viewer ${label} is waiting for your approval.`, false, true);
+}
+
+/**
+ * Approves a pending viewer: answers its held offer. The ICE candidates received meanwhile are queued
+ * (see `addRemoteCandidate`) and applied once the offer is set.
+ * @param {string} viewerId - The ID of the viewer to approve.
+ */
+async function approveViewer(viewerId) {
+  const pending = pendingApprovals.get(viewerId);
+  if (!pending) return;
+  pendingApprovals.delete(viewerId);
+  approvedViewers.add(viewerId);
+  updateRosterEntry(viewerId, { pendingApproval: false });
+  console.log(`Streamer: Approved viewer ${viewerId}.`);
+
+  try {
+    await answerViewerOffer(viewerId, pending.offer);
+  } catch (e) {
+    console.error(`Streamer: Failed to answer approved viewer ${viewerId}:`, e);
+    setError(`Failed to connect approved viewer: ${e.message}`);
+  }
+}
+
+/**
+ * Denies a pending viewer: drops its held offer and asks the server to close its connection.
+ * @param {string} viewerId - The ID of the viewer to deny.
+ */
+function denyViewer(viewerId) {
+  pendingApprovals.delete(viewerId);
+  viewerRoster.delete(viewerId);
+  renderViewerRoster();
+  updateViewerCount();
+  sendServerCommand("deny", viewerId);
+  console.log(`Streamer: Denied viewer ${viewerId}.`);
+}
+
+/**
+ * Sends a command about one of the streamer's viewers to the signaling server
+ * (e.g. 'kick' or 'block'). Unlike `sendMessage`, the payload is not relayed to the viewer.
+ * @param {string} type - The command type.
+ * @param {string} viewerId - The ID of the viewer the command applies to.
+ */
+function sendServerCommand(type, viewerId) {
+  if (!ws || ws.readyState !== WebSocket.OPEN) {
+    console.error(`Cannot send '${type}' command: WebSocket is not open.`);
+    return;
+  }
+  ws.send(JSON.stringify({ type, to: viewerId }));
+}
+
+/**
+ * Looks up the candidate pair currently used by a peer connection.
+ * @param {RTCPeerConnection} pc - The connection to inspect.
+ * @returns {Promise<{local: object, remote: object} | null>} The local and remote candidate stats, or null if none is selected yet.
+ */
+async function getSelectedCandidatePair(pc) {
+  const stats = await pc.getStats();
+  let pair = null;
+  stats.forEach((report) => {
+    if (report.type === "transport" && report.selectedCandidatePairId) {
+      pair = stats.get(report.selectedCandidatePairId);
+    }
+  });
+  // Firefox doesn't expose selectedCandidatePairId, fall back to the selected/nominated pair
+  if (!pair) {
+    stats.forEach((report) => {
+      if (
+        report.type === "candidate-pair" &&
+        (report.selected || (report.nominated && report.state === "succeeded"))
+      ) {
+        pair = report;
+      }
+    });
+  }
+  if (!pair) return null;
+
+  const local = stats.get(pair.localCandidateId);
+  const remote = stats.get(pair.remoteCandidateId);
+  return local && remote ? { local, remote } : null;
+}
+
+/**
+ * Refreshes the selected ICE candidate types (host/srflx/prflx/relay) and the negotiated video codec
+ * of every viewer in the roster.
+ */
+async function refreshRosterStats() {
+  for (const [viewerId, pc] of peerConnections) {
+    if (!viewerRoster.has(viewerId) || pc.connectionState === "closed")
+      continue;
+    try {
+      const pair = await getSelectedCandidatePair(pc);
+      const route = pair
+        ? `${pair.local.candidateType} / ${pair.remote.candidateType}`
+        : null;
+      const codec = await getNegotiatedVideoCodec(pc);
+      const entry = viewerRoster.get(viewerId);
+      if (entry && (entry.route !== route || entry.codec !== codec)) {
+        if (entry.codec !== codec && codec) {
+          console.log(`Codec: Viewer ${viewerId} is receiving ${codec}.`);
+        }
+        updateRosterEntry(viewerId, { route, codec });
+      }
+    } catch (e) {
+      console.warn(`Roster: Failed to read stats for viewer ${viewerId}:`, e);
+    }
+  }
+}
+
+/**
+ * Starts periodically refreshing the roster's connection details.
+ */
+function startRosterStats() {
+  clearInterval(rosterStatsInterval);
+  rosterStatsInterval = setInterval(
+    refreshRosterStats,
+    ROSTER_STATS_INTERVAL_MS
+  );
+}
+
+/**
+ * Stops refreshing the roster and clears it.
+ */
+function resetViewerRoster() {
+  clearInterval(rosterStatsInterval);
+  rosterStatsInterval = null;
+  viewerRoster.clear();
+  renderViewerRoster();
+  updateViewerCount();
+}
+
+// --- Recording ---
+
+/**
+ * Builds the WebM MIME type for a recording codec.
+ * @param {{ codec: string }} entry - An entry of `RECORDING_CODECS`.
+ * @param {boolean} withAudio - Whether the recording includes an (Opus) audio track.
+ * @returns {string} The MIME type, e.g. 'video/webm;codecs=vp9,opus'.
+ */
+function getRecordingMimeType(entry, withAudio) {
+  return `video/webm;codecs=${entry.codec}${withAudio ? ",opus" : ""}`;
+}
+
+/**
+ * Lists the recording codecs this browser's MediaRecorder supports.
+ * @returns {Array<{ label: string, codec: string }>} The supported entries of `RECORDING_CODECS`.
+ */
+function getSupportedRecordingCodecs() {
+  if (typeof MediaRecorder === "undefined") return [];
+  return RECORDING_CODECS.filter((entry) =>
+    MediaRecorder.isTypeSupported(getRecordingMimeType(entry, true))
+  );
+}
+
+/**
+ * Starts recording a MediaStream to WebM with MediaRecorder.
+ * The returned recording object collects the data and tracks elapsed time across pauses.
+ * Its `finished` promise resolves with the complete file once the recorder stops, whether
+ * through `stopRecording` or on its own (e.g. all tracks ended, or a recorder error).
+ * @param {MediaStream} stream - The stream to record.
+ * @param {object} [options] - Recording options.
+ * @param {{ codec: string }} [options.codec] - An entry of `RECORDING_CODECS`; the browser default is used if omitted or unsupported.
+ * @param {number} [options.videoBitsPerSecond] - Target video bitrate.
+ * @returns {{ recorder: MediaRecorder, size: number, startedAt: number, pausedAt: number | null, pausedMs: number, finished: Promise<Blob> }} The recording.
+ * @throws {Error} If MediaRecorder is unavailable or refuses the stream.
+ */
+function startRecording(stream, { codec, videoBitsPerSecond } = {}) {
+  if (typeof MediaRecorder === "undefined") {
+    throw new Error(
+      "Recording (MediaRecorder) is not supported by this browser."
+    );
+  }
+  const withAudio = stream.getAudioTracks().length > 0;
+  let mimeType = codec ? getRecordingMimeType(codec, withAudio) : "";
+  if (mimeType && !MediaRecorder.isTypeSupported(mimeType)) {
+    console.warn(`Recording: ${mimeType} not supported, using the default.`);
+    mimeType = "";
+  }
+
+  const recorder = new MediaRecorder(stream, {
+    mimeType,
+    videoBitsPerSecond,
+    audioBitsPerSecond: RECORDING_AUDIO_BITS_PER_SECOND,
+  });
+  const chunks = [];
+  const recording = {
+    recorder,
+    size: 0,
+    startedAt: Date.now(),
+    pausedAt: null,
+    pausedMs: 0,
+    finished: null,
+  };
+  recording.finished = new Promise((resolve) => {
+    recorder.onstop = () =>
+      resolve(new Blob(chunks, { type: recorder.mimeType || "video/webm" }));
+  });
+  recorder.ondataavailable = (event) => {
+    if (event.data && event.data.size > 0) {
+      chunks.push(event.data);
+      recording.size += event.data.size;
+    }
+  };
+  // The recorder stops itself after an error; 'finished' still resolves with what was captured
+  recorder.onerror = (event) =>
+    console.error("MediaRecorder error:", event.error || event);
+
+  recorder.start(RECORDING_TIMESLICE_MS);
+  console.log(`Recording started (${recorder.mimeType || "default format"}).`);
+  return recording;
+}
+
+/**
+ * Pauses a running recording, or resumes a paused one.
+ * @param {object} recording - A recording returned by `startRecording`.
+ */
+function togglePauseRecording(recording) {
+  if (recording.recorder.state === "recording") {
+    recording.recorder.pause();
+    recording.pausedAt = Date.now();
+  } else if (recording.recorder.state === "paused") {
+    recording.recorder.resume();
+    recording.pausedMs += Date.now() - recording.pausedAt;
+    recording.pausedAt = null;
+  }
+}
+
+/**
+ * Stops a recording. Its `finished` promise then resolves with the file.
+ * @param {object} recording - A recording returned by `startRecording`.
+ */
+function stopRecording(recording) {
+  if (recording.recorder.state !== "inactive") recording.recorder.stop();
+}
+
+/**
+ * Computes how long a recording has been capturing, excluding pauses.
+ * @param {object} recording - A recording returned by `startRecording`.
+ * @returns {number} Elapsed milliseconds.
+ */
+function getRecordingElapsedMs(recording) {
+  const now = recording.pausedAt ?? Date.now();
+  return now - recording.startedAt - recording.pausedMs;
+}
+
+/**
+ * Formats a duration as 'm:ss' (or 'h:mm:ss').
+ * @param {number} ms - The duration in milliseconds.
+ * @returns {string} The formatted duration.
+ */
+function formatDuration(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${seconds}`
+    : `${minutes}:${seconds}`;
+}
+
+/**
+ * Formats a byte count for display, e.g. '12.3 MB'.
+ * @param {number} bytes - The size in bytes.
+ * @returns {string} The formatted size.
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
+
+/**
+ * Builds a timestamped file name for a capture, e.g. 'screenz-recording-2024-05-01-14-03-22.webm'.
+ * @param {string} kind - What was captured (e.g. 'recording').
+ * @param {string} extension - The file extension, without the dot.
+ * @returns {string} The file name.
+ */
+function getCaptureFilename(kind, extension) {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, "-");
+  return `screenz-${kind}-${stamp}.${extension}`;
+}
+
+/**
+ * Fills the codec selector with the codecs this browser can record.
+ * Disables the recording controls entirely if recording is unsupported.
+ */
+function populateRecordingCodecOptions() {
+  if (!RECORDING_CODEC_SELECT) return;
+  const codecs = getSupportedRecordingCodecs();
+  RECORDING_CODEC_SELECT.replaceChildren(
+    ...codecs.map((entry) => new Option(entry.label, entry.codec))
+  );
+  if (codecs.length === 0) {
+    RECORDING_CODEC_SELECT.append(new Option("Default", ""));
+    if (typeof MediaRecorder === "undefined" && RECORDING_STATUS) {
+      RECORDING_STATUS.textContent =
+        "Recording is not supported by this browser.";
+    }
+  }
+}
+
+/**
+ * Syncs the recording buttons, selectors and status text with the current recording state.
+ * Recording is possible whenever the streamer has an active local stream.
+ */
+function updateStreamerRecordingControls() {
+  const recording = streamerRecording;
+  const canRecord =
+    typeof MediaRecorder !== "undefined" && !!localStream?.active;
+  if (RECORD_BUTTON) RECORD_BUTTON.disabled = !!recording || !canRecord;
+  if (PAUSE_RECORDING_BUTTON) {
+    PAUSE_RECORDING_BUTTON.disabled = !recording;
+    PAUSE_RECORDING_BUTTON.textContent = recording?.pausedAt
+      ? "Resume"
+      : "Pause";
+  }
+  if (STOP_RECORDING_BUTTON) STOP_RECORDING_BUTTON.disabled = !recording;
+  // Codec and bitrate are fixed once a recording starts
+  if (RECORDING_CODEC_SELECT) RECORDING_CODEC_SELECT.disabled = !!recording;
+  if (RECORDING_BITRATE_SELECT) RECORDING_BITRATE_SELECT.disabled = !!recording;
+
+  if (!RECORDING_STATUS || typeof MediaRecorder === "undefined") return;
+  RECORDING_STATUS.classList.toggle(
+    "recording-active",
+    !!recording && !recording.pausedAt
+  );
+  if (recording) {
+    const state = recording.pausedAt ? "Paused" : "Recording";
+    RECORDING_STATUS.textContent = `${state} ${formatDuration(
+      getRecordingElapsedMs(recording)
+    )} · ${formatBytes(recording.size)}`;
+  } else {
+    RECORDING_STATUS.textContent = "Not recording";
+  }
+}
+
+/**
+ * Starts recording the streamer's `localStream` with the selected codec and bitrate.
+ * The recording is independent of the peer connections, so viewers joining or leaving don't affect it.
+ */
+function startStreamerRecording() {
+  if (streamerRecording || !localStream?.active) return;
+  const codec = RECORDING_CODECS.find(
+    (entry) => entry.codec === RECORDING_CODEC_SELECT?.value
+  );
+  const videoBitsPerSecond =
+    parseInt(RECORDING_BITRATE_SELECT?.value, 10) || undefined;
+
+  let recording;
+  try {
+    recording = startRecording(localStream, { codec, videoBitsPerSecond });
+  } catch (e) {
+    console.error("Failed to start recording:", e);
+    setError(`Could not start recording: ${e.message}`);
+    return;
+  }
+  streamerRecording = recording;
+
+  // Hide the previous recording's download; its URL is released
+  if (recordingDownloadUrl) URL.revokeObjectURL(recordingDownloadUrl);
+  recordingDownloadUrl = null;
+  if (RECORDING_DOWNLOAD_LINK) RECORDING_DOWNLOAD_LINK.style.display = "none";
+
+  recording.finished.then((blob) => finishStreamerRecording(recording, blob));
+  recordingUiInterval = setInterval(
+    updateStreamerRecordingControls,
+    RECORDING_UI_INTERVAL_MS
+  );
+  updateStreamerRecordingControls();
+}
+
+/**
+ * Pauses or resumes the streamer's recording.
+ */
+function toggleStreamerRecordingPause() {
+  if (!streamerRecording) return;
+  togglePauseRecording(streamerRecording);
+  updateStreamerRecordingControls();
+}
+
+/**
+ * Stops the streamer's recording, if any. The file is offered once it is finalized.
+ */
+function stopStreamerRecording() {
+  if (streamerRecording) stopRecording(streamerRecording);
+}
+
+/**
+ * Offers a finished streamer recording for download and resets the recording controls.
+ * @param {object} recording - The recording that finished.
+ * @param {Blob} blob - The recorded WebM file.
+ */
+function finishStreamerRecording(recording, blob) {
+  if (streamerRecording === recording) {
+    streamerRecording = null;
+    clearInterval(recordingUiInterval);
+    recordingUiInterval = null;
+  }
+  updateStreamerRecordingControls();
+  console.log(`Recording finished: ${formatBytes(blob.size)}.`);
+  if (blob.size === 0 || !RECORDING_DOWNLOAD_LINK) return;
+
+  if (recordingDownloadUrl) URL.revokeObjectURL(recordingDownloadUrl);
+  recordingDownloadUrl = URL.createObjectURL(blob);
+  RECORDING_DOWNLOAD_LINK.href = recordingDownloadUrl;
+  RECORDING_DOWNLOAD_LINK.download = getCaptureFilename("recording", "webm");
+  RECORDING_DOWNLOAD_LINK.textContent = `Download recording (${formatDuration(
+    getRecordingElapsedMs(recording)
+  )}, ${formatBytes(blob.size)})`;
+  RECORDING_DOWNLOAD_LINK.style.display = "";
+}
+
+RECORD_BUTTON?.addEventListener("click", startStreamerRecording);
+PAUSE_RECORDING_BUTTON?.addEventListener("click", toggleStreamerRecordingPause);
+STOP_RECORDING_BUTTON?.addEventListener("click", stopStreamerRecording);
+
+// --- Viewer Snapshots and Recording ---
+
+/**
+ * Builds the data channel message telling viewers whether they may capture the stream.
+ * @returns {{ type: 'capture_policy', allowed: boolean }} The message.
+ */
+function getCapturePolicyMessage() {
+  return {
+    type: "capture_policy",
+    allowed: ALLOW_VIEWER_CAPTURE_CHECKBOX?.checked ?? true,
+  };
+}
+
+// The streamer can change the capture policy mid-stream; connected viewers are told right away
+ALLOW_VIEWER_CAPTURE_CHECKBOX?.addEventListener("change", () => {
+  if (role === "streamer") broadcastDataMessage(getCapturePolicyMessage());
+});
+
+/**
+ * Viewer: applies the streamer's capture policy.
+ * Turning capture off stops a running recording (what was recorded so far is still offered).
+ * This is a courtesy the client honours, not a protection: nothing stops a viewer from recording their own screen.
+ * @param {boolean} allowed - Whether snapshots and recording are allowed.
+ */
+function applyCapturePolicy(allowed) {
+  console.log(`Viewer: Streamer ${allowed ? "allows" : "disallows"} capture.`);
+  viewerCaptureAllowed = allowed;
+  if (!allowed && viewerRecording) stopRecording(viewerRecording);
+  updateViewerCaptureControls();
+}
+
+/**
+ * Syncs the viewer's Snapshot and Record buttons with the capture policy and the remote stream.
+ */
+function updateViewerCaptureControls() {
+  updateAnnotateButton(); // Sits with the capture controls and depends on the stream too
+  const hasStream = !!REMOTE_VIDEO?.srcObject;
+  const canCapture = viewerCaptureAllowed && hasStream;
+  if (SNAPSHOT_BUTTON) SNAPSHOT_BUTTON.disabled = !canCapture;
+  if (VIEWER_RECORD_BUTTON) {
+    // A running recording can always be stopped
+    VIEWER_RECORD_BUTTON.disabled =
+      !viewerRecording && (!canCapture || typeof MediaRecorder === "undefined");
+    VIEWER_RECORD_BUTTON.textContent = viewerRecording ? "Stop" : "Record";
+  }
+  if (!VIEWER_RECORDING_STATUS) return;
+  VIEWER_RECORDING_STATUS.classList.toggle(
+    "recording-active",
+    !!viewerRecording
+  );
+  if (viewerRecording) {
+    VIEWER_RECORDING_STATUS.textContent = `Recording ${formatDuration(
+      getRecordingElapsedMs(viewerRecording)
+    )} · ${formatBytes(viewerRecording.size)}`;
+  } else if (hasStream && !viewerCaptureAllowed) {
+    VIEWER_RECORDING_STATUS.textContent =
+      "The streamer has disabled snapshots and recording.";
+  } else {
+    VIEWER_RECORDING_STATUS.textContent = "";
+  }
+}
+
+/**
+ * Saves the current frame of the remote video as a PNG download and copies it to the clipboard.
+ */
+async function takeSnapshot() {
+  if (!viewerCaptureAllowed) return;
+  if (!REMOTE_VIDEO?.videoWidth) {
+    setStatus("No video frame available for a snapshot yet.", false, true);
+    return;
+  }
+  const canvas = document.createElement("canvas");
+  canvas.width = REMOTE_VIDEO.videoWidth;
+  canvas.height = REMOTE_VIDEO.videoHeight;
+  canvas.getContext("2d").drawImage(REMOTE_VIDEO, 0, 0);
+  const blob = await new Promise((resolve) =>
+    canvas.toBlob(resolve, "image/png")
+  );
+  if (!blob) {
+    setError("Could not capture a snapshot.");
+    return;
+  }
+
+  // Download a copy
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = getCaptureFilename("snapshot", "png");
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+
+  // Copy it to the clipboard, where supported
+  try {
+    await navigator.clipboard.write([new ClipboardItem({ "image/png": blob })]);
+    setStatus("Snapshot saved and copied to the clipboard.", true);
+  } catch (e) {
+    console.warn("Clipboard image write failed:", e);
+    setStatus("Snapshot saved (could not copy it to the clipboard).", true);
+  }
+}
+
+/**
+ * Starts recording the received audio and video, or stops the running recording.
+ * Uses the first codec this browser supports, at its default bitrate.
+ */
+function toggleViewerRecording() {
+  if (viewerRecording) {
+    stopRecording(viewerRecording);
+    return;
+  }
+  const stream = REMOTE_VIDEO?.srcObject;
+  if (!viewerCaptureAllowed || !stream) return;
+
+  let recording;
+  try {
+    recording = startRecording(stream, {
+      codec: getSupportedRecordingCodecs()[0],
+    });
+  } catch (e) {
+    console.error("Failed to start viewer recording:", e);
+    setError(`Could not start recording: ${e.message}`);
+    return;
+  }
+  viewerRecording = recording;
+  if (viewerRecordingDownloadUrl) {
+    URL.revokeObjectURL(viewerRecordingDownloadUrl);
+  }
+  viewerRecordingDownloadUrl = null;
+  if (VIEWER_RECORDING_DOWNLOAD_LINK) {
+    VIEWER_RECORDING_DOWNLOAD_LINK.style.display = "none";
+  }
+
+  // Also finishes on its own when the remote tracks end (stream ended or a full reconnect)
+  recording.finished.then((blob) => finishViewerRecording(recording, blob));
+  viewerRecordingUiInterval = setInterval(
+    updateViewerCaptureControls,
+    RECORDING_UI_INTERVAL_MS
+  );
+  updateViewerCaptureControls();
+}
+
+/**
+ * Offers a finished viewer recording for download and resets the controls.
+ * @param {object} recording - The recording that finished.
+ * @param {Blob} blob - The recorded WebM file.
+ */
+function finishViewerRecording(recording, blob) {
+  if (viewerRecording === recording) {
+    viewerRecording = null;
+    clearInterval(viewerRecordingUiInterval);
+    viewerRecordingUiInterval = null;
+  }
+  updateViewerCaptureControls();
+  if (blob.size === 0 || !VIEWER_RECORDING_DOWNLOAD_LINK) return;
+
+  if (viewerRecordingDownloadUrl) {
+    URL.revokeObjectURL(viewerRecordingDownloadUrl);
+  }
+  viewerRecordingDownloadUrl = URL.createObjectURL(blob);
+  VIEWER_RECORDING_DOWNLOAD_LINK.href = viewerRecordingDownloadUrl;
+  VIEWER_RECORDING_DOWNLOAD_LINK.download = getCaptureFilename(
+    "viewer-recording",
+    "webm"
+  );
+  VIEWER_RECORDING_DOWNLOAD_LINK.textContent = `Download recording (${formatDuration(
+    getRecordingElapsedMs(recording)
+  )}, ${formatBytes(blob.size)})`;
+  VIEWER_RECORDING_DOWNLOAD_LINK.style.display = "";
+}
+
+SNAPSHOT_BUTTON?.addEventListener("click", takeSnapshot);
+VIEWER_RECORD_BUTTON?.addEventListener("click", toggleViewerRecording);
+
+// --- Remote Pointer and Annotations ---
+
+/**
+ * Tells whether a viewer may point and draw: the stream-wide setting and the viewer's own roster toggle.
+ * @param {string} viewerId - The viewer's ID.
+ * @returns {boolean} Whether the viewer's annotations are shown.
+ */
+function isAnnotationAllowed(viewerId) {
+  const entry = viewerRoster.get(viewerId);
+  return (
+    !!ALLOW_ANNOTATIONS_CHECKBOX?.checked && !!entry && entry.annotationsAllowed
+  );
+}
+
+/**
+ * Builds the data channel message telling a viewer whether it may point and draw.
+ * @param {string} viewerId - The viewer's ID.
+ * @returns {{ type: 'annotation_policy', allowed: boolean }} The message.
+ */
+function getAnnotationPolicyMessage(viewerId) {
+  return { type: "annotation_policy", allowed: isAnnotationAllowed(viewerId) };
+}
+
+/**
+ * Streamer: tells every viewer its annotation policy and drops the annotations of viewers no longer allowed.
+ */
+function broadcastAnnotationPolicy() {
+  if (role !== "streamer") return;
+  const viewerIds = sfuMode ? sfuChannels : dataChannels.keys();
+  for (const viewerId of viewerIds) {
+    sendDataMessage(viewerId, getAnnotationPolicyMessage(viewerId));
+  }
+  annotationItems = annotationItems.filter((item) =>
+    isAnnotationAllowed(item.owner)
+  );
+}
+
+/**
+ * Streamer: enables or disables annotations for one viewer (roster toggle).
+ * @param {string} viewerId - The viewer's ID.
+ */
+function toggleViewerAnnotations(viewerId) {
+  const entry = viewerRoster.get(viewerId);
+  if (!entry) return;
+  updateRosterEntry(viewerId, {
+    annotationsAllowed: !entry.annotationsAllowed,
+  });
+  sendDataMessage(viewerId, getAnnotationPolicyMessage(viewerId));
+  if (!entry.annotationsAllowed) removeAnnotations(viewerId);
+  console.log(
+    `Annotations ${
+      entry.annotationsAllowed ? "enabled" : "disabled"
+    } for viewer ${viewerId}.`
+  );
+}
+
+/**
+ * Reads normalized (0-1) points from an annotation message. Anything else is dropped.
+ * @param {Array<Array<number>>} points - The received points.
+ * @returns {Array<Array<number>>} The valid points.
+ */
+function sanitizeAnnotationPoints(points) {
+  if (!Array.isArray(points)) return [];
+  return points
+    .filter(
+      (p) =>
+        Array.isArray(p) &&
+        Number.isFinite(p[0]) &&
+        Number.isFinite(p[1]) &&
+        p[0] >= 0 &&
+        p[0] <= 1 &&
+        p[1] >= 0 &&
+        p[1] <= 1
+    )
+    .slice(0, ANNOTATION_MAX_POINTS);
+}
+
+/**
+ * Streamer: shows a viewer's pointer click or stroke on the local preview.
+ * Ignored unless the viewer is allowed to annotate (the viewer's own check is only a courtesy).
+ * @param {string} viewerId - The viewer's ID.
+ * @param {object} message - `{ type: 'annotation', kind: 'pointer', x, y }` or
+ *   `{ type: 'annotation', kind: 'stroke', id, points: [[x, y], ...], done }`.
+ */
+function handleAnnotationMessage(viewerId, message) {
+  if (role !== "streamer" || !isAnnotationAllowed(viewerId)) return;
+  const entry = viewerRoster.get(viewerId);
+  const name = entry?.name || viewerId.slice(0, 8);
+
+  if (message.kind === "pointer") {
+    const points = sanitizeAnnotationPoints([[message.x, message.y]]);
+    if (points.length === 0) return;
+    addAnnotationItem(
+      { id: `${viewerId}:pointer`, owner: viewerId, name },
+      points,
+      true
+    );
+  } else if (message.kind === "stroke") {
+    const points = sanitizeAnnotationPoints(message.points);
+    if (points.length === 0) return;
+    addAnnotationItem(
+      {
+        id: `${viewerId}:${String(message.id)}`,
+        owner: viewerId,
+        name,
+        stroke: true,
+      },
+      points,
+      false
+    );
+  }
+}
+
+/**
+ * Adds points to an annotation (creating it if new) and refreshes its fade timer.
+ * Each owner keeps at most `ANNOTATION_MAX_ITEMS` annotations; the oldest go first.
+ * @param {{ id: string, owner: string, name: string, stroke?: boolean }} info - The annotation.
+ * @param {Array<Array<number>>} points - Normalized points to add.
+ * @param {boolean} replace - Whether the points replace the previous ones (pointer) instead of extending them (stroke).
+ */
+function addAnnotationItem(info, points, replace) {
+  let item = annotationItems.find((i) => i.id === info.id);
+  if (!item) {
+    item = { ...info, points: [], color: getAnnotationColor(info.owner) };
+    annotationItems.push(item);
+    const owned = annotationItems.filter((i) => i.owner === info.owner);
+    if (owned.length > ANNOTATION_MAX_ITEMS) {
+      annotationItems.splice(annotationItems.indexOf(owned[0]), 1);
+    }
+  }
+  item.points = replace
+    ? points
+    : item.points.concat(points).slice(0, ANNOTATION_MAX_POINTS);
+  item.updatedAt = performance.now();
+  startAnnotationRendering();
+}
+
+/**
+ * Picks a stable color per viewer, so each viewer's annotations are told apart.
+ * @param {string} owner - The viewer's ID ('self' for the viewer's own annotations).
+ * @returns {string} A CSS color.
+ */
+function getAnnotationColor(owner) {
+  let hash = 0;
+  for (const char of owner) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  return ANNOTATION_COLORS[hash % ANNOTATION_COLORS.length];
+}
+
+/**
+ * Removes an owner's annotations (e.g. a viewer that left or may no longer annotate).
+ * @param {string} owner - The viewer's ID.
+ */
+function removeAnnotations(owner) {
+  annotationItems = annotationItems.filter((item) => item.owner !== owner);
+}
+
+/**
+ * Computes where the video picture sits inside its element (the rest is letterboxing).
+ * @param {HTMLVideoElement} video - The video element.
+ * @param {number} width - Width of the element's area.
+ * @param {number} height - Height of the element's area.
+ * @returns {{ x: number, y: number, width: number, height: number }} The picture's rectangle.
+ */
+function getVideoContentRect(video, width, height) {
+  if (!video?.videoWidth || !video?.videoHeight) {
+    return { x: 0, y: 0, width, height };
+  }
+  const scale = Math.min(width / video.videoWidth, height / video.videoHeight);
+  const contentWidth = video.videoWidth * scale;
+  const contentHeight = video.videoHeight * scale;
+  return {
+    x: (width - contentWidth) / 2,
+    y: (height - contentHeight) / 2,
+    width: contentWidth,
+    height: contentHeight,
+  };
+}
+
+/**
+ * Returns the annotation canvas and video of the current role, with the canvas placed inside the player.
+ * @returns {{ canvas: HTMLCanvasElement, video: HTMLVideoElement } | null} The canvas and video.
+ */
+function getAnnotationSurface() {
+  const isStreamer = role === "streamer";
+  const canvas = isStreamer
+    ? LOCAL_ANNOTATION_CANVAS
+    : REMOTE_ANNOTATION_CANVAS;
+  const video = isStreamer ? LOCAL_VIDEO : REMOTE_VIDEO;
+  if (!canvas || !video) return null;
+  const host = video.closest(".plyr");
+  if (host && canvas.parentElement !== host) host.appendChild(canvas);
+  return { canvas, video };
+}
+
+/**
+ * Starts the annotation drawing loop, if not already running.
+ */
+function startAnnotationRendering() {
+  if (!annotationFrame) {
+    annotationFrame = requestAnimationFrame(renderAnnotations);
+  }
+}
+
+/**
+ * Draws the annotations over the video, fading each out `ANNOTATION_HOLD_MS` after its last update.
+ * Runs while there is something to draw.
+ */
+function renderAnnotations() {
+  annotationFrame = null;
+  const surface = getAnnotationSurface();
+  if (!surface) return;
+  const { canvas, video } = surface;
+  const ratio = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth * ratio;
+  const height = canvas.clientHeight * ratio;
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+  const context = canvas.getContext("2d");
+  context.clearRect(0, 0, width, height);
+
+  const now = performance.now();
+  annotationItems = annotationItems.filter(
+    (item) => now - item.updatedAt < ANNOTATION_HOLD_MS + ANNOTATION_FADE_MS
+  );
+  const rect = getVideoContentRect(video, width, height);
+  const toCanvas = ([x, y]) => [
+    rect.x + x * rect.width,
+    rect.y + y * rect.height,
+  ];
+
+  annotationItems.forEach((item) => {
+    const age = now - item.updatedAt;
+    context.globalAlpha =
+      age < ANNOTATION_HOLD_MS
+        ? 1
+        : 1 - (age - ANNOTATION_HOLD_MS) / ANNOTATION_FADE_MS;
+    context.strokeStyle = item.color;
+    context.fillStyle = item.color;
+    context.lineWidth = 3 * ratio;
+    context.lineCap = "round";
+    context.lineJoin = "round";
+
+    const points = item.points.map(toCanvas);
+    const [labelX, labelY] = points[points.length - 1];
+    if (item.stroke) {
+      context.beginPath();
+      points.forEach(([x, y], index) =>
+        index === 0 ? context.moveTo(x, y) : context.lineTo(x, y)
+      );
+      context.stroke();
+    } else {
+      context.beginPath();
+      context.arc(labelX, labelY, 12 * ratio, 0, 2 * Math.PI);
+      context.stroke();
+      context.beginPath();
+      context.arc(labelX, labelY, 3 * ratio, 0, 2 * Math.PI);
+      context.fill();
+    }
+    // Label with the viewer's name next to the latest point
+    context.font = `${12 * ratio}px sans-serif`;
+    const labelWidth = context.measureText(item.name).width + 8 * ratio;
+    context.fillRect(
+      labelX + 14 * ratio,
+      labelY - 8 * ratio,
+      labelWidth,
+      18 * ratio
+    );
+    context.fillStyle = "#000";
+    context.fillText(item.name, labelX + 18 * ratio, labelY + 6 * ratio);
+  });
+  context.globalAlpha = 1;
+
+  if (annotationItems.length > 0) startAnnotationRendering();
+}
+
+/**
+ * Clears all annotations and stops the drawing loop (e.g. when the session ends).
+ */
+function clearAnnotations() {
+  annotationItems = [];
+  if (annotationFrame) cancelAnimationFrame(annotationFrame);
+  annotationFrame = null;
+  [LOCAL_ANNOTATION_CANVAS, REMOTE_ANNOTATION_CANVAS].forEach((canvas) =>
+    canvas?.getContext("2d").clearRect(0, 0, canvas.width, canvas.height)
+  );
+  viewerStroke = null;
+}
+
+/**
+ * Viewer: applies the streamer's annotation policy. Turning it off leaves annotation mode.
+ * @param {boolean} allowed - Whether this viewer may point and draw.
+ */
+function applyAnnotationPolicy(allowed) {
+  console.log(
+    `Viewer: Streamer ${allowed ? "allows" : "disallows"} annotations.`
+  );
+  viewerAnnotationAllowed = allowed;
+  if (!allowed) setAnnotating(false);
+  updateAnnotateButton();
+}
+
+/**
+ * Viewer: turns annotation mode on or off. While on, the canvas over the video takes the pointer
+ * (so the player's own controls don't react to clicks on the picture).
+ * @param {boolean} enabled - Whether annotation mode is on.
+ */
+function setAnnotating(enabled) {
+  annotating = enabled && viewerAnnotationAllowed;
+  getAnnotationSurface();
+  REMOTE_ANNOTATION_CANVAS?.classList.toggle("annotating", annotating);
+  if (!annotating) viewerStroke = null;
+  updateAnnotateButton();
+}
+
+/**
+ * Viewer: syncs the Annotate button with the policy and the remote stream.
+ */
+function updateAnnotateButton() {
+  if (!ANNOTATE_BUTTON) return;
+  ANNOTATE_BUTTON.disabled =
+    !viewerAnnotationAllowed || !REMOTE_VIDEO?.srcObject;
+  ANNOTATE_BUTTON.textContent = annotating ? "Stop annotating" : "Annotate";
+}
+
+/**
+ * Viewer: converts a pointer event to a normalized point on the video picture (clamped to it).
+ * @param {PointerEvent} event - The pointer event on the annotation canvas.
+ * @returns {Array<number>} The point as [x, y], both 0-1.
+ */
+function getNormalizedPointer(event) {
+  const bounds = REMOTE_ANNOTATION_CANVAS.getBoundingClientRect();
+  const rect = getVideoContentRect(REMOTE_VIDEO, bounds.width, bounds.height);
+  const clamp = (value) => Math.min(1, Math.max(0, value));
+  const round = (value) => Math.round(value * 10000) / 10000; // Keeps messages small
+  return [
+    round(clamp((event.clientX - bounds.left - rect.x) / rect.width)),
+    round(clamp((event.clientY - bounds.top - rect.y) / rect.height)),
+  ];
+}
+
+/**
+ * Viewer: sends the points of the current stroke not sent yet.
+ * @param {boolean} done - Whether the stroke is finished.
+ */
+function flushViewerStroke(done) {
+  if (!viewerStroke) return;
+  const points = viewerStroke.points.slice(viewerStroke.sentCount);
+  viewerStroke.lastSentAt = performance.now();
+  if (points.length === 0 && !done) return;
+  viewerStroke.sentCount = viewerStroke.points.length;
+  sendDataMessage("streamer", {
+    type: "annotation",
+    kind: "stroke",
+    id: viewerStroke.id,
+    points,
+    done,
+  });
+}
+
+REMOTE_ANNOTATION_CANVAS?.addEventListener("pointerdown", (event) => {
+  if (!annotating) return;
+  event.preventDefault();
+  REMOTE_ANNOTATION_CANVAS.setPointerCapture(event.pointerId);
+  annotationStrokeCount += 1;
+  viewerStroke = {
+    id: annotationStrokeCount,
+    points: [getNormalizedPointer(event)],
+    sentCount: 0,
+    moved: false,
+    lastSentAt: 0,
+  };
+});
+
+REMOTE_ANNOTATION_CANVAS?.addEventListener("pointermove", (event) => {
+  if (!annotating || !viewerStroke) return;
+  const point = getNormalizedPointer(event);
+  if (viewerStroke.points.length >= ANNOTATION_MAX_POINTS) return;
+  // The viewer sees its own stroke too (the first move also draws the starting point)
+  addAnnotationItem(
+    { id: `self:${viewerStroke.id}`, owner: "self", name: "You", stroke: true },
+    viewerStroke.moved ? [point] : [viewerStroke.points[0], point],
+    false
+  );
+  viewerStroke.points.push(point);
+  viewerStroke.moved = true;
+  // Points are batched so a fast drag doesn't flood the data channel
+  if (
+    performance.now() - viewerStroke.lastSentAt >=
+    ANNOTATION_SEND_INTERVAL_MS
+  ) {
+    flushViewerStroke(false);
+  }
+});
+
+["pointerup", "pointercancel"].forEach((type) =>
+  REMOTE_ANNOTATION_CANVAS?.addEventListener(type, () => {
+    if (!viewerStroke) return;
+    if (viewerStroke.moved) {
+      flushViewerStroke(true);
+    } else {
+      // A click without dragging is a pointer "look here"
+      const [x, y] = viewerStroke.points[0];
+      sendDataMessage("streamer", {
+        type: "annotation",
+        kind: "pointer",
+        x,
+        y,
+      });
+      addAnnotationItem(
+        { id: "self:pointer", owner: "self", name: "You" },
+        [[x, y]],
+        true
+      );
+    }
+    viewerStroke = null;
+  })
+);
 
-        // Set the received offer as the remote description
-        await pc.setRemoteDescription(new RTCSessionDescription(offerData));
-        console.log(
-          `Streamer: Set remote description (offer) for viewer ${viewerId}.`
-        );
+ANNOTATE_BUTTON?.addEventListener("click", () => setAnnotating(!annotating));
+ALLOW_ANNOTATIONS_CHECKBOX?.addEventListener(
+  "change",
+  broadcastAnnotationPolicy
+);
 
-        // Add local stream tracks to the PeerConnection to send to the viewer
-        const senders = pc.getSenders();
-        activeTracks.forEach((track) => {
-          // Only add track if a sender for it doesn't already exist
-          if (!senders.find((s) => s.track === track)) {
-            console.log(
-              `Streamer: Adding ${track.kind} track to PC for ${viewerId}`
-            );
-            pc.addTrack(track, localStream);
-          } else {
-            console.log(
-              `Streamer: Sender for ${track.kind} track already exists for ${viewerId}`
-            );
-          }
-        });
+// --- Connection Statistics ---
 
-        // Create an SDP answer
-        let answer = await pc.createAnswer();
+/**
+ * Summarizes one connection's `getStats()` report for the overlay and the export.
+ * Rates (bitrate, loss) are computed against the previous sample of the same connection.
+ * @param {RTCPeerConnection} pc - The connection to inspect.
+ * @param {string} key - The key of the connection in `peerConnections`.
+ * @returns {Promise<object>} The summary: `video`, `audio` and `candidatePair` sections (each may be null).
+ */
+async function collectConnectionStats(pc, key) {
+  const stats = await pc.getStats();
+  const now = Date.now();
+  const previous = statsPrevious.get(key) || {};
+  const next = {};
+  const summary = { video: null, audio: null, candidatePair: null };
 
-        // --- NEW: Modify SDP Answer ---
-        try {
-          answer.sdp = modifySdpForAudioQuality(
-            answer.sdp,
-            TARGET_AUDIO_BITRATE
-          );
-        } catch (sdpError) {
-          console.error(
-            "Failed to modify SDP answer for audio quality:",
-            sdpError
-          );
-          // Proceed with the original answer if modification fails
-        }
-        // --- END NEW ---
+  // Outbound (streamer) or inbound (viewer) RTP, plus the remote peer's view of it
+  const rtpType = role === "streamer" ? "outbound-rtp" : "inbound-rtp";
+  const remoteInbound = {};
+  stats.forEach((report) => {
+    if (report.type === "remote-inbound-rtp")
+      remoteInbound[report.kind] = report;
+  });
 
-        // Set the answer as the local description
-        await pc.setLocalDescription(answer); // Use potentially modified answer
-        console.log(
-          `Streamer: Set local description (answer) for viewer ${viewerId}.`
-        );
+  stats.forEach((report) => {
+    if (report.type !== rtpType || !report.kind) return;
+    const bytes =
+      rtpType === "outbound-rtp" ? report.bytesSent : report.bytesReceived;
+    const prev = previous[report.kind];
+    const elapsed = prev ? (now - prev.ts) / 1000 : 0;
+    const section = {
+      bitrateKbps:
+        prev && elapsed > 0
+          ? Math.round(((bytes - prev.bytes) * 8) / elapsed / 1000)
+          : null,
+      jitterMs: null,
+      lossPercent: null,
+      rttMs: null,
+      codec: report.codecId
+        ? stats.get(report.codecId)?.mimeType.replace(/^\w+\//, "") || null
+        : null,
+    };
 
-        // Send the answer back to the specific viewer via WebSocket
-        sendMessage(pc.localDescription, viewerId);
-        console.log(`Streamer: Sent SDP answer to viewer ${viewerId}.`);
-        return; // Offer handled
+    if (rtpType === "inbound-rtp") {
+      // Loss over the last interval, from the receiver's counters
+      if (prev) {
+        const lost = report.packetsLost - prev.packetsLost;
+        const received = report.packetsReceived - prev.packetsReceived;
+        if (lost + received > 0) {
+          section.lossPercent = (Math.max(0, lost) / (lost + received)) * 100;
+        }
       }
-
-      // --- Handle ICE Candidate from a Viewer ---
-      if (
-        message.from &&
-        message.data &&
-        message.data.type === "candidate" &&
-        message.data.candidate
-      ) {
-        const viewerId = message.from;
-        const candidateData = message.data.candidate;
-        const pc = peerConnections.get(viewerId);
-
-        // Add the ICE candidate if the connection exists and has a remote description set
-        if (pc && pc.remoteDescription && pc.signalingState !== "closed") {
-          try {
-            await pc.addIceCandidate(new RTCIceCandidate(candidateData));
-            // console.log(`Streamer: Added ICE candidate from viewer ${viewerId}.`);
-          } catch (e) {
-            console.warn(
-              `Streamer: Error adding ICE candidate from ${viewerId}: ${e.message}`
-            );
-          }
-        } else if (pc && !pc.remoteDescription) {
-          console.warn(
-            `Streamer: Received ICE candidate from ${viewerId} before remote description was set. Ignoring.`
-          );
-        } else if (!pc) {
-          console.warn(
-            `Streamer: Received ICE candidate for unknown or closed viewer ${viewerId}. Ignoring.`
-          );
+      section.jitterMs =
+        typeof report.jitter === "number" ? report.jitter * 1000 : null;
+      next[report.kind] = {
+        ts: now,
+        bytes,
+        packetsLost: report.packetsLost,
+        packetsReceived: report.packetsReceived,
+      };
+    } else {
+      // The viewer reports loss, jitter and RTT back via RTCP
+      const remote = remoteInbound[report.kind];
+      if (remote) {
+        if (typeof remote.fractionLost === "number") {
+          section.lossPercent = remote.fractionLost * 100;
+        }
+        if (typeof remote.jitter === "number") {
+          section.jitterMs = remote.jitter * 1000;
+        }
+        if (typeof remote.roundTripTime === "number") {
+          section.rttMs = remote.roundTripTime * 1000;
         }
-        return; // Candidate handled
       }
+      next[report.kind] = { ts: now, bytes };
     }
 
-    // --- Viewer Message Handling ---
-    if (role === "viewer") {
-      const pc = peerConnections.get("streamer"); // Viewer has only one connection
-
-      // Ignore messages if the peer connection doesn't exist or is closed
-      if (!pc || pc.signalingState === "closed") {
-        console.warn(
-          "Viewer: Received message but PeerConnection is missing or closed. Ignoring."
-        );
-        return;
-      }
-
-      // --- Handle SDP Answer from the Streamer ---
-      if (message.type === "answer" && message.sdp) {
-        console.log("Viewer: Received SDP answer from streamer.");
-
-        // Check signaling state; should ideally be 'have-local-offer'
-        if (pc.signalingState !== "have-local-offer") {
-          console.warn(
-            `Viewer: Received answer in unexpected signaling state: ${pc.signalingState}.`
-          );
-        }
+    if (report.kind === "video") {
+      Object.assign(section, {
+        width: report.frameWidth ?? null,
+        height: report.frameHeight ?? null,
+        fps: report.framesPerSecond ?? null,
+        framesDecoded: report.framesDecoded ?? null,
+        framesDropped: report.framesDropped ?? null,
+        framesEncoded: report.framesEncoded ?? null,
+        qualityLimitationReason: report.qualityLimitationReason ?? null,
+      });
+    }
+    summary[report.kind] = section;
+  });
+  statsPrevious.set(key, next);
 
-        // Set the received answer as the remote description if not already set
-        if (!pc.currentRemoteDescription) {
-          try {
-            // Note: We expect the streamer might have modified the SDP answer already.
-            await pc.setRemoteDescription(new RTCSessionDescription(message));
-            console.log(
-              `Viewer: Set remote description (answer). WebRTC negotiation proceeding.`
-            );
-            clearTimeout(signalingTimeout); // Successfully received answer, clear timeout
-            signalingTimeout = null;
-          } catch (e) {
-            console.error(
-              "Viewer: Error setting remote description (answer):",
-              e
-            );
-            setError(
-              `Viewer: Failed to process streamer's answer: ${e.message}`
-            );
-            closeConnections();
+  const pair = await getSelectedCandidatePair(pc);
+  if (pair) {
+    summary.candidatePair = {
+      local: pair.local.candidateType,
+      remote: pair.remote.candidateType,
+      protocol: pair.local.protocol || null,
+    };
+  }
+  // Viewers get no RTCP-based RTT for received media, use the candidate pair's instead
+  stats.forEach((report) => {
+    if (report.type === "transport" && report.selectedCandidatePairId) {
+      const rtt = stats.get(
+        report.selectedCandidatePairId
+      )?.currentRoundTripTime;
+      if (typeof rtt === "number") {
+        ["video", "audio"].forEach((kind) => {
+          if (summary[kind] && summary[kind].rttMs === null) {
+            summary[kind].rttMs = rtt * 1000;
           }
-        } else {
-          console.warn(
-            "Viewer: Received answer but remote description already set. Ignoring duplicate."
-          );
-        }
-        return; // Answer handled
-      }
-
-      // --- Handle ICE Candidate from the Streamer ---
-      if (message.type === "candidate" && message.candidate) {
-        // console.log("Viewer: Received ICE candidate from streamer.");
-        try {
-          // Add the ICE candidate. This can happen before or after the answer is received.
-          await pc.addIceCandidate(new RTCIceCandidate(message.candidate));
-        } catch (e) {
-          // It's somewhat common to get candidates before the remote description is set,
-          // the browser might buffer them, but log warnings if addIceCandidate fails.
-          console.warn(`Viewer: Error adding ICE candidate: ${e.message}`);
-        }
-        return; // Candidate handled
+        });
       }
     }
+  });
+  return summary;
+}
 
-    // Log any message that wasn't handled by the logic above
-    console.warn("Unhandled WebSocket message:", message);
-  } catch (error) {
-    console.error(
-      "Failed to process WebSocket message:",
-      error,
-      "Raw data:",
-      event.data
-    );
-    setError(`Error processing signaling message: ${error.message}`);
-    // Depending on the error severity, consider calling closeConnections() here.
+/**
+ * Samples every connection's statistics, keeps `STATS_HISTORY_MS` worth of samples for export,
+ * and refreshes the visible overlays.
+ */
+async function sampleConnectionStats() {
+  const sample = { ts: Date.now(), connections: {} };
+  for (const [key, pc] of peerConnections) {
+    if (pc.connectionState === "closed") continue;
+    try {
+      sample.connections[key] = await collectConnectionStats(pc, key);
+    } catch (e) {
+      console.warn(`Stats: Failed to read stats for ${key}:`, e);
+    }
   }
+  statsHistory.push(sample);
+  while (
+    statsHistory.length > 0 &&
+    sample.ts - statsHistory[0].ts > STATS_HISTORY_MS
+  ) {
+    statsHistory.shift();
+  }
+  renderStatsOverlays(sample);
 }
 
 /**
- * Sends signaling data (SDP offer/answer or ICE candidates) over the WebSocket connection.
- * Formats the message payload according to the user's role.
- * Streamers must specify the target viewer ID. Viewers send directly.
- * Checks WebSocket connection state before attempting to send.
- * @param {RTCSessionDescriptionInit | RTCIceCandidate} payload - The SDP data or ICE candidate to send.
- * @param {string | null} [targetViewerId=null] - The specific viewer ID to send to (used only by streamer).
+ * Formats one connection's summary as overlay text.
+ * @param {object} summary - A summary from `collectConnectionStats`.
+ * @returns {string} Multi-line text.
  */
-function sendMessage(payload, targetViewerId = null) {
-  // Check if WebSocket is connected and ready to send
-  if (!ws || ws.readyState !== WebSocket.OPEN) {
-    // Don't log error if viewer WS is expectedly closed after WebRTC connect
-    if (
-      !(
-        role === "viewer" &&
-        !wsConnected &&
-        peerConnections.has("streamer") &&
-        peerConnections.get("streamer").connectionState === "connected"
-      )
-    ) {
-      console.error("sendMessage Error: WebSocket is not open or available.");
-      // Avoid flooding errors if already showing a warning
-      if (!STATUS_DISPLAY.className.includes("warning")) {
-        setError("Cannot send message: Signaling connection inactive.");
-      }
+function formatConnectionStats(summary) {
+  const fmt = (value, unit, digits = 0) =>
+    typeof value === "number" ? `${value.toFixed(digits)}${unit}` : "—";
+  const lines = [];
+  const video = summary.video;
+  if (video) {
+    lines.push(
+      `Video ${
+        video.width && video.height ? `${video.width}x${video.height}` : "—"
+      } @ ${fmt(video.fps, " fps")} · ${video.codec || "—"} · ${fmt(
+        video.bitrateKbps,
+        " kbps"
+      )}`,
+      `Loss ${fmt(video.lossPercent, "%", 1)} · Jitter ${fmt(
+        video.jitterMs,
+        " ms"
+      )} · RTT ${fmt(video.rttMs, " ms")}`
+    );
+    if (role === "streamer") {
+      lines.push(
+        `Frames ${video.framesEncoded ?? "—"} encoded${
+          video.qualityLimitationReason &&
+          video.qualityLimitationReason !== "none"
+            ? ` · limited by ${video.qualityLimitationReason}`
+            : ""
+        }`
+      );
     } else {
-      console.log(
-        "sendMessage skipped: Viewer WebSocket intentionally closed after WebRTC connection."
+      lines.push(
+        `Frames ${video.framesDecoded ?? "—"} decoded, ${
+          video.framesDropped ?? "—"
+        } dropped`
       );
     }
-    return;
   }
-
-  if (!payload) {
-    console.error("sendMessage Error: Payload is null or undefined.");
-    return;
+  if (summary.audio) {
+    lines.push(
+      `Audio ${summary.audio.codec || "—"} · ${fmt(
+        summary.audio.bitrateKbps,
+        " kbps"
+      )}`
+    );
   }
+  const pair = summary.candidatePair;
+  lines.push(
+    pair
+      ? `Route ${pair.local} / ${pair.remote}${
+          pair.protocol ? ` (${pair.protocol})` : ""
+        }`
+      : "Route —"
+  );
+  return lines.join("\n");
+}
 
-  let messageToSend = {};
-  let rtcPayload = {};
+/**
+ * Updates the visible stats overlay with a new sample.
+ * The viewer's overlay shows its connection to the streamer; the streamer's shows one block per viewer.
+ * @param {object} sample - The latest entry of `statsHistory`.
+ */
+function renderStatsOverlays(sample) {
+  const overlay =
+    role === "streamer" ? LOCAL_STATS_OVERLAY : REMOTE_STATS_OVERLAY;
+  if (!overlay || overlay.style.display === "none") return;
 
-  // Format payload based on type (ICE Candidate or SDP)
-  if (
-    payload instanceof RTCIceCandidate ||
-    (payload.type === "candidate" && typeof payload.candidate !== "undefined")
-  ) {
-    // Handle both actual RTCIceCandidate objects and plain candidate objects from signaling
-    const candidate = payload.candidate;
-    // Don't send null candidates which signify end-of-candidates
-    if (!candidate) {
-      // console.log("sendMessage: Null ICE candidate, skipping send.");
-      return;
-    }
-    // Ensure we send the plain object representation
-    rtcPayload = {
-      type: "candidate",
-      candidate:
-        typeof candidate === "string" ? JSON.parse(candidate) : candidate,
-    }; // Handle potential stringified candidate
-    // Re-stringify just the candidate part if needed for consistency, or assume server handles object
-    // Let's simplify: assume payload is the object ready to be embedded
-    rtcPayload = { type: "candidate", candidate: payload.candidate };
-  } else if (payload.type && payload.sdp) {
-    // Check for SDP object (offer/answer)
-    rtcPayload = { type: payload.type, sdp: payload.sdp };
+  const blocks = Object.entries(sample.connections).map(([key, summary]) => {
+    const text = formatConnectionStats(summary);
+    if (role !== "streamer") return text;
+    const name = viewerRoster.get(key)?.name || key.slice(0, 8);
+    return `${name}\n${text}`;
+  });
+  overlay.textContent =
+    blocks.length > 0
+      ? blocks.join("\n\n")
+      : role === "streamer"
+      ? "No viewers connected."
+      : "Not connected.";
+}
+
+/**
+ * Shows or hides the stats overlay of the active role's video.
+ * The overlay is moved into the Plyr wrapper so it stays visible in fullscreen.
+ */
+function toggleStatsOverlay() {
+  const isStreamer = role === "streamer";
+  const overlay = isStreamer ? LOCAL_STATS_OVERLAY : REMOTE_STATS_OVERLAY;
+  const video = isStreamer ? LOCAL_VIDEO : REMOTE_VIDEO;
+  const button = isStreamer ? LOCAL_STATS_BUTTON : REMOTE_STATS_BUTTON;
+  if (!overlay) return;
+
+  const show = overlay.style.display === "none";
+  if (show) {
+    const host = video?.closest(".plyr");
+    if (host && overlay.parentElement !== host) host.appendChild(overlay);
+    overlay.textContent = "Collecting statistics...";
+    const latest = statsHistory[statsHistory.length - 1];
+    overlay.style.display = "";
+    if (latest) renderStatsOverlays(latest);
   } else {
-    console.error("sendMessage Error: Invalid payload type.", payload);
+    overlay.style.display = "none";
+  }
+  if (button) button.textContent = show ? "Hide stats" : "Show stats";
+}
+
+/**
+ * Starts sampling connection statistics, if not already running.
+ */
+function startStatsSampling() {
+  if (statsInterval) return;
+  statsInterval = setInterval(sampleConnectionStats, STATS_INTERVAL_MS);
+}
+
+/**
+ * Stops sampling and forgets the per-connection counters. The history is kept so it can still be exported.
+ */
+function stopStatsSampling() {
+  clearInterval(statsInterval);
+  statsInterval = null;
+  statsPrevious.clear();
+}
+
+/**
+ * Downloads the collected statistics (the last `STATS_HISTORY_MS`) as JSON, for attaching to bug reports.
+ */
+function exportStats() {
+  if (statsHistory.length === 0) {
+    setStatus("No statistics collected yet.", false, true);
     return;
   }
+  const dump = {
+    exportedAt: new Date().toISOString(),
+    role,
+    streamerCode: role === "streamer" ? streamerCode : viewerTargetCode,
+    userAgent: navigator.userAgent,
+    intervalMs: STATS_INTERVAL_MS,
+    samples: statsHistory,
+  };
+  const url = URL.createObjectURL(
+    new Blob([JSON.stringify(dump, null, 2)], { type: "application/json" })
+  );
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = getCaptureFilename("stats", "json");
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
 
-  // Construct the final message based on role
-  if (role === "streamer" && targetViewerId) {
-    // Streamer sends directed messages to a specific viewer
-    messageToSend = { to: targetViewerId, data: rtcPayload };
-  } else if (role === "viewer") {
-    // Viewer sends messages directly (server knows it's intended for the streamer)
-    messageToSend = rtcPayload;
-  } else {
-    console.error(
-      "sendMessage Error: Cannot determine message format (Invalid role or target)."
-    );
+[LOCAL_STATS_BUTTON, REMOTE_STATS_BUTTON].forEach((button) =>
+  button?.addEventListener("click", toggleStatsOverlay)
+);
+[LOCAL_STATS_EXPORT_BUTTON, REMOTE_STATS_EXPORT_BUTTON].forEach((button) =>
+  button?.addEventListener("click", exportStats)
+);
+
+// --- Data Channels and Chat ---
+
+/**
+ * Creates the pre-negotiated app data channel on a peer connection and wires its events.
+ * Messages on the channel are JSON objects with a `type` field (e.g. 'chat').
+ * @param {RTCPeerConnection} pc - The connection to create the channel on.
+ * @param {string} key - The key of the connection in `peerConnections` ('streamer' or a viewerId).
+ */
+function setupDataChannel(pc, key) {
+  let channel;
+  try {
+    channel = pc.createDataChannel(DATA_CHANNEL_LABEL, {
+      negotiated: true,
+      id: DATA_CHANNEL_ID,
+    });
+  } catch (e) {
+    console.error(`Failed to create data channel for ${key}:`, e);
     return;
   }
+  dataChannels.set(key, channel);
 
-  // Send the message over WebSocket
+  channel.onopen = () => {
+    console.log(`Data channel open for ${key}.`);
+    if (role === "viewer") {
+      setChatEnabled(true);
+      sendVideoLayerPreference(); // The streamer (or the SFU) starts every viewer on 'auto'
+    }
+    // The SFU's channel carries the viewers' channels, which report opening themselves
+    if (role === "streamer" && key !== SFU_PEER_ID)
+      sendInitialDataMessages(key);
+  };
+  channel.onclose = () => {
+    console.log(`Data channel closed for ${key}.`);
+    if (dataChannels.get(key) === channel) dataChannels.delete(key);
+    // A reconnect may already have replaced this channel; only disable chat if none is left
+    if (role === "viewer" && !dataChannels.has(key)) setChatEnabled(false);
+  };
+  channel.onerror = (event) => {
+    console.warn(`Data channel error for ${key}:`, event.error || event);
+  };
+  channel.onmessage = (event) => handleDataChannelMessage(key, event.data);
+}
+
+/**
+ * Streamer: tells a viewer whose data channel just opened the current state of the stream
+ * (capture and annotation policies, shared screens, pause).
+ * @param {string} viewerId - The viewer's ID.
+ */
+function sendInitialDataMessages(viewerId) {
+  sendDataMessage(viewerId, getCapturePolicyMessage());
+  sendDataMessage(viewerId, getSharesMessage()); // Labels of the shared screens
+  sendDataMessage(viewerId, getAnnotationPolicyMessage(viewerId));
+  if (streamPaused) sendDataMessage(viewerId, getPauseStateMessage());
+}
+
+/**
+ * Parses a message received on a data channel and dispatches it
+ * (or, on the SFU's channel, unwraps the relayed viewer message first).
+ * @param {string} key - The key of the connection the message arrived on.
+ * @param {string} data - The raw message.
+ */
+function handleDataChannelMessage(key, data) {
+  let message;
   try {
-    ws.send(JSON.stringify(messageToSend));
-    // console.log(`Sent message: `, messageToSend); // Verbose logging for debugging
+    message = JSON.parse(data);
   } catch (e) {
-    setError(`Failed to send signaling message: ${e.message}`);
-    console.error(
-      "WebSocket send failed for message:",
-      messageToSend,
-      "Error:",
-      e
+    console.warn(`Ignoring malformed data channel message from ${key}.`);
+    return;
+  }
+
+  if (role === "streamer" && key === SFU_PEER_ID) {
+    handleRelayMessage(message);
+    return;
+  }
+  dispatchDataMessage(key, message);
+}
+
+/**
+ * Dispatches a data channel message by its type.
+ * @param {string} key - The key of the connection the message arrived on (in SFU mode, the sending viewer's ID).
+ * @param {object} message - The parsed message.
+ */
+function dispatchDataMessage(key, message) {
+  switch (message.type) {
+    case "chat":
+      handleChatMessage(key, message);
+      break;
+    case "capture_policy":
+      if (role === "viewer") applyCapturePolicy(message.allowed === true);
+      break;
+    case "stream_paused":
+      if (role === "viewer") applyStreamPaused(message.paused === true);
+      break;
+    case "shares":
+      if (role === "viewer") applySharesList(message.shares);
+      break;
+    case "annotation":
+      handleAnnotationMessage(key, message);
+      break;
+    case "annotation_policy":
+      if (role === "viewer") applyAnnotationPolicy(message.allowed === true);
+      break;
+    case "chat_notice":
+      if (role === "viewer")
+        appendChatMessage({ text: message.text }, { notice: true });
+      break;
+    case "video_layer":
+      if (role === "streamer") setViewerVideoLayer(key, message.layer);
+      break;
+    default:
+      console.warn(`Unhandled data channel message from ${key}:`, message);
+  }
+}
+
+/**
+ * Sends a message over the data channel of one connection.
+ * @param {string} key - The key of the connection ('streamer' or a viewerId).
+ * @param {object} message - The message, serialized as JSON.
+ * @returns {boolean} Whether the message was sent.
+ */
+function sendDataMessage(key, message) {
+  // In SFU mode, messages for a viewer go over the SFU's channel, addressed to the viewer
+  if (sfuMode && key !== SFU_PEER_ID) {
+    return (
+      sfuChannels.has(key) && sendDataMessage(SFU_PEER_ID, { to: key, message })
     );
   }
+  const channel = dataChannels.get(key);
+  if (!channel || channel.readyState !== "open") return false;
+  try {
+    channel.send(JSON.stringify(message));
+    return true;
+  } catch (e) {
+    console.warn(`Failed to send data channel message to ${key}:`, e);
+    return false;
+  }
 }
 
 /**
- * Creates and configures a new RTCPeerConnection object.
- * Sets up essential event handlers for ICE candidates, track reception, and connection state changes.
- * These handlers manage the core WebRTC communication flow after signaling.
- * @param {string | null} [viewerId=null] - The ID of the viewer this connection is for (used by streamer for logging/context).
- * @returns {Promise<RTCPeerConnection | null>} A promise resolving with the created RTCPeerConnection, or null on failure.
+ * Streamer only: sends a message to every viewer's data channel.
+ * @param {object} message - The message to send.
+ * @param {string | null} [exceptViewerId=null] - A viewer to skip (e.g. the original sender of a relayed message).
  */
-async function createPeerConnection(viewerId = null) {
-  const logPrefix =
-    role === "streamer" ? `[PC for Viewer ${viewerId}]` : "[Viewer PC]";
-  console.log(`${logPrefix} Creating new RTCPeerConnection...`);
+function broadcastDataMessage(message, exceptViewerId = null) {
+  // In SFU mode, the server delivers one copy to every viewer
+  if (sfuMode) {
+    sendDataMessage(SFU_PEER_ID, {
+      except: exceptViewerId || undefined,
+      message,
+    });
+    return;
+  }
+  dataChannels.forEach((_, key) => {
+    if (key !== exceptViewerId) sendDataMessage(key, message);
+  });
+}
 
-  // Configuration using a public STUN server for NAT traversal
-  const configuration = {
-    iceServers: [
-      { urls: "stun:stun.l.google.com:19302" },
-      // Add TURN servers here if needed for more complex network scenarios
-    ],
-  };
+/**
+ * Records an event in a sliding-window rate limiter.
+ * @param {number[]} times - Timestamps of recent events; pruned and appended to in place.
+ * @returns {boolean} True if the event is within the limit, false if it should be rejected.
+ */
+function allowChatMessage(times) {
+  const now = Date.now();
+  while (times.length > 0 && now - times[0] > CHAT_RATE_WINDOW_MS)
+    times.shift();
+  if (times.length >= CHAT_RATE_LIMIT) return false;
+  times.push(now);
+  return true;
+}
 
-  let pc = null;
-  try {
-    pc = new RTCPeerConnection(configuration);
-  } catch (e) {
-    console.error(`${logPrefix} Failed to create RTCPeerConnection object:`, e);
-    setError(
-      `WebRTC setup failed: Could not create PeerConnection. ${e.message}`
-    );
-    return null; // Return null on creation failure
+/**
+ * Handles a chat message received over a data channel.
+ * The streamer acts as the hub: it rate limits each viewer, stamps the sender's name
+ * (from the roster, so it can't be spoofed) and the time, and relays the message to all other viewers.
+ * Viewers just display what the streamer relays.
+ * @param {string} key - The key of the connection the message arrived on.
+ * @param {object} message - The chat message ({ type: 'chat', text, name?, ts?, host? }).
+ */
+function handleChatMessage(key, message) {
+  const text = typeof message.text === "string" ? message.text.trim() : "";
+  if (!text) return;
+
+  if (role === "viewer") {
+    // Only the streamer's own messages carry `host`: relayed ones are rebuilt below without it
+    appendChatMessage({
+      name: message.name,
+      text,
+      ts: message.ts,
+      host: message.host === true,
+    });
+    return;
   }
 
-  // --- RTCPeerConnection Event Handlers ---
+  // Streamer: key is the sending viewer's ID
+  if (!viewerChatTimes.has(key)) viewerChatTimes.set(key, []);
+  if (!allowChatMessage(viewerChatTimes.get(key))) {
+    console.warn(`Chat: Dropping message from ${key} (rate limited).`);
+    sendDataMessage(key, {
+      type: "chat_notice",
+      text: "You are sending messages too fast. Your last message was not delivered.",
+    });
+    return;
+  }
 
-  // Called when the local ICE agent needs to deliver a candidate to the remote peer via the signaling channel.
-  pc.onicecandidate = (event) => {
-    if (event.candidate) {
-      // Send the generated ICE candidate to the other peer via WebSocket
-      // console.log(`${logPrefix} Generated ICE candidate:`, event.candidate.type, event.candidate.sdpMLineIndex);
-      // Pass the candidate object directly
-      sendMessage(
-        { type: "candidate", candidate: event.candidate.toJSON() },
-        role === "streamer" ? viewerId : null
-      );
-    } else {
-      // Null candidate indicates the end of candidate gathering
-      console.log(`${logPrefix} ICE candidate gathering complete.`);
-    }
+  const relayed = {
+    type: "chat",
+    name: viewerRoster.get(key)?.name || `Viewer ${key.slice(0, 4)}`,
+    text: text.slice(0, CHAT_MAX_LENGTH),
+    ts: Date.now(),
   };
+  appendChatMessage(relayed);
+  broadcastDataMessage(relayed, key);
+}
 
-  // Called when a remote track is added to the connection (i.e., when media starts arriving).
-  // CRUCIAL for the viewer to receive and display the stream.
-  pc.ontrack = (event) => {
-    console.log(
-      `>>> ${logPrefix} Received remote track: Kind=${event.track.kind}, ID=${event.track.id} <<<`
+/**
+ * Sends the text in the active chat panel's input.
+ * Viewers send to the streamer, which relays; the streamer broadcasts to all viewers directly.
+ * @param {SubmitEvent} event - The chat form's submit event.
+ */
+function sendChatMessage(event) {
+  event.preventDefault();
+  const panel = CHAT_PANELS[role];
+  if (!panel) return;
+  const text = panel.input.value.trim().slice(0, CHAT_MAX_LENGTH);
+  if (!text) return;
+
+  if (!allowChatMessage(chatSendTimes)) {
+    appendChatMessage(
+      { text: "Slow down! You can send more messages in a few seconds." },
+      { notice: true }
     );
-    if (role === "viewer" && REMOTE_VIDEO) {
-      // Assign the received stream(s) to the remote video element
-      if (event.streams && event.streams[0]) {
-        // Check if the stream is already assigned to prevent unnecessary updates
-        if (REMOTE_VIDEO.srcObject !== event.streams[0]) {
-          REMOTE_VIDEO.srcObject = event.streams[0];
-          console.log(
-            `${logPrefix} Assigned incoming stream to remote video element.`
-          );
+    return;
+  }
 
-          // Activate the Plyr controls now that the stream is ready
-          const container = document.getElementById("remoteVideoContainer");
-          if (container) {
-            container.classList.remove("plyr-inactive");
-            console.log(
-              `${logPrefix} Activated Plyr controls for remote video.`
-            );
-          }
-          // Attempt to play the remote video via Plyr
-          remotePlayer
-            ?.play()
-            .catch((err) =>
-              console.warn(
-                `${logPrefix} Remote video play() failed (might autoplay block):`,
-                err
-              )
-            );
-        }
-      } else {
-        // Should not happen with standard WebRTC, but log if a track arrives without a stream
-        console.warn(
-          `${logPrefix} Received track event without associated MediaStream.`
-        );
-      }
-    } else if (role === "streamer") {
-      // Streamer typically doesn't receive tracks in this setup, but log if it happens.
-      console.log(
-        `${logPrefix} Received unexpected track of kind: ${event.track.kind}`
+  const ts = Date.now();
+  if (role === "viewer") {
+    if (!sendDataMessage("streamer", { type: "chat", text })) {
+      appendChatMessage(
+        { text: "Message not sent: not connected." },
+        { notice: true }
       );
+      return;
     }
-  };
-
-  // Called when the state of the ICE connection changes (e.g., checking, connected, failed).
-  pc.oniceconnectionstatechange = () => {
-    const state = pc?.iceConnectionState; // Use optional chaining
-    console.log(`${logPrefix} ICE Connection State Changed: ${state}`);
-    switch (state) {
-      case "connected":
-        // Usually superseded by 'connectionstatechange', but good to log.
-        console.log(`${logPrefix} ICE connection established.`);
-        break;
-      case "disconnected":
-        // May recover, treat as a warning. 'failed' is terminal.
-        console.warn(
-          `${logPrefix} ICE connection disconnected. Waiting for potential reconnection...`
-        );
-        // Optionally start a timer here to check for 'failed' state later.
-        break;
-      case "failed":
-        // Terminal failure in ICE connectivity.
-        setError(
-          `WebRTC connection failed (ICE negotiation) ${
-            role === "streamer" ? "for viewer " + viewerId : ""
-          }.`
-        );
-        console.error(`${logPrefix} ICE connection failed.`);
-        if (role === "streamer") {
-          handleViewerDisconnect(viewerId); // Clean up streamer side
-        } else {
-          closeConnections(); // Clean up viewer side
-        }
-        break;
-      case "closed":
-        console.log(`${logPrefix} ICE connection closed.`);
-        break;
-    }
-    // Update viewer count on state changes (relevant for streamer)
-    if (role === "streamer") updateViewerCount();
-  };
-
-  // Called when the overall connection state changes (combines ICE and DTLS states).
-  // This is often the most reliable indicator of the connection status.
-  pc.onconnectionstatechange = () => {
-    const state = pc?.connectionState; // Use optional chaining
-    console.log(`${logPrefix} Connection State Changed: ${state}`);
-
-    switch (state) {
-      case "connected":
-        // Successfully connected peer-to-peer.
-        // Set success status only if not already showing success (avoids flicker)
-        if (STATUS_DISPLAY.className !== "success") {
-          setStatus(
-            role === "viewer"
-              ? "Connected to Stream"
-              : `Viewer ${viewerId || ""} Connected`,
-            true
-          );
-        }
-        // **Viewer Optimization:** Once WebRTC is connected, the viewer no longer needs the WebSocket for signaling.
-        if (role === "viewer") {
-          console.log("Viewer: WebRTC connected. Closing signaling WebSocket.");
-          clearTimeout(signalingTimeout); // Stop connection timeout
-          signalingTimeout = null;
-          if (ws && ws.readyState === WebSocket.OPEN) {
-            ws.close(1000, "WebRTC connected, signaling no longer needed"); // Normal closure
-          }
-          wsConnected = false; // Mark WS as disconnected
-          connectViewerButton.disabled = false; // Re-enable button (maybe to connect to another stream later)
-        }
-        break;
-      case "failed":
-        // Terminal failure in the connection (ICE or DTLS).
-        setError(
-          `WebRTC connection failed ${
-            role === "streamer" ? "for viewer " + viewerId : ""
-          }.`
-        );
-        console.error(`${logPrefix} PeerConnection failed.`);
-        if (role === "streamer") {
-          handleViewerDisconnect(viewerId); // Clean up streamer side
-        } else {
-          closeConnections(); // Clean up viewer side
-        }
-        break;
-      case "closed":
-        // Connection has been closed (either locally or remotely).
-        console.log(`${logPrefix} PeerConnection closed.`);
-        // Set status to indicate closure, unless an error is already displayed
-        if (!ERROR_DISPLAY.textContent) {
-          setStatus(
-            role === "viewer"
-              ? "Stream ended or connection closed."
-              : `Connection to viewer ${viewerId || ""} closed.`
-          );
-        }
-        // Reset player if viewer connection closes
-        if (role === "viewer") {
-          console.log("Viewer connection closed, resetting remote player.");
-          // Resetting players ensures video stops and controls might hide
-          initializePlyrPlayers(false);
-          if (connectViewerButton) connectViewerButton.disabled = false; // Re-enable connect button
-        } else if (role === "streamer" && peerConnections.has(viewerId)) {
-          // Ensure cleanup if the connection closed unexpectedly from streamer's perspective
-          handleViewerDisconnect(viewerId);
-        }
-        break;
-      case "disconnected":
-        // Connection lost temporarily (e.g., network interruption). Might recover to 'connected' or transition to 'failed'.
-        console.warn(
-          `${logPrefix} PeerConnection disconnected. Monitoring for failure or recovery...`
-        );
-        // Can add a timer here for cleanup if it stays disconnected too long.
-        break;
-      case "new": // Initial state
-      case "connecting": // Negotiation in progress
-        console.log(`${logPrefix} PeerConnection state: ${state}`);
-        break;
-    }
-    // Update viewer count on state changes (relevant for streamer)
-    if (role === "streamer") updateViewerCount();
-  };
-
-  // Called when the signaling state changes (related to SDP offer/answer exchange).
-  pc.onsignalingstatechange = () => {
-    // Mostly for debugging the offer/answer flow.
-    console.log(`${logPrefix} Signaling State Changed: ${pc?.signalingState}`);
-    // States: stable, have-local-offer, have-remote-offer, have-local-pranswer, have-remote-pranswer, closed
-  };
-
-  console.log(
-    `${logPrefix} RTCPeerConnection created and event listeners attached.`
-  );
-  return pc;
+    appendChatMessage({ name: "You", text, ts });
+  } else {
+    const message = {
+      type: "chat",
+      name: STREAMER_CHAT_NAME,
+      host: true,
+      text,
+      ts,
+    };
+    broadcastDataMessage(message);
+    appendChatMessage({ ...message, name: `${STREAMER_CHAT_NAME} (you)` });
+  }
+  panel.input.value = "";
 }
+Object.values(CHAT_PANELS).forEach((panel) =>
+  panel.form?.addEventListener("submit", sendChatMessage)
+);
 
 /**
- * Handles the disconnection of a specific viewer from the streamer's perspective.
- * Closes the RTCPeerConnection associated with the viewer, removes it from the map,
- * and updates the viewer count display.
- * Called when the server sends a 'viewer_left' message or when a connection fails/closes.
- * @param {string} viewerId - The ID of the viewer to disconnect.
+ * Appends a message to the active chat panel and scrolls it into view.
+ * @param {{ name?: string, text: string, ts?: number, host?: boolean }} message - The message to show
+ *   (`host` marks the streamer's messages).
+ * @param {object} [options] - Display options.
+ * @param {boolean} [options.notice=false] - Show as a system notice instead of a user message.
  */
-function handleViewerDisconnect(viewerId) {
-  if (role !== "streamer") return; // Only applicable for the streamer role
+function appendChatMessage(message, { notice = false } = {}) {
+  const log = CHAT_PANELS[role]?.log;
+  if (!log) return;
 
-  const pc = peerConnections.get(viewerId);
-  if (pc) {
-    console.log(`Streamer: Disconnecting viewer ${viewerId}.`);
-    // Remove event listeners to prevent potential issues during close
-    pc.onicecandidate = null;
-    pc.ontrack = null;
-    pc.oniceconnectionstatechange = null;
-    pc.onconnectionstatechange = null;
-    pc.onsignalingstatechange = null;
-    // Close the connection if not already closed
-    if (pc.signalingState !== "closed") {
-      pc.close();
-    }
-    // Remove the connection from the map
-    peerConnections.delete(viewerId);
-    console.log(
-      `Streamer: Removed PeerConnection for viewer ${viewerId}. Remaining viewers: ${peerConnections.size}`
-    );
-    updateViewerCount(); // Update the UI
-  } else {
-    console.warn(
-      `Streamer: Attempted to disconnect viewer ${viewerId}, but no active connection was found.`
+  const line = document.createElement("p");
+  line.className = notice ? "chat-message chat-notice" : "chat-message";
+  if (!notice) {
+    const time = document.createElement("span");
+    time.className = "chat-time";
+    time.textContent = new Date(message.ts || Date.now()).toLocaleTimeString(
+      [],
+      {
+        hour: "2-digit",
+        minute: "2-digit",
+      }
     );
+    const sender = document.createElement("span");
+    sender.className = message.host
+      ? "chat-sender chat-sender-host"
+      : "chat-sender";
+    sender.textContent = message.name || "Unknown";
+    line.append(time, sender);
   }
+  // Chat text is untrusted input: always insert it as text
+  line.append(document.createTextNode(message.text));
+  log.appendChild(line);
+  log.scrollTop = log.scrollHeight;
+}
+
+/**
+ * Enables or disables the active role's chat input.
+ * @param {boolean} enabled - Whether chatting is possible.
+ */
+function setChatEnabled(enabled) {
+  Object.entries(CHAT_PANELS).forEach(([panelRole, panel]) => {
+    const active = enabled && panelRole === role;
+    if (panel.input) panel.input.disabled = !active;
+    const button = panel.form?.querySelector("button");
+    if (button) button.disabled = !active;
+  });
+}
+
+/**
+ * Clears the active role's chat history, e.g. when a new session starts.
+ */
+function clearChatLog() {
+  const log = CHAT_PANELS[role]?.log;
+  if (log) log.replaceChildren();
+  chatSendTimes = [];
 }
 
 /**
@@ -1459,8 +6534,11 @@ function closeConnections(closeWsExplicitly = true) {
   setStatus("Closing connections..."); // Initial status update for cleanup process
   clearTimeout(signalingTimeout); // Clear any pending connection timeouts
   signalingTimeout = null;
+  resetViewerReconnection(); // Stop any pending viewer recovery
 
   // 1. Stop Media Streams FIRST to release camera/screen resources
+  // A running recording is finalized and offered for download (this completes asynchronously)
+  stopStreamerRecording();
   if (localStream) {
     console.log("Stopping local stream tracks in closeConnections...");
     localStream.getTracks().forEach((track) => {
@@ -1471,6 +6549,11 @@ function closeConnections(closeWsExplicitly = true) {
     if (LOCAL_VIDEO) LOCAL_VIDEO.srcObject = null; // Clear local preview
     console.log("Local stream stopped and preview cleared.");
   }
+  closeAudioMixer(); // Releases the captured system audio and the microphone
+  stopAllScreenShares();
+  stopPictureInPicture(pipCompositor); // Releases the camera
+  pipCompositor = null;
+  if (viewerRecording) stopRecording(viewerRecording); // Finalized and offered asynchronously
   // Stop remote video tracks if viewer
   if (REMOTE_VIDEO && REMOTE_VIDEO.srcObject) {
     console.log("Stopping remote video stream tracks...");
@@ -1484,6 +6567,7 @@ function closeConnections(closeWsExplicitly = true) {
     REMOTE_VIDEO.srcObject = null; // Clear remote video display
     console.log("Remote video stream stopped and display cleared.");
   }
+  resetRemoteShares();
 
   // 2. Close all active RTCPeerConnections
   if (peerConnections.size > 0) {
@@ -1498,12 +6582,15 @@ function closeConnections(closeWsExplicitly = true) {
       pc.oniceconnectionstatechange = null;
       pc.onconnectionstatechange = null;
       pc.onsignalingstatechange = null;
+      pc.onnegotiationneeded = null;
       // Close the connection
       if (pc.signalingState !== "closed") {
         pc.close();
       }
     });
     peerConnections.clear(); // Clear the map
+    dataChannels.clear(); // Channels close along with their connections
+    negotiationStates.clear();
     if (role === "streamer") updateViewerCount(); // Update UI count
     console.log("All PeerConnections closed and map cleared.");
   }
@@ -1548,12 +6635,42 @@ function closeConnections(closeWsExplicitly = true) {
 
   // Reset Streamer UI elements
   if (STREAMER_CODE_DISPLAY) STREAMER_CODE_DISPLAY.textContent = "Waiting...";
+  resetViewerRoster();
+  stopAdaptiveBitrate();
+  stopStatsSampling(); // The history stays available for export
+  updateShareControls();
+  setChatEnabled(false);
+  viewerChatTimes.clear();
+  pendingApprovals.clear();
+  approvedViewers.clear();
+  sfuMode = false;
+  sfuChannels.clear();
+  if (CODEC_PREFERENCE_SELECT) CODEC_PREFERENCE_SELECT.disabled = false;
+  setStreamOptionsDisabled(false);
+  updateStreamerRecordingControls();
+  viewerCaptureAllowed = false;
+  updateViewerCaptureControls();
+  viewerAnnotationAllowed = false;
+  setAnnotating(false);
+  clearAnnotations();
   if (VIEWER_COUNT_DISPLAY) VIEWER_COUNT_DISPLAY.textContent = "0";
   // --- MODIFIED: Only re-enable if supported ---
   if (initiateStreamButton && isDisplayMediaSupported) {
     initiateStreamButton.style.display = "inline-block"; // Show the start button again
     initiateStreamButton.disabled = false; // Re-enable it
   }
+  if (CHANGE_SOURCE_BUTTON) CHANGE_SOURCE_BUTTON.style.display = "none";
+  if (PAUSE_SHARING_BUTTON) {
+    PAUSE_SHARING_BUTTON.style.display = "none";
+    PAUSE_SHARING_BUTTON.textContent = "Pause Sharing";
+  }
+  streamPaused = false;
+  stopPauseSlate();
+  updatePictureInPictureControls();
+  LOCAL_VIDEO?.classList.remove("sharing-paused");
+  applyStreamPaused(false);
+  resolveStreamLive(false);
+  setViewerWaiting(false);
   // Reset Viewer UI elements
   if (connectViewerButton) {
     connectViewerButton.disabled = false; // Re-enable connect button
@@ -1614,6 +6731,26 @@ window.addEventListener("beforeunload", () => {
 
 // --- Initial Setup ---
 checkDisplayMediaSupport();
+populateRecordingCodecOptions();
+if (CODEC_PREFERENCE_SELECT) fillCodecOptions(CODEC_PREFERENCE_SELECT);
+populateMicOptions();
+readPictureInPictureSettings();
+// Restore the viewer's display name from the previous visit
+try {
+  VIEWER_NAME_INPUT.value = localStorage.getItem(VIEWER_NAME_STORAGE_KEY) || "";
+} catch (e) {
+  console.warn("Could not restore viewer name:", e);
+}
+// Restore the streamer's custom room code, so recurring streams keep their link
+try {
+  if (ROOM_CODE_INPUT) {
+    ROOM_CODE_INPUT.value = localStorage.getItem(ROOM_CODE_STORAGE_KEY) || "";
+  }
+} catch (e) {
+  console.warn("Could not restore room code:", e);
+}
 // Set the default view to the 'Watch Stream' tab when the page loads.
 switchTab("watchTabContent");
 setStatus("Idle"); // Set initial status after checks
+// Join the stream named in the URL, if any (e.g. a shared '/#/watch/AB12C' link)
+handleDeepLink();
@@ -0,0 +1,409 @@
+// --- Minimal QR Code Encoder ---
+// Generates QR codes entirely in the browser so sharing a stream link works without
+// any third-party service. Supports byte mode with error correction level M for
+// versions 1 to 10 (up to 213 bytes), which is plenty for a stream link.
+// Exposes a global `QRCode` object with `encode` and `drawToCanvas`.
+(function () {
+  // Error correction level M: [EC codewords per block, [blocks, data codewords per block]...] per version
+  const EC_BLOCKS_M = [
+    null,
+    [10, [1, 16]],
+    [16, [1, 28]],
+    [26, [1, 44]],
+    [18, [2, 32]],
+    [24, [2, 43]],
+    [16, [4, 27]],
+    [18, [4, 31]],
+    [22, [2, 38], [2, 39]],
+    [22, [3, 36], [2, 37]],
+    [26, [4, 43], [1, 44]],
+  ];
+  // Center coordinates of the alignment patterns per version
+  const ALIGNMENT_POSITIONS = [
+    null,
+    [],
+    [6, 18],
+    [6, 22],
+    [6, 26],
+    [6, 30],
+    [6, 34],
+    [6, 22, 38],
+    [6, 24, 42],
+    [6, 26, 46],
+    [6, 28, 50],
+  ];
+  const MAX_VERSION = 10;
+  const EC_LEVEL_M_BITS = 0; // Format bits for level M (L=1, M=0, Q=3, H=2)
+
+  /**
+   * Multiplies two elements of GF(256) modulo the QR code polynomial 0x11D.
+   * @param {number} x - First factor (0-255).
+   * @param {number} y - Second factor (0-255).
+   * @returns {number} The product.
+   */
+  function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11d);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  /**
+   * Computes the Reed-Solomon generator polynomial of the given degree.
+   * @param {number} degree - Number of error correction codewords.
+   * @returns {number[]} Polynomial coefficients, highest degree first (leading 1 omitted).
+   */
+  function reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < result.length; j++) {
+        result[j] = gfMultiply(result[j], root);
+        if (j + 1 < result.length) result[j] ^= result[j + 1];
+      }
+      root = gfMultiply(root, 0x02);
+    }
+    return result;
+  }
+
+  /**
+   * Computes the Reed-Solomon error correction codewords for a block of data.
+   * @param {number[]} data - The data codewords.
+   * @param {number[]} divisor - The generator polynomial from `reedSolomonDivisor`.
+   * @returns {number[]} The error correction codewords.
+   */
+  function reedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const b of data) {
+      const factor = b ^ result.shift();
+      result.push(0);
+      divisor.forEach((coef, i) => (result[i] ^= gfMultiply(coef, factor)));
+    }
+    return result;
+  }
+
+  /**
+   * Returns the number of data codewords available in a version at level M.
+   * @param {number} version - QR code version (1-10).
+   * @returns {number} Data capacity in codewords.
+   */
+  function dataCapacity(version) {
+    const [, ...groups] = EC_BLOCKS_M[version];
+    return groups.reduce((sum, [blocks, size]) => sum + blocks * size, 0);
+  }
+
+  /**
+   * Encodes the bytes into data codewords (mode, length, payload, terminator and padding).
+   * @param {Uint8Array} bytes - The payload.
+   * @param {number} version - QR code version (1-10).
+   * @returns {number[]} The data codewords.
+   */
+  function encodeData(bytes, version) {
+    const bits = [];
+    const push = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    push(0b0100, 4); // Byte mode
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach((b) => push(b, 8));
+
+    const capacityBits = dataCapacity(version) * 8;
+    push(0, Math.min(4, capacityBits - bits.length)); // Terminator
+    push(0, (8 - (bits.length % 8)) % 8); // Byte alignment
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(parseInt(bits.slice(i, i + 8).join(""), 2));
+    }
+    for (
+      let pad = 0xec;
+      codewords.length < capacityBits / 8;
+      pad ^= 0xec ^ 0x11
+    ) {
+      codewords.push(pad);
+    }
+    return codewords;
+  }
+
+  /**
+   * Splits the data into blocks, appends error correction and interleaves the result.
+   * @param {number[]} data - The data codewords.
+   * @param {number} version - QR code version (1-10).
+   * @returns {number[]} The final codeword sequence.
+   */
+  function addErrorCorrection(data, version) {
+    const [ecLength, ...groups] = EC_BLOCKS_M[version];
+    const divisor = reedSolomonDivisor(ecLength);
+    const dataBlocks = [];
+    const ecBlocks = [];
+    let offset = 0;
+    groups.forEach(([blocks, size]) => {
+      for (let i = 0; i < blocks; i++) {
+        const block = data.slice(offset, offset + size);
+        offset += size;
+        dataBlocks.push(block);
+        ecBlocks.push(reedSolomonRemainder(block, divisor));
+      }
+    });
+
+    const result = [];
+    const longest = Math.max(...dataBlocks.map((b) => b.length));
+    for (let i = 0; i < longest; i++) {
+      dataBlocks.forEach((b) => i < b.length && result.push(b[i]));
+    }
+    for (let i = 0; i < ecLength; i++) {
+      ecBlocks.forEach((b) => result.push(b[i]));
+    }
+    return result;
+  }
+
+  /**
+   * Builds the module matrix for the given codewords and mask.
+   * @param {number} version - QR code version (1-10).
+   * @param {number[]} codewords - The interleaved codewords.
+   * @param {number} mask - Mask pattern (0-7).
+   * @returns {boolean[][]} Modules indexed as [row][column], true meaning dark.
+   */
+  function buildMatrix(version, codewords, mask) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () =>
+      new Array(size).fill(false)
+    );
+    const reserved = Array.from({ length: size }, () =>
+      new Array(size).fill(false)
+    );
+    const set = (x, y, dark) => {
+      modules[y][x] = dark;
+      reserved[y][x] = true;
+    };
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+      set(6, i, i % 2 === 0);
+      set(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    [
+      [3, 3],
+      [size - 4, 3],
+      [3, size - 4],
+    ].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x < 0 || y < 0 || x >= size || y >= size) continue;
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          set(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    });
+
+    // Alignment patterns (skipping the ones overlapping finder patterns)
+    const positions = ALIGNMENT_POSITIONS[version];
+    positions.forEach((cy, i) => {
+      positions.forEach((cx, j) => {
+        const last = positions.length - 1;
+        if (
+          (i === 0 && j === 0) ||
+          (i === 0 && j === last) ||
+          (i === last && j === 0)
+        ) {
+          return;
+        }
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    // Format information (error correction level and mask), drawn twice
+    const formatData = (EC_LEVEL_M_BITS << 3) | mask;
+    let remainder = formatData;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const formatBits = ((formatData << 10) | remainder) ^ 0x5412;
+    const formatBit = (i) => ((formatBits >>> i) & 1) === 1;
+    for (let i = 0; i <= 5; i++) set(8, i, formatBit(i));
+    set(8, 7, formatBit(6));
+    set(8, 8, formatBit(7));
+    set(7, 8, formatBit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, formatBit(i));
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, formatBit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, formatBit(i));
+    set(8, size - 8, true); // Dark module
+
+    // Version information (versions 7 and up), drawn twice
+    if (version >= 7) {
+      let versionRemainder = version;
+      for (let i = 0; i < 12; i++) {
+        versionRemainder =
+          (versionRemainder << 1) ^ ((versionRemainder >>> 11) * 0x1f25);
+      }
+      const versionBits = (version << 12) | versionRemainder;
+      for (let i = 0; i < 18; i++) {
+        const dark = ((versionBits >>> i) & 1) === 1;
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        set(a, b, dark);
+        set(b, a, dark);
+      }
+    }
+
+    // Data modules in the zigzag order, masked
+    const maskFunctions = [
+      (x, y) => (x + y) % 2 === 0,
+      (x, y) => y % 2 === 0,
+      (x) => x % 3 === 0,
+      (x, y) => (x + y) % 3 === 0,
+      (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+      (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+      (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+      (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+    ];
+    const applyMask = maskFunctions[mask];
+    let bitIndex = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5; // Skip the vertical timing pattern
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (reserved[y][x]) continue;
+          let dark = false;
+          if (bitIndex < codewords.length * 8) {
+            dark =
+              ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+            bitIndex++;
+          }
+          modules[y][x] = dark !== applyMask(x, y);
+        }
+      }
+    }
+    return modules;
+  }
+
+  /**
+   * Scores a module matrix using the standard QR penalty rules (lower is better).
+   * @param {boolean[][]} modules - The module matrix.
+   * @returns {number} The penalty score.
+   */
+  function penalty(modules) {
+    const size = modules.length;
+    let score = 0;
+    let dark = 0;
+    const finderLike = [true, false, true, true, true, false, true];
+
+    for (let a = 0; a < size; a++) {
+      // Rows and columns: runs of 5+ same-colored modules, and finder-like patterns
+      for (const line of [modules[a], modules.map((row) => row[a])]) {
+        let run = 1;
+        for (let i = 1; i <= size; i++) {
+          if (i < size && line[i] === line[i - 1]) {
+            run++;
+            continue;
+          }
+          if (run >= 5) score += run - 2;
+          run = 1;
+        }
+        for (let i = 0; i + 7 <= size; i++) {
+          if (!finderLike.every((v, k) => line[i + k] === v)) continue;
+          const lightBefore = i >= 4 && [1, 2, 3, 4].every((k) => !line[i - k]);
+          const lightAfter =
+            i + 11 <= size && [0, 1, 2, 3].every((k) => !line[i + 7 + k]);
+          if (lightBefore || lightAfter) score += 40;
+        }
+      }
+      for (let b = 0; b < size; b++) {
+        if (modules[a][b]) dark++;
+        // 2x2 blocks of the same color
+        if (
+          a + 1 < size &&
+          b + 1 < size &&
+          modules[a][b] === modules[a][b + 1] &&
+          modules[a][b] === modules[a + 1][b] &&
+          modules[a][b] === modules[a + 1][b + 1]
+        ) {
+          score += 3;
+        }
+      }
+    }
+
+    // Balance of dark and light modules
+    const percent = (dark * 100) / (size * size);
+    score += Math.floor(Math.abs(percent - 50) / 5) * 10;
+    return score;
+  }
+
+  /**
+   * Encodes text into a QR code, picking the smallest version that fits and the best mask.
+   * @param {string} text - The text to encode (UTF-8).
+   * @returns {{ size: number, modules: boolean[][] }} The QR code matrix.
+   * @throws {Error} If the text does not fit in a version 10 QR code.
+   */
+  function encode(text) {
+    const bytes = new TextEncoder().encode(text);
+    let version = 1;
+    // Header is 4 mode bits plus an 8 or 16 bit length
+    while (
+      version <= MAX_VERSION &&
+      4 + (version < 10 ? 8 : 16) + bytes.length * 8 > dataCapacity(version) * 8
+    ) {
+      version++;
+    }
+    if (version > MAX_VERSION) {
+      throw new Error(`Text too long for a QR code (${bytes.length} bytes).`);
+    }
+
+    const codewords = addErrorCorrection(encodeData(bytes, version), version);
+    let best = null;
+    let bestScore = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+      const modules = buildMatrix(version, codewords, mask);
+      const score = penalty(modules);
+      if (score < bestScore) {
+        best = modules;
+        bestScore = score;
+      }
+    }
+    return { size: best.length, modules: best };
+  }
+
+  /**
+   * Draws a QR code for the text onto a canvas, with a light quiet zone around it.
+   * @param {HTMLCanvasElement} canvas - The canvas to draw on (resized to fit).
+   * @param {string} text - The text to encode.
+   * @param {object} [options] - Drawing options.
+   * @param {number} [options.scale=6] - Pixels per module.
+   * @param {number} [options.margin=4] - Quiet zone width in modules.
+   */
+  function drawToCanvas(canvas, text, { scale = 6, margin = 4 } = {}) {
+    const { size, modules } = encode(text);
+    canvas.width = canvas.height = (size + margin * 2) * scale;
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = "#000000";
+    modules.forEach((row, y) =>
+      row.forEach((dark, x) => {
+        if (dark)
+          ctx.fillRect(
+            (x + margin) * scale,
+            (y + margin) * scale,
+            scale,
+            scale
+          );
+      })
+    );
+  }
+
+  window.QRCode = { encode, drawToCanvas };
+})();
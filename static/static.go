@@ -12,6 +12,9 @@ var (
 	//go:embed main.js
 	MainJS []byte
 
+	//go:embed qrcode.js
+	QRCodeJS []byte
+
 	//go:embed style.css
 	StyleCSS []byte
 